@@ -1,91 +1,171 @@
 #!/usr/bin/env node
 import {
-  copyConfigFiles,
-  copyFile,
+  createLogger,
+  createPlan,
+  DOCTOR_FLAGS,
+  formatHelp,
   log,
-  mergePackageConfig,
-  validatePackageJson,
-  mergeScripts,
-  writeJSON,
+  parseArgs,
+  reportChecks,
+  reportDryRun,
+  resolveLogOptions,
+  resolveProject,
+  resolveSetupOptions,
+  runTransaction,
+  setLogger,
+  SETUP_FLAGS,
+  summarizePlan,
+  UsageError,
 } from '@tidyforge/core';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const userRoot = process.cwd();
-
-const packageRoot = path.resolve(__dirname, '..');
-const configsDir = path.join(packageRoot, 'configs');
-const huskyDir = path.join(packageRoot, 'hooks');
-
-const CONFIGS = ['commitlint.config.mjs'];
-
-const setupScriptsStep = (pkg) => {
-  const scripts = {
-    commit: 'cz',
-  };
-
-  mergeScripts(pkg, scripts);
-
-  mergePackageConfig(
-    pkg,
-    'config',
-    {
-      commitizen: {
-        path: 'cz-conventional-changelog',
-      },
-    },
-    true
-  );
+import { reportBranch } from '../lib/branch.js';
+import { reportCommits } from '../lib/check.js';
+import {
+  check,
+  checkBranch,
+  doctor,
+  prefill,
+  release,
+  setup,
+  TITLE,
+  TOOL,
+  uninstall,
+  upgrade,
+} from '../lib/setup.js';
+
+const project = resolveProject(process.cwd());
+
+const CHECK_FLAGS = {
+  from: {
+    type: 'string',
+    valueName: 'ref',
+    description: 'check: lint the commits after this ref (e.g. origin/main)',
+  },
+  to: {
+    type: 'string',
+    valueName: 'ref',
+    description: 'check: last commit of the range (default: HEAD)',
+  },
+  last: {
+    type: 'string',
+    valueName: 'n',
+    description: 'check: lint the last n commits instead',
+  },
+  'skip-merges': {
+    type: 'boolean',
+    description: 'check: do not lint merge commits',
+  },
+  'skip-fixups': {
+    type: 'boolean',
+    description: 'check: do not lint fixup!, squash! and amend! commits',
+  },
 };
 
-const setupHuskyStep = async (pkg) => {
-  try {
-    const userHuskyDir = path.join(userRoot, '.husky');
-    fs.mkdirSync(userHuskyDir, { recursive: true });
-
-    const hookFiles = fs.readdirSync(huskyDir);
-
-    for (const hookFile of hookFiles) {
-      const src = path.join(huskyDir, hookFile);
-      const dest = path.join(userHuskyDir, hookFile);
-
-      if (fs.statSync(src).isDirectory()) continue;
+const RELEASE_FLAGS = {
+  tag: {
+    type: 'boolean',
+    description: 'release: commit the version and changelog and create an annotated tag',
+  },
+  preid: {
+    type: 'string',
+    valueName: 'id',
+    description: 'release: publish a prerelease, e.g. beta for 1.2.0-beta.0',
+  },
+};
 
-      const copied = await copyFile(src, dest, 'git hook', true);
+const HELP = formatHelp({
+  description: 'Commit-ment • Set up commitlint, commitizen and Git hooks in the current project.',
+  usage: 'npx @tidyforge/commit-ment [command] [options]',
+  commands: {
+    check: 'Lint the commit messages of a range, e.g. in CI (exits 1 on violations)',
+    'check-branch [name]': 'Check a branch name, the current one by default (pre-push hook)',
+    doctor: 'Check that the hooks, configs and dependencies are in working order',
+    'prefill <file> [source]':
+      'Pre-fill a commit message from the branch name (prepare-commit-msg)',
+    release: 'Bump the version and prepend CHANGELOG.md from the commits since the last tag',
+    uninstall: `Remove everything ${TOOL} added, keeping later edits`,
+    upgrade: 'Merge the templates of this version into the project, keeping local edits',
+  },
+  flags: { ...SETUP_FLAGS, ...DOCTOR_FLAGS, ...CHECK_FLAGS, ...RELEASE_FLAGS },
+});
 
-      if (copied && process.platform !== 'win32') fs.chmodSync(dest, '755');
-    }
+const COMMANDS = { setup, release, uninstall, upgrade };
 
-    mergeScripts(pkg, { prepare: 'husky' });
-  } catch (err) {
-    log.error(`Husky setup failed: ${err.message}`);
+const main = async () => {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), {
+    ...SETUP_FLAGS,
+    ...DOCTOR_FLAGS,
+    ...CHECK_FLAGS,
+    ...RELEASE_FLAGS,
+  });
+  const [command = 'setup'] = positionals;
+
+  if (flags.help) {
+    console.log(HELP);
+    return;
   }
-};
 
-const main = async () => {
-  log.info('Commit-ment • Setting up...\n');
-  const pkgPath = path.join(userRoot, 'package.json');
-  const pkg = validatePackageJson(pkgPath);
+  setLogger(createLogger(resolveLogOptions(flags)));
 
-  log.info('[1/3] • Preparing commitlint configuration...');
-  await copyConfigFiles(configsDir, userRoot, CONFIGS, true);
+  if (command === 'doctor') {
+    log.info(`${TITLE} • Doctor\n`);
+    const results = await doctor(project, flags);
+    process.exitCode = reportChecks(TOOL, results, { json: flags.json });
+    return;
+  }
+  if (command === 'check') {
+    log.info(`${TITLE} • Commit check\n`);
+    const results = await check(project, {
+      from: flags.from,
+      to: flags.to,
+      last: flags.last,
+      // Without the flags the project config decides
+      skipMerges: flags['skip-merges'] || undefined,
+      skipFixups: flags['skip-fixups'] || undefined,
+    });
+    process.exitCode = reportCommits(results, { json: flags.json });
+    return;
+  }
+  if (command === 'prefill') {
+    const [, file, source] = positionals;
+    if (!file) throw new UsageError('prefill needs the commit message file: prefill <file>');
+    await prefill(project, { file, source });
+    return;
+  }
+  if (command === 'check-branch') {
+    const { branch, problems } = await checkBranch(project, { branch: positionals[1] });
+    process.exitCode = reportBranch({ branch, problems }, { json: flags.json });
+    return;
+  }
+  const checkFlag = Object.keys(CHECK_FLAGS).find((name) => flags[name]);
+  if (checkFlag) throw new UsageError(`--${checkFlag} is only supported by the check command`);
+  if (flags.fix) throw new UsageError('--fix is only supported by the doctor command');
+  if (!(command in COMMANDS)) throw new UsageError(`Unknown command: ${command}`);
+  const releaseFlag = Object.keys(RELEASE_FLAGS).find((name) => flags[name]);
+  if (releaseFlag && command !== 'release') {
+    throw new UsageError(`--${releaseFlag} is only supported by the release command`);
+  }
 
-  log.info('\n[2/3] • Configuring commit scripts...');
-  setupScriptsStep(pkg);
+  const options = { ...resolveSetupOptions(flags), tag: flags.tag, preid: flags.preid };
+  const plan = createPlan({ root: project.root, dryRun: options.dryRun });
 
-  log.info('\n[3/3] • Installing Git hooks...');
-  await setupHuskyStep(pkg);
+  // Any failure or Ctrl+C restores the project as it was before the run
+  const result = await runTransaction(plan, () => COMMANDS[command](project, options, plan));
 
-  log.info('\n[4/4] • Finalizing setup...');
-  writeJSON(pkgPath, pkg);
+  if (plan.dryRun && result.upgraded !== false) {
+    process.exitCode = reportDryRun(plan, command === 'release' ? 'releasing' : undefined);
+  } else if (result.conflicts > 0) process.exitCode = 1;
 
-  log.info('\nSetup success! Use "npm run commit" for guided commits.');
+  // Every change was already reported as its own event
+  const summary = { ...summarizePlan(plan), changes: undefined };
+  log.event({ type: 'result', command, exitCode: process.exitCode ?? 0, ...summary, ...result });
 };
 
 main().catch((err) => {
+  if (err instanceof UsageError) {
+    log.error(err.message);
+    console.error(`\n${HELP}`);
+    process.exit(2);
+  }
   log.error(`Setup failed: ${err.message}`);
-  process.exit(1);
+  process.exit(err.exitCode ?? 1);
 });
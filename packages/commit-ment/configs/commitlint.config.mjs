@@ -1,3 +1,9 @@
-export default {
-  extends: ['@commitlint/config-conventional'],
-};
+import { defineCommitlintConfig } from '@tidyforge/commit-ment/lib/commitlint.js';
+
+// Types, scopes and the ticket footer come from the tidyforge config, as in "npm run commit"
+export default defineCommitlintConfig(
+  {
+    extends: ['@commitlint/config-conventional'],
+  },
+  import.meta.url
+);
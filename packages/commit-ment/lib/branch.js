@@ -0,0 +1,140 @@
+import { log } from '@tidyforge/core';
+import fs from 'fs';
+import { DEFAULT_TICKET_FOOTER, isValidTicket } from './conventions.js';
+import { runGit } from './history.js';
+
+//* ============================================================================
+//* BRANCH NAMES
+//* ============================================================================
+
+/**
+ * Branch prefixes that stand for a commit type
+ */
+const TYPE_ALIASES = {
+  feature: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+};
+
+/**
+ * Sources of prepare-commit-msg whose message is left alone: `-m`/`-F`,
+ * merges, squashes, `-c`/`-C`/`--amend` and commit.template
+ */
+const KEPT_SOURCES = ['message', 'merge', 'squash', 'commit', 'template'];
+
+const toRegExp = (glob) =>
+  new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+/**
+ * Name of the branch checked out in a project
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string|null} Branch name, or null on a detached HEAD
+ */
+export const getCurrentBranch = (userRoot) => {
+  try {
+    return runGit(userRoot, ['symbolic-ref', '--short', '-q', 'HEAD']).trim() || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the type, scope and ticket of a branch name
+ * The named groups `type`, `scope` and `ticket` of the branch pattern are used;
+ * `feature`, `bugfix` and `hotfix` stand for feat and fix.
+ * @param {string} branch - Branch name
+ * @param {Object} conventions - Result of resolveConventions, with branch naming on
+ * @returns {Object|null} { type, scope, ticket } (null when missing), or null when
+ *   the name does not match the pattern
+ */
+export const parseBranch = (branch, conventions) => {
+  const match = new RegExp(conventions.branch.pattern).exec(branch);
+  if (!match) return null;
+
+  const { type = null, scope = null, ticket = null } = match.groups ?? {};
+  return {
+    type: type && (TYPE_ALIASES[type.toLowerCase()] ?? type.toLowerCase()),
+    scope: scope && scope.toLowerCase(),
+    ticket,
+  };
+};
+
+/**
+ * Check a branch name against the commit conventions of the project
+ * @param {string} branch - Branch name
+ * @param {Object} conventions - Result of resolveConventions, with branch naming on
+ * @returns {string[]} Problems, empty when the name is valid or ignored
+ */
+export const validateBranch = (branch, conventions) => {
+  const { pattern, ignore } = conventions.branch;
+  if (ignore.some((glob) => toRegExp(glob).test(branch))) return [];
+
+  const parsed = parseBranch(branch, conventions);
+  if (!parsed) return [`branch name must match ${pattern}`];
+
+  const { types, scopes, ticket } = conventions;
+  const problems = [];
+  if (parsed.type && !(parsed.type in types)) {
+    problems.push(`type must be one of [${Object.keys(types).join(', ')}]`);
+  }
+  if (parsed.scope && scopes.length > 0 && !scopes.includes(parsed.scope)) {
+    problems.push(`scope must be one of [${scopes.join(', ')}]`);
+  }
+  if (ticket && !parsed.ticket && ticket.required) {
+    problems.push('branch name must contain a ticket ID');
+  }
+  if (ticket && parsed.ticket && !isValidTicket(parsed.ticket, ticket)) {
+    problems.push(`ticket "${parsed.ticket}" does not match the pattern ${ticket.pattern}`);
+  }
+  return problems;
+};
+
+/**
+ * Pre-fill a commit message from the branch name, as prepare-commit-msg
+ * The header gets the type and scope of the branch and its ticket goes in the
+ * ticket footer, above the comments git adds. Messages given with -m or -F,
+ * merges, squashes, amends and messages that already have text are left alone.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} messagePath - Commit message file, first argument of the hook
+ * @param {string} [source] - Message source, second argument of the hook
+ * @param {Object} conventions - Result of resolveConventions, with branch naming on
+ * @returns {boolean} True if the message was pre-filled
+ */
+export const prefillMessage = (userRoot, messagePath, source, conventions) => {
+  if (source && KEPT_SOURCES.includes(source)) return false;
+
+  const content = fs.readFileSync(messagePath, 'utf-8');
+  const hasText = content.split('\n').some((line) => line.trim() && !line.startsWith('#'));
+  const branch = getCurrentBranch(userRoot);
+  const parsed = branch && parseBranch(branch, conventions);
+  if (hasText || !parsed?.type || !(parsed.type in conventions.types)) return false;
+
+  const scope = parsed.scope ? `(${parsed.scope})` : '';
+  const footer = parsed.ticket
+    ? `\n\n${conventions.ticket?.footer ?? DEFAULT_TICKET_FOOTER}: ${parsed.ticket}`
+    : '';
+  fs.writeFileSync(messagePath, `${parsed.type}${scope}: ${footer}\n${content}`);
+  return true;
+};
+
+/**
+ * Print the result of a branch check
+ * @param {Object} result - { branch, problems } returned by checkBranch
+ * @param {Object} [options] - { json: emit one `branch` event instead of text }
+ * @returns {number} Exit code: 1 if the name is invalid, 0 otherwise
+ */
+export const reportBranch = ({ branch, problems }, { json = false } = {}) => {
+  const exitCode = problems.length > 0 ? 1 : 0;
+
+  if (json) {
+    log.event({ type: 'branch', ok: exitCode === 0, branch, problems });
+  } else if (!branch) {
+    log.info('Detached HEAD, no branch name to check');
+  } else if (exitCode === 0) {
+    log.success(`Branch ${branch} follows the naming convention`);
+  } else {
+    log.error(`Branch ${branch} does not follow the naming convention`);
+    problems.forEach((problem) => log.print(`    ✖ ${problem}`));
+  }
+  return exitCode;
+};
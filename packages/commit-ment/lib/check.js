@@ -0,0 +1,137 @@
+import { CommandError, log, UsageError } from '@tidyforge/core';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readCommits } from './history.js';
+
+//* ============================================================================
+//* LINTING
+//* ============================================================================
+
+/**
+ * Load commitlint and the project's commitlint config from the project itself,
+ * so the check uses the versions and rules its commit-msg hook uses
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {Promise<Function>} lint(message) → { valid, errors, warnings }
+ * @throws {CommandError} When commitlint is not installed in the project
+ */
+const loadCommitlint = async (userRoot) => {
+  const require = createRequire(path.join(userRoot, 'package.json'));
+  const importFromProject = async (name) => {
+    try {
+      return (await import(pathToFileURL(require.resolve(name)).href)).default;
+    } catch (err) {
+      throw new CommandError(
+        `${name} is not installed in the project, run: npx @tidyforge/commit-ment`,
+        'commitlint',
+        err
+      );
+    }
+  };
+
+  const load = await importFromProject('@commitlint/load');
+  const lint = await importFromProject('@commitlint/lint');
+  const config = await load({}, { cwd: userRoot });
+  const options = {
+    parserOpts: config.parserPreset?.parserOpts ?? {},
+    plugins: config.plugins ?? {},
+    ignores: config.ignores ?? [],
+    defaultIgnores: config.defaultIgnores !== false,
+    helpUrl: config.helpUrl,
+  };
+
+  return (message) => lint(message, config.rules, options);
+};
+
+const toProblems = (results) =>
+  results.map(({ level, name, message }) => ({ level, name, message }));
+
+/**
+ * Lint the message of every commit in a range against the project's commitlint rules
+ * Merge and fixup commits are linted too unless skipped; commitlint's own default
+ * ignores (such as merge subjects) still apply.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} options - { from, to, last, skipMerges, skipFixups }
+ * @returns {Promise<Object[]>} Per commit, oldest first: { hash, subject, status, errors,
+ *   warnings } with status "valid", "invalid" or "skipped" (and a `reason` when skipped)
+ * @throws {UsageError} When the range is not given or is ambiguous
+ * @throws {CommandError} When git or commitlint fails
+ */
+export const checkCommits = async (userRoot, options = {}) => {
+  const { from, to, last, skipMerges = false, skipFixups = false } = options;
+
+  if (from && last) throw new UsageError('--from and --last cannot be used together');
+  if (!from && !last) throw new UsageError('check needs a range: --from <ref> or --last <n>');
+  if (last !== undefined && !(Number.isInteger(Number(last)) && Number(last) > 0)) {
+    throw new UsageError('--last must be a positive number');
+  }
+
+  const commits = readCommits(userRoot, { from, to, last });
+  const lint = await loadCommitlint(userRoot);
+  const results = [];
+
+  for (const { hash, subject, message, merge, fixup } of commits) {
+    const reason =
+      (skipMerges && merge && 'merge commit') || (skipFixups && fixup && 'fixup commit');
+    if (reason) {
+      results.push({ hash, subject, status: 'skipped', reason, errors: [], warnings: [] });
+      continue;
+    }
+
+    const { valid, errors, warnings } = await lint(message);
+    results.push({
+      hash,
+      subject,
+      status: valid ? 'valid' : 'invalid',
+      errors: toProblems(errors),
+      warnings: toProblems(warnings),
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Count the results of checkCommits by status
+ * @param {Object[]} results - Results of checkCommits
+ * @returns {Object} { total, valid, invalid, skipped }
+ */
+export const summarizeCommits = (results) => ({
+  total: results.length,
+  valid: results.filter(({ status }) => status === 'valid').length,
+  invalid: results.filter(({ status }) => status === 'invalid').length,
+  skipped: results.filter(({ status }) => status === 'skipped').length,
+});
+
+/**
+ * Print the results of checkCommits as a report, one commit per line
+ * @param {Object[]} results - Results of checkCommits
+ * @param {Object} [options] - { json: emit one `commits` event instead of text }
+ * @returns {number} Exit code: 1 if a commit message is invalid, 0 otherwise
+ */
+export const reportCommits = (results, { json = false } = {}) => {
+  const summary = summarizeCommits(results);
+  const exitCode = summary.invalid > 0 ? 1 : 0;
+
+  if (json) {
+    log.event({ type: 'commits', ok: exitCode === 0, summary, commits: results });
+    return exitCode;
+  }
+
+  results.forEach(({ hash, subject, status, reason, errors, warnings }) => {
+    const line = `${hash.slice(0, 7)} ${subject}`;
+    if (status === 'skipped') log.info(`${line} (skipped: ${reason})`);
+    else if (status === 'invalid') log.error(line);
+    else if (warnings.length > 0) log.warn(line);
+    else log.success(line);
+
+    errors.forEach(({ name, message }) => log.print(`    ✖ ${message} [${name}]`));
+    warnings.forEach(({ name, message }) => log.print(`    ⚠ ${message} [${name}]`));
+  });
+
+  log.info(
+    `\n${summary.total} commit(s) checked: ${summary.valid} valid, ${summary.invalid} invalid, ` +
+      `${summary.skipped} skipped`
+  );
+  return exitCode;
+};
@@ -0,0 +1,60 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { COMMON_SCOPES, findTicket, isValidTicket, resolveConventions } from './conventions.js';
+
+//* ============================================================================
+//* COMMITLINT CONFIG
+//* ============================================================================
+
+/**
+ * commitlint plugin checking the ticket footer the commit prompt writes
+ * The rule value is the `ticket` of resolveConventions; deps and release commits are exempt.
+ */
+const ticketPlugin = {
+  rules: {
+    'ticket-footer': ({ raw = '', scope }, _when, ticket) => {
+      if (!ticket || COMMON_SCOPES.includes(scope)) return [true];
+
+      const id = findTicket(raw, ticket.footer);
+      if (id === null) {
+        return [!ticket.required, `footer must reference a ticket: "${ticket.footer}: <ID>"`];
+      }
+      return [
+        isValidTicket(id, ticket),
+        `ticket "${id}" does not match the pattern ${ticket.pattern}`,
+      ];
+    },
+  },
+};
+
+/**
+ * Turn the commit conventions of a project into commitlint rules
+ * @param {Object} conventions - Result of resolveConventions
+ * @returns {Object} Rules for type-enum, scope-enum, scope-empty and ticket-footer
+ */
+export const getConventionRules = ({ types, scopes, scopeRequired, ticket }) => ({
+  'type-enum': [2, 'always', Object.keys(types)],
+  ...(scopes.length > 0 && { 'scope-enum': [2, 'always', scopes] }),
+  ...(scopeRequired && { 'scope-empty': [2, 'never'] }),
+  ...(ticket && { 'ticket-footer': [2, 'always', ticket] }),
+});
+
+/**
+ * Complete a commitlint config with the rules of the project's commit conventions
+ * The commitizen adapter of commit-ment reads the same conventions, so the
+ * prompt only offers what commitlint accepts. Rules of the config itself win.
+ * @param {Object} [config] - commitlint config (extends, rules, plugins...)
+ * @param {string} [location] - `import.meta.url` of the config file, or a directory inside
+ *   the project (default: process.cwd())
+ * @returns {Promise<Object>} commitlint config
+ */
+export const defineCommitlintConfig = async (config = {}, location = process.cwd()) => {
+  const cwd = location.startsWith('file:') ? path.dirname(fileURLToPath(location)) : location;
+  const conventions = await resolveConventions(cwd);
+
+  return {
+    ...config,
+    plugins: [...(config.plugins ?? []), ticketPlugin],
+    rules: { ...getConventionRules(conventions), ...config.rules },
+  };
+};
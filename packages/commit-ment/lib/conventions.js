@@ -0,0 +1,204 @@
+import { applyOverrides, loadConfig, resolveProject, withLogger } from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+
+//* ============================================================================
+//* COMMIT CONVENTIONS
+//* ============================================================================
+
+/**
+ * Commit types offered by the prompt and accepted by commitlint, as in
+ * @commitlint/config-conventional
+ */
+export const DEFAULT_TYPES = {
+  feat: 'A new feature',
+  fix: 'A bug fix',
+  docs: 'Documentation only changes',
+  style: 'Changes that do not affect the meaning of the code (white-space, formatting, etc)',
+  refactor: 'A code change that neither fixes a bug nor adds a feature',
+  perf: 'A code change that improves performance',
+  test: 'Adding missing tests or correcting existing tests',
+  build: 'Changes that affect the build system or external dependencies',
+  ci: 'Changes to the CI configuration files and scripts',
+  chore: "Other changes that don't modify src or test files",
+  revert: 'Reverts a previous commit',
+};
+
+/**
+ * Scopes allowed next to the detected ones: dependency updates (Dependabot,
+ * Renovate) and the commits of `commit-ment release`, which need no ticket
+ */
+export const COMMON_SCOPES = ['deps', 'release'];
+
+/**
+ * Top-level directories that never make a scope
+ */
+const IGNORED_DIRS = ['node_modules', 'dist', 'build', 'coverage', 'out', 'tmp'];
+
+export const DEFAULT_TICKET_FOOTER = 'Refs';
+
+/**
+ * Branch names such as feat/PROJ-123-add-login or fix/api/login-form: a type,
+ * an optional scope and an optional ticket ID
+ */
+const DEFAULT_BRANCH_PATTERN =
+  '^(?<type>[a-z]+)/(?:(?<scope>[a-z0-9-]+)/)?(?:(?<ticket>[A-Z][A-Z0-9]*-\\d+)(?:[-_]|$))?';
+
+/**
+ * Branches the pre-push check lets through, `*` matching any characters
+ */
+const DEFAULT_BRANCH_IGNORES = [
+  'main',
+  'master',
+  'develop',
+  'release/*',
+  'dependabot/*',
+  'renovate/*',
+];
+
+/**
+ * Line length config-conventional allows in the header, body and footer
+ */
+export const MAX_LINE_LENGTH = 100;
+
+const listDirectories = (dir) =>
+  fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map((entry) => entry.name)
+        .filter((name) => !IGNORED_DIRS.includes(name))
+    : [];
+
+/**
+ * Work out the scopes of a project from its layout
+ * A monorepo gets the names of its workspace packages (without the npm scope),
+ * other projects the directories of `src/`, or else the top-level directories.
+ * @param {Object} project - Project layout (see resolveProject)
+ * @returns {string[]} Sorted scopes
+ */
+export const detectScopes = (project) => {
+  let scopes = project.workspaces.map(({ name }) => name.replace(/^@[^/]+\//, ''));
+  if (scopes.length === 0) scopes = listDirectories(path.join(project.root, 'src'));
+  if (scopes.length === 0) scopes = listDirectories(project.root);
+
+  return [...new Set(scopes.map((scope) => scope.toLowerCase()))].sort();
+};
+
+/**
+ * Complete the branch naming options of the project config with the defaults
+ * @param {boolean|Object} [branch] - `commitlint.branch`: true or { pattern, ignore,
+ *   prefill, validate }
+ * @returns {Object|null} { pattern, ignore, prefill, validate }, or null when off
+ */
+export const getBranchNaming = (branch) => {
+  if (!branch) return null;
+
+  const options = branch === true ? {} : branch;
+  return {
+    pattern: options.pattern ?? DEFAULT_BRANCH_PATTERN,
+    ignore: options.ignore ?? DEFAULT_BRANCH_IGNORES,
+    prefill: options.prefill !== false,
+    validate: options.validate !== false,
+  };
+};
+
+/**
+ * Resolve the commit conventions of a project from its config and layout
+ * The `commitlint` section of the project config can set:
+ * - `types`: types and their descriptions, merged over DEFAULT_TYPES (`null` removes one)
+ * - `scopes`: the allowed scopes, instead of the detected ones (`[]` allows any scope)
+ * - `scopeRequired`: reject commits without a scope
+ * - `ticket`: ask for a ticket ID, `{ pattern, required, footer }`, written as a
+ *   `footer` trailer (default "Refs: PROJ-123")
+ * - `branch`: branch naming for the prepare-commit-msg and pre-push hooks (see getBranchNaming)
+ * @param {string} cwd - Directory inside the project
+ * @returns {Promise<Object>} { types, scopes, scopeRequired, ticket, branch } with `ticket`
+ *   null when no ticket is asked for and `branch` null without branch naming
+ */
+export const resolveConventions = async (cwd) => {
+  const project = resolveProject(path.resolve(cwd));
+  // Quiet: this runs inside commitlint and commitizen, on every commit
+  const { commitlint = {} } = await withLogger({}, () => loadConfig(project.root));
+  const scopes = commitlint.scopes ?? detectScopes(project);
+  const ticket = commitlint.ticket;
+
+  return {
+    types: applyOverrides(DEFAULT_TYPES, commitlint.types),
+    scopes: scopes.length > 0 ? [...new Set([...scopes, ...COMMON_SCOPES])] : [],
+    scopeRequired: Boolean(commitlint.scopeRequired),
+    ticket: ticket
+      ? {
+          pattern: ticket.pattern ?? null,
+          required: Boolean(ticket.required),
+          footer: ticket.footer ?? DEFAULT_TICKET_FOOTER,
+        }
+      : null,
+    branch: getBranchNaming(commitlint.branch),
+  };
+};
+
+//* ============================================================================
+//* MESSAGES
+//* ============================================================================
+
+/**
+ * Find the ticket a commit message references in its footer
+ * @param {string} message - Full commit message
+ * @param {string} footer - Footer token, such as "Refs"
+ * @returns {string|null} Ticket ID, or null when the footer is missing
+ */
+export const findTicket = (message, footer) => {
+  const token = footer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`^${token}: *(.*)$`, 'im').exec(message);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Check a ticket ID against the pattern of the conventions
+ * @param {string} id - Ticket ID
+ * @param {Object} ticket - `ticket` of resolveConventions
+ * @returns {boolean} True if the ID matches (any ID does without a pattern)
+ */
+export const isValidTicket = (id, ticket) =>
+  !ticket.pattern || new RegExp(`^(?:${ticket.pattern})$`).test(id);
+
+// Lower-case first letter and no trailing period, as config-conventional expects
+const normalizeSubject = (subject) => {
+  const trimmed = subject.trim().replace(/\.+$/, '');
+  return trimmed.charAt(0).toLowerCase() + trimmed.slice(1);
+};
+
+const wrap = (text, width = MAX_LINE_LENGTH) =>
+  text
+    .split('\n')
+    .map((paragraph) => {
+      const lines = [];
+      paragraph.split(' ').forEach((word) => {
+        const last = lines.length - 1;
+        if (last >= 0 && `${lines[last]} ${word}`.length <= width) lines[last] += ` ${word}`;
+        else lines.push(word);
+      });
+      return lines.join('\n');
+    })
+    .join('\n');
+
+/**
+ * Build a commit message from the answers of the prompt
+ * @param {Object} answers - { type, scope, subject, body, breaking, issues, ticket }
+ * @param {Object} conventions - Result of resolveConventions
+ * @returns {string} Commit message
+ */
+export const formatCommitMessage = (answers, conventions) => {
+  const scope = answers.scope ? `(${answers.scope.trim()})` : '';
+  const header = `${answers.type}${scope}: ${normalizeSubject(answers.subject)}`;
+  const footer = [
+    answers.breaking && wrap(`BREAKING CHANGE: ${answers.breaking.trim()}`),
+    answers.issues && wrap(answers.issues.trim()),
+    answers.ticket && `${conventions.ticket.footer}: ${answers.ticket.trim()}`,
+  ].filter(Boolean);
+
+  return [header, answers.body && wrap(answers.body.trim()), footer.join('\n')]
+    .filter(Boolean)
+    .join('\n\n');
+};
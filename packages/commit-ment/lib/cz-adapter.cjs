@@ -0,0 +1,12 @@
+// commitizen loads its adapter with require(), so this entry point hands over to
+// the ES module prompt
+module.exports = {
+  prompter(cz, commit) {
+    import('./prompt.js')
+      .then(({ prompter }) => prompter(cz, commit))
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      });
+  },
+};
@@ -0,0 +1,91 @@
+import { CommandError } from '@tidyforge/core';
+import { execFileSync } from 'child_process';
+
+//* ============================================================================
+//* COMMIT HISTORY
+//* ============================================================================
+
+// Separators git cannot find in a commit message
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * Subjects git writes for `git commit --fixup` and `--squash`, squashed away by
+ * `git rebase --autosquash`
+ */
+const FIXUP_SUBJECT = /^(fixup|squash|amend)! /;
+
+/**
+ * Run git in a project and return its output
+ * Arguments are passed as is, so refs from the command line cannot run commands.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string[]} args - Arguments of the git command
+ * @returns {string} Standard output
+ * @throws {CommandError} When git fails (unknown ref, not a repository)
+ */
+export const runGit = (userRoot, args) => {
+  try {
+    return execFileSync('git', args, {
+      cwd: userRoot,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (err) {
+    const reason = err.stderr?.toString().trim().split('\n')[0];
+    throw new CommandError(reason || 'git failed', `git ${args.join(' ')}`);
+  }
+};
+
+/**
+ * Read the commits of a range, oldest first
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} range - { from, to, last, paths }: the commits after `from` up to `to`
+ *   (default HEAD), or the `last` N commits up to `to`, or the whole history up to `to`;
+ *   `paths` keeps the commits touching these paths (relative to userRoot)
+ * @returns {Object[]} Commits: { hash, parents, subject, message, merge, fixup }
+ * @throws {CommandError} When a ref cannot be resolved
+ */
+export const readCommits = (userRoot, { from, to = 'HEAD', last, paths = [] } = {}) => {
+  const format = ['%H', '%P', '%B'].join('%x1f') + '%x1e';
+  const args = ['log', '--reverse', `--format=${format}`];
+  if (last) args.push('-n', String(last), to);
+  else args.push(from ? `${from}..${to}` : to);
+
+  return runGit(userRoot, [...args, '--', ...paths])
+    .split(RECORD_SEPARATOR)
+    .map((record) => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, parents, body] = record.split(FIELD_SEPARATOR);
+      const message = body.replace(/\n+$/, '');
+      const subject = message.split('\n')[0];
+      const parentList = parents.split(' ').filter(Boolean);
+      return {
+        hash,
+        parents: parentList,
+        subject,
+        message,
+        merge: parentList.length > 1,
+        fixup: FIXUP_SUBJECT.test(subject),
+      };
+    });
+};
+
+/**
+ * Find the latest version tag reachable from HEAD
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} prefix - Tag prefix, such as "v" or "@scope/name@"
+ * @param {Object} [options] - { stable: skip prerelease tags such as v2.0.0-beta.1 }
+ * @returns {string|null} Tag name, or null when no version was tagged yet
+ */
+export const findLastTag = (userRoot, prefix, { stable = false } = {}) => {
+  const args = ['describe', '--tags', '--abbrev=0', '--match', `${prefix}[0-9]*`];
+  if (stable) args.push('--exclude', `${prefix}[0-9]*-*`);
+
+  try {
+    return runGit(userRoot, args).trim();
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,121 @@
+import {
+  formatCommitMessage,
+  isValidTicket,
+  MAX_LINE_LENGTH,
+  resolveConventions,
+} from './conventions.js';
+
+//* ============================================================================
+//* COMMITIZEN PROMPT
+//* ============================================================================
+
+const NO_SCOPE = '';
+
+const getTypeChoices = (types) => {
+  const width = Math.max(...Object.keys(types).map((type) => type.length)) + 1;
+  return Object.entries(types).map(([type, description]) => ({
+    name: `${`${type}:`.padEnd(width + 1)}${description}`,
+    value: type,
+  }));
+};
+
+// A list when the scopes are known, so the prompt cannot offer one commitlint rejects
+const getScopeQuestion = ({ scopes, scopeRequired }) => {
+  const message = `What is the scope of this change?${scopeRequired ? '' : ' (optional)'}`;
+  if (scopes.length === 0) {
+    return {
+      type: 'input',
+      name: 'scope',
+      message,
+      filter: (value) => value.trim().toLowerCase(),
+      validate: (value) => !scopeRequired || value.trim() !== '' || 'A scope is required',
+    };
+  }
+
+  return {
+    type: 'list',
+    name: 'scope',
+    message,
+    choices: [...(scopeRequired ? [] : [{ name: '(none)', value: NO_SCOPE }]), ...scopes],
+  };
+};
+
+const getTicketQuestion = (ticket) => ({
+  type: 'input',
+  name: 'ticket',
+  message: `Ticket ID${ticket.required ? '' : ' (press enter to skip)'}:`,
+  filter: (value) => value.trim(),
+  validate: (value) => {
+    if (value === '') return !ticket.required || 'A ticket ID is required';
+    return isValidTicket(value, ticket) || `The ticket ID must match ${ticket.pattern}`;
+  },
+});
+
+const getHeaderLength = ({ type, scope }) => `${type}${scope ? `(${scope})` : ''}: `.length;
+
+/**
+ * Questions of the prompt, in order
+ * @param {Object} conventions - Result of resolveConventions
+ * @returns {Object[]} Inquirer questions
+ */
+const getQuestions = (conventions) => [
+  {
+    type: 'list',
+    name: 'type',
+    message: 'Select the type of change that you are committing:',
+    choices: getTypeChoices(conventions.types),
+  },
+  getScopeQuestion(conventions),
+  ...(conventions.ticket ? [getTicketQuestion(conventions.ticket)] : []),
+  {
+    type: 'input',
+    name: 'subject',
+    message: (answers) =>
+      `Write a short, imperative tense description of the change (max ${
+        MAX_LINE_LENGTH - getHeaderLength(answers)
+      } chars):`,
+    filter: (value) => value.trim(),
+    validate: (value, answers) => {
+      if (value === '') return 'A description is required';
+      const max = MAX_LINE_LENGTH - getHeaderLength(answers);
+      return value.length <= max || `The description is ${value.length} chars, the max is ${max}`;
+    },
+  },
+  {
+    type: 'input',
+    name: 'body',
+    message: 'Provide a longer description of the change (press enter to skip):',
+  },
+  {
+    type: 'confirm',
+    name: 'isBreaking',
+    message: 'Are there any breaking changes?',
+    default: false,
+  },
+  {
+    type: 'input',
+    name: 'breaking',
+    message: 'Describe the breaking changes:',
+    when: (answers) => answers.isBreaking,
+    validate: (value) => value.trim() !== '' || 'A breaking change needs a description',
+  },
+  {
+    type: 'input',
+    name: 'issues',
+    message: 'Add issue references (e.g. "fix #123", "re #123") (press enter to skip):',
+  },
+];
+
+/**
+ * commitizen adapter: ask for a commit with the types, scopes and ticket
+ * footer of the project, the same conventions the generated commitlint config
+ * enforces (see defineCommitlintConfig)
+ * @param {Object} cz - commitizen, whose `prompt` is inquirer's
+ * @param {Function} commit - Callback receiving the commit message
+ * @returns {Promise<void>} Resolves once the message is passed to commit
+ */
+export const prompter = async (cz, commit) => {
+  const conventions = await resolveConventions(process.cwd());
+  const answers = await cz.prompt(getQuestions(conventions));
+  commit(formatCommitMessage(answers, conventions));
+};
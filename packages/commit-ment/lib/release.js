@@ -0,0 +1,352 @@
+import {
+  FileError,
+  incrementVersion,
+  log,
+  parseVersion,
+  readJSON,
+  UsageError,
+  writeJSON,
+} from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+import { findLastTag, readCommits, runGit } from './history.js';
+
+//* ============================================================================
+//* CONVENTIONAL COMMITS
+//* ============================================================================
+
+const HEADER = /^(\w+)(?:\(([^()]*)\))?(!)?: (.+)$/;
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE: ([\s\S]*)/m;
+
+/**
+ * Changelog sections, in order; commits of other types are left out
+ * unless they break something
+ */
+const TYPE_TITLES = {
+  feat: 'Features',
+  fix: 'Bug Fixes',
+  perf: 'Performance Improvements',
+  revert: 'Reverts',
+};
+
+/**
+ * Release types by rank, as returned by getBump
+ */
+const BUMPS = ['patch', 'minor', 'major'];
+
+/**
+ * Parse the message of a conventional commit
+ * @param {Object} commit - Commit returned by readCommits
+ * @returns {Object|null} { hash, type, scope, subject, breaking } with `breaking`
+ *   the breaking change note (or null), or null for other messages
+ */
+export const parseConventionalCommit = ({ hash, subject: header, message }) => {
+  const match = HEADER.exec(header);
+  if (!match) return null;
+
+  const [, type, scope = null, bang, subject] = match;
+  // The note ends at the first blank line, like any footer
+  const footer = BREAKING_FOOTER.exec(message.split('\n').slice(1).join('\n'));
+  const note = footer
+    ? footer[1]
+        .split(/\n\s*\n/)[0]
+        .replace(/\s*\n\s*/g, ' ')
+        .trim()
+    : null;
+
+  return {
+    hash,
+    type: type.toLowerCase(),
+    scope,
+    subject,
+    breaking: note || (bang ? subject : null),
+  };
+};
+
+/**
+ * Work out the release type a set of commits calls for
+ * @param {Object[]} commits - Parsed conventional commits
+ * @returns {string|null} major, minor, patch, or null when nothing is releasable
+ */
+export const getBump = (commits) => {
+  const ranks = commits.map(({ type, breaking }) => {
+    if (breaking) return 2;
+    if (type === 'feat') return 1;
+    return type === 'fix' || type === 'perf' ? 0 : -1;
+  });
+  const rank = Math.max(-1, ...ranks);
+  return rank < 0 ? null : BUMPS[rank];
+};
+
+//* ============================================================================
+//* CHANGELOG
+//* ============================================================================
+
+// Scoped entries are grouped by scope, the others follow
+const compareScopes = (a, b) => {
+  if (a.scope === b.scope) return 0;
+  if (a.scope === null) return 1;
+  if (b.scope === null) return -1;
+  return a.scope.localeCompare(b.scope);
+};
+
+const formatEntry = (scope, text, hash) =>
+  `- ${scope ? `**${scope}:** ` : ''}${text}${hash ? ` (${hash.slice(0, 7)})` : ''}`;
+
+/**
+ * Render the changelog section of a release
+ * @param {string} version - Released version
+ * @param {Object[]} commits - Parsed conventional commits of the release
+ * @param {string} [date] - Release date (default: today, as YYYY-MM-DD)
+ * @returns {string} Markdown section, ending with a blank line
+ */
+export const renderChangelogSection = (
+  version,
+  commits,
+  date = new Date().toISOString().slice(0, 10)
+) => {
+  const groups = [];
+  const breaking = commits.filter((commit) => commit.breaking).sort(compareScopes);
+  if (breaking.length > 0) {
+    groups.push([
+      '### ⚠ BREAKING CHANGES',
+      breaking.map(({ scope, breaking: note }) => formatEntry(scope, note)),
+    ]);
+  }
+
+  Object.entries(TYPE_TITLES).forEach(([type, title]) => {
+    const entries = commits.filter((commit) => commit.type === type).sort(compareScopes);
+    if (entries.length === 0) return;
+    groups.push([
+      `### ${title}`,
+      entries.map(({ scope, subject, hash }) => formatEntry(scope, subject, hash)),
+    ]);
+  });
+
+  return [
+    `## ${version} (${date})`,
+    '',
+    ...groups.flatMap(([heading, lines]) => [heading, '', ...lines, '']),
+  ].join('\n');
+};
+
+/**
+ * Add a release section at the top of a changelog, below its title
+ * @param {string} content - Current changelog ('' when there is none)
+ * @param {string} section - Section returned by renderChangelogSection
+ * @returns {string} Updated changelog
+ */
+export const prependChangelog = (content, section) => {
+  if (content.trim() === '') return `# Changelog\n\n${section}`;
+
+  const title = /^# .*\n+/.exec(content);
+  if (!title) return `${section}\n${content}`;
+  return `${title[0].replace(/\n+$/, '\n\n')}${section}\n${content.slice(title[0].length)}`;
+};
+
+/**
+ * Prepend a release section to a package's CHANGELOG.md, creating it if needed
+ * @param {string} changelogPath - Absolute path of the changelog
+ * @param {string} section - Section returned by renderChangelogSection
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @throws {FileError} When the changelog cannot be written
+ */
+const writeChangelog = (changelogPath, section, plan) => {
+  const exists = fs.existsSync(changelogPath);
+  const before = exists ? fs.readFileSync(changelogPath, 'utf-8') : '';
+  const after = prependChangelog(before, section);
+
+  plan.record({
+    kind: 'file',
+    action: exists ? 'update' : 'create',
+    name: plan.relative(changelogPath),
+    before,
+    after,
+  });
+  if (plan.dryRun) return;
+
+  try {
+    plan.journal.trackFile(changelogPath);
+    fs.writeFileSync(changelogPath, after);
+    log.success(`${plan.relative(changelogPath)} ${exists ? 'updated' : 'created'}`);
+  } catch (err) {
+    throw new FileError('Failed to write CHANGELOG.md', changelogPath, err);
+  }
+};
+
+//* ============================================================================
+//* RELEASE
+//* ============================================================================
+
+/**
+ * List the packages a release covers, each tagged separately
+ * The root package is released on its own (tags such as v1.2.0); in a monorepo
+ * every workspace package with a version is (tags such as @scope/name@1.2.0).
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object[]} workspaces - Workspace packages picked with --workspace (all if empty)
+ * @returns {Object[]} { name, dir, paths, tagPrefix }
+ */
+const getReleaseTargets = (project, workspaces) => {
+  if (!project.workspaceRoot) {
+    return [{ name: null, dir: project.root, paths: [], tagPrefix: 'v' }];
+  }
+
+  return (workspaces.length > 0 ? workspaces : project.workspaces)
+    .filter(({ dir }) => readJSON(path.join(dir, 'package.json')).version !== undefined)
+    .map(({ name, dir, path: relative }) => ({
+      name,
+      dir,
+      paths: [relative],
+      tagPrefix: `${name}@`,
+    }));
+};
+
+/**
+ * Work out the next version of a package
+ * Without any tag the current version is released as is. A stable release
+ * covers the commits since the last stable tag, so it can promote a prerelease;
+ * a prerelease only lists the commits since the previous tag of any kind, but
+ * takes its bump from the stable tag too. A prerelease needs a releasable commit
+ * since the previous tag, so running it again does not publish an empty one.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} target - Package returned by getReleaseTargets
+ * @param {string} current - Current version
+ * @param {string} [preid] - Prerelease identifier
+ * @returns {Object} { since, bump, version, commits }: `bump` is null when nothing
+ *   is releasable
+ */
+const planVersion = (userRoot, target, current, preid) => {
+  const read = (from) =>
+    readCommits(userRoot, { from, paths: target.paths })
+      .map(parseConventionalCommit)
+      .filter(Boolean);
+  const lastTag = findLastTag(userRoot, target.tagPrefix);
+  const stableTag = findLastTag(userRoot, target.tagPrefix, { stable: true });
+  const since = preid ? lastTag : stableTag;
+  const commits = read(since);
+
+  if (!lastTag) {
+    const isPrerelease = current.includes('-');
+    const version = preid && !isPrerelease ? `${current}-${preid}.0` : current;
+    return { since, bump: 'first', version, commits };
+  }
+
+  if (since !== stableTag && !getBump(commits)) {
+    return { since, bump: null, version: null, commits };
+  }
+
+  const bump = getBump(since === stableTag ? commits : read(stableTag));
+  return { since, bump, version: bump && incrementVersion(current, bump, preid), commits };
+};
+
+/**
+ * Release one package: bump its version and prepend its changelog
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} target - Package returned by getReleaseTargets
+ * @param {Object} options - { preid }
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Object|null} { name, previous, version, bump, tag, commits },
+ *   or null when there is nothing to release
+ */
+const releasePackage = (userRoot, target, { preid }, plan) => {
+  const pkgPath = path.join(target.dir, 'package.json');
+  const pkg = readJSON(pkgPath);
+  const label = target.name ?? pkg.name ?? 'package.json';
+  if (!parseVersion(pkg.version)) {
+    throw new UsageError(`${label}: invalid version "${pkg.version}" in package.json`);
+  }
+
+  const { since, bump, version, commits } = planVersion(userRoot, target, pkg.version, preid);
+  if (!bump) {
+    const range = since ? `since ${since}` : 'in the history';
+    log.info(`${label}: no feat, fix or breaking change ${range}, nothing to release`);
+    return null;
+  }
+
+  const from = version === pkg.version ? '' : `${pkg.version} → `;
+  log.info(`${label}: ${from}${version} (${bump}, ${commits.length} conventional commit(s))`);
+
+  writeJSON(pkgPath, { ...pkg, version }, plan);
+
+  const changelogPath = path.join(target.dir, 'CHANGELOG.md');
+  const section = renderChangelogSection(version, commits);
+  if (plan.dryRun) log.print(`\n${section}`);
+  writeChangelog(changelogPath, section, plan);
+
+  return {
+    name: target.name ?? pkg.name,
+    previous: pkg.version,
+    version,
+    bump,
+    tag: `${target.tagPrefix}${version}`,
+    commits: commits.length,
+  };
+};
+
+/**
+ * Commit the released files and create an annotated tag per package
+ * Only the release files are committed, whatever else is staged. A failure
+ * after the commit resets it and deletes the tags already created.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object[]} releases - Results of releasePackage
+ * @param {string[]} files - Files the releases changed
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @throws {UsageError} When a tag already exists
+ */
+const tagReleases = (userRoot, releases, files, plan) => {
+  const tags = releases.map(({ tag }) => tag);
+  const taken = runGit(userRoot, ['tag', '--list', ...tags])
+    .split('\n')
+    .filter(Boolean);
+  if (taken.length > 0) {
+    throw new UsageError(`Tag(s) already exist: ${taken.join(', ')}`);
+  }
+
+  releases.forEach(({ tag, version }) => {
+    plan.record({ kind: 'tag', action: 'create', name: tag, detail: `annotated, ${version}` });
+  });
+  if (plan.dryRun) return;
+
+  const head = runGit(userRoot, ['rev-parse', 'HEAD']).trim();
+  runGit(userRoot, ['add', '--', ...files]);
+  runGit(userRoot, ['commit', '-m', `chore(release): ${tags.join(', ')}`, '--', ...files]);
+  plan.journal.onRollback('git:release-commit', () => {
+    runGit(userRoot, ['reset', '--soft', head]);
+    runGit(userRoot, ['reset', '-q', head, '--', ...files]);
+  });
+
+  tags.forEach((tag) => {
+    runGit(userRoot, ['tag', '-a', tag, '-m', tag]);
+    plan.journal.onRollback(`git:tag:${tag}`, () => runGit(userRoot, ['tag', '-d', tag]));
+    log.success(`Tagged ${tag}`);
+  });
+};
+
+/**
+ * Release the packages of a project from their conventional commits
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object[]} workspaces - Workspace packages to release (all if empty)
+ * @param {Object} options - { tag: commit and tag the release, preid: prerelease identifier }
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Object[]} Releases: { name, previous, version, bump, tag, commits }, with
+ *   `bump` major, minor, patch or "first" for a package without a version tag yet
+ * @throws {UsageError} When the prerelease identifier or a version is invalid
+ * @throws {CommandError} When a git command fails
+ */
+export const releasePackages = (project, workspaces, { tag = false, preid } = {}, plan) => {
+  if (preid !== undefined && !/^[0-9A-Za-z-]+$/.test(preid)) {
+    throw new UsageError('--preid must only contain letters, digits and hyphens');
+  }
+
+  const releases = [];
+  const files = [];
+  for (const target of getReleaseTargets(project, workspaces)) {
+    const release = releasePackage(project.root, target, { preid }, plan);
+    if (!release) continue;
+    releases.push(release);
+    files.push(path.join(target.dir, 'package.json'), path.join(target.dir, 'CHANGELOG.md'));
+  }
+
+  if (tag && releases.length > 0) tagReleases(project.root, releases, files, plan);
+  return releases;
+};
@@ -0,0 +1,158 @@
+import {
+  createLogger,
+  createPlan,
+  resolveProject,
+  runTransaction,
+  setLogger,
+} from '@tidyforge/core';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import {
+  getBump,
+  parseConventionalCommit,
+  prependChangelog,
+  releasePackages,
+  renderChangelogSection,
+} from './release.js';
+
+const commit = (subject, body = '', hash = 'a1b2c3d4e5f6') =>
+  parseConventionalCommit({ hash, subject, message: body ? `${subject}\n\n${body}` : subject });
+
+describe('parseConventionalCommit', () => {
+  test('reads the type, scope and subject', () => {
+    assert.deepEqual(commit('Feat(api): add users'), {
+      hash: 'a1b2c3d4e5f6',
+      type: 'feat',
+      scope: 'api',
+      subject: 'add users',
+      breaking: null,
+    });
+  });
+
+  test('takes the breaking change note from the footer, or the subject after a bang', () => {
+    const footer = commit(
+      'fix: drop v1',
+      'Body.\n\nBREAKING CHANGE: the v1 API\nis gone\n\nRefs: #1'
+    );
+    assert.equal(footer.breaking, 'the v1 API is gone');
+    assert.equal(commit('refactor!: rename options').breaking, 'rename options');
+  });
+
+  test('returns null for other messages', () => {
+    assert.equal(commit('Update README'), null);
+  });
+});
+
+describe('getBump', () => {
+  test('picks the highest release type', () => {
+    assert.equal(getBump([commit('fix: a'), commit('feat: b')]), 'minor');
+    assert.equal(getBump([commit('perf: a'), commit('chore!: b')]), 'major');
+    assert.equal(getBump([commit('fix: a')]), 'patch');
+  });
+
+  test('returns null when no commit is releasable', () => {
+    assert.equal(getBump([commit('docs: a'), commit('chore: b')]), null);
+  });
+});
+
+describe('renderChangelogSection', () => {
+  test('groups the commits by section, scoped entries first', () => {
+    const commits = [
+      commit('fix: handle empty input', '', '1111111aaaa'),
+      commit('feat: add export', '', '2222222bbbb'),
+      commit('feat(cli)!: rename --out', '', '3333333cccc'),
+      commit('chore: bump deps', '', '4444444dddd'),
+    ];
+
+    assert.equal(
+      renderChangelogSection('2.0.0', commits, '2024-05-01'),
+      [
+        '## 2.0.0 (2024-05-01)',
+        '',
+        '### ⚠ BREAKING CHANGES',
+        '',
+        '- **cli:** rename --out',
+        '',
+        '### Features',
+        '',
+        '- **cli:** rename --out (3333333)',
+        '- add export (2222222)',
+        '',
+        '### Bug Fixes',
+        '',
+        '- handle empty input (1111111)',
+        '',
+      ].join('\n')
+    );
+  });
+});
+
+describe('prependChangelog', () => {
+  const section = '## 1.1.0 (2024-05-01)\n\n### Features\n\n- b\n';
+
+  test('creates a changelog with a title', () => {
+    assert.equal(prependChangelog('', section), `# Changelog\n\n${section}`);
+  });
+
+  test('adds the section below the title, above the previous releases', () => {
+    const content = '# Changelog\n\n## 1.0.0 (2024-01-01)\n\n- a\n';
+    assert.equal(
+      prependChangelog(content, section),
+      `# Changelog\n\n${section}\n## 1.0.0 (2024-01-01)\n\n- a\n`
+    );
+  });
+});
+
+describe('releasePackages', () => {
+  let root;
+  const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf-8' }).trim();
+
+  beforeEach(() => {
+    setLogger(createLogger({ level: 'silent' }));
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-release-'));
+    git('init', '-q');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    fs.writeFileSync(
+      path.join(root, 'package.json'),
+      '{\n  "name": "app",\n  "version": "1.0.0"\n}\n'
+    );
+    git('add', '-A');
+    git('commit', '-qm', 'chore: init');
+    git('tag', 'v1.0.0');
+    git('commit', '-q', '--allow-empty', '-m', 'feat: add b');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const release = () => {
+    const plan = createPlan({ root });
+    return runTransaction(plan, () =>
+      releasePackages(resolveProject(root), [], { tag: true }, plan)
+    );
+  };
+
+  test('commits the release and tags it', async () => {
+    const [result] = await release();
+    assert.equal(result.version, '1.1.0');
+    assert.equal(git('log', '-1', '--format=%s'), 'chore(release): v1.1.0');
+    assert.equal(git('describe', '--tags', '--exact-match'), 'v1.1.0');
+  });
+
+  test('undoes the commit when the tag cannot be created', async () => {
+    const head = git('rev-parse', 'HEAD');
+    // A stale ref lock makes `git tag` fail after the commit
+    fs.writeFileSync(path.join(root, '.git', 'refs', 'tags', 'v1.1.0.lock'), '');
+
+    await assert.rejects(release());
+    assert.equal(git('rev-parse', 'HEAD'), head);
+    assert.equal(git('status', '--porcelain'), '');
+    assert.equal(git('tag', '--list'), 'v1.0.0');
+  });
+});
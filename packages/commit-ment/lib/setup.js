@@ -0,0 +1,498 @@
+import {
+  applyOverrides,
+  CHECK_STATUS,
+  CONFIRM,
+  describeProject,
+  ensureHooksReady,
+  findConfigFile,
+  getDependencyChecks,
+  getHookChecks,
+  getToolDependencies,
+  installDevDependencies,
+  installHookFiles,
+  loadConfig,
+  log,
+  mergePackageConfig,
+  validatePackageJson,
+  mergeScripts,
+  readJSON,
+  recordSetup,
+  readHookBlocks,
+  resolveHookBackend,
+  resolveProject,
+  runApiCommand,
+  runApiDoctor,
+  runChecks,
+  selectWorkspaces,
+  toSource,
+  uninstallTool,
+  upgradeTool,
+  writeFile,
+  withLogger,
+  writeJSON,
+} from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCurrentBranch, prefillMessage, validateBranch } from './branch.js';
+import { checkCommits, summarizeCommits } from './check.js';
+import { getBranchNaming, resolveConventions } from './conventions.js';
+import { releasePackages } from './release.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TOOL = 'commit-ment';
+export const TITLE = 'Commit-ment';
+
+const packageRoot = path.resolve(__dirname, '..');
+const configsDir = path.join(packageRoot, 'configs');
+const hooksDir = path.join(packageRoot, 'hooks');
+
+const COMMITLINT_PRESET = '@commitlint/config-conventional';
+
+const SCRIPTS = { commit: 'cz' };
+
+// The commitizen adapter and the commitlint config helper ship with commit-ment itself
+const DEV_DEPENDENCIES = [
+  '@commitlint/cli',
+  '@commitlint/config-conventional',
+  'commitizen',
+  `@tidyforge/${TOOL}`,
+];
+
+const COMMITLINT_CONFIGS = [
+  '.commitlintrc',
+  '.commitlintrc.json',
+  '.commitlintrc.yaml',
+  '.commitlintrc.yml',
+  '.commitlintrc.js',
+  '.commitlintrc.cjs',
+  '.commitlintrc.mjs',
+  '.commitlintrc.ts',
+  '.commitlintrc.cts',
+  'commitlint.config.js',
+  'commitlint.config.cjs',
+  'commitlint.config.mjs',
+  'commitlint.config.ts',
+  'commitlint.config.cts',
+];
+
+const COMMITIZEN_CONFIG = {
+  commitizen: {
+    path: `@tidyforge/${TOOL}/lib/cz-adapter.cjs`,
+  },
+};
+
+const getVersion = () => readJSON(path.join(packageRoot, 'package.json')).version;
+
+// Entries of a config section about what commit-ment adds; pretty-please adds the others
+const pickOwn = (map = {}, names) =>
+  Object.fromEntries(Object.entries(map).filter(([name]) => names.includes(name)));
+
+// The template is kept byte for byte unless the project config sets a preset or rules
+const getCommitlintConfig = (config) => {
+  const { preset = COMMITLINT_PRESET, rules = {} } = config.commitlint ?? {};
+  if (preset === COMMITLINT_PRESET && Object.keys(rules).length === 0) {
+    return fs.readFileSync(path.join(configsDir, 'commitlint.config.mjs'), 'utf-8');
+  }
+
+  const ruleLines = Object.entries(rules).map(
+    ([rule, value]) => `      ${toSource(rule)}: ${toSource(value)},`
+  );
+
+  return [
+    `import { defineCommitlintConfig } from '@tidyforge/${TOOL}/lib/commitlint.js';`,
+    '',
+    '// Types, scopes and the ticket footer come from the tidyforge config, as in "npm run commit"',
+    'export default defineCommitlintConfig(',
+    '  {',
+    `    extends: [${toSource(preset)}],`,
+    ...(ruleLines.length > 0 ? ['    rules: {', ...ruleLines, '    },'] : []),
+    '  },',
+    '  import.meta.url',
+    ');',
+    '',
+  ].join('\n');
+};
+
+// prepare-commit-msg and pre-push only come with branch naming (`commitlint.branch`)
+const getHookNames = (config) => {
+  const branch = getBranchNaming(config.commitlint?.branch);
+  return [
+    'commit-msg',
+    ...(branch?.prefill ? ['prepare-commit-msg'] : []),
+    ...(branch?.validate ? ['pre-push'] : []),
+  ];
+};
+
+const getScripts = (config) =>
+  applyOverrides(SCRIPTS, pickOwn(config.scripts, Object.keys(SCRIPTS)));
+
+const setupCommitlintStep = async (userRoot, config, options, plan) => {
+  const dest = path.join(userRoot, 'commitlint.config.mjs');
+  await writeFile(dest, getCommitlintConfig(config), 'config file', options.overwrite, plan);
+};
+
+const setupScriptsStep = (pkg, config, plan) => {
+  mergeScripts(pkg, getScripts(config), false, plan);
+
+  mergePackageConfig(pkg, 'config', COMMITIZEN_CONFIG, true, plan);
+};
+
+// commitizen reads its adapter from the nearest package.json, so each package gets both
+const setupWorkspacesStep = (workspaces, config, plan) => {
+  workspaces.forEach((workspace) => {
+    const workspacePkgPath = path.join(workspace.dir, 'package.json');
+    const workspacePkg = readJSON(workspacePkgPath);
+
+    setupScriptsStep(workspacePkg, config, plan.forWorkspace(workspace.path));
+    writeJSON(workspacePkgPath, workspacePkg, plan);
+  });
+};
+
+// package.json is written first: some backends keep the hooks in it
+const setupHooksStep = (userRoot, pkgPath, pkg, config, backend, plan) => {
+  mergeScripts(pkg, { prepare: backend.getPrepareScript(userRoot) }, false, plan);
+  writeJSON(pkgPath, pkg, plan);
+  installHookFiles(hooksDir, userRoot, TOOL, backend, plan, getHookNames(config));
+};
+
+const activateHooksStep = async (userRoot, backend, options, plan) => {
+  if (plan.dryRun) return;
+  await ensureHooksReady(userRoot, backend, options.confirm, plan);
+};
+
+const getDoctorChecks = (userRoot, config, backend) => {
+  const pkgPath = path.join(userRoot, 'package.json');
+
+  return [
+    ...getHookChecks(userRoot, hooksDir, TOOL, backend, getHookNames(config)),
+    ...getDependencyChecks(userRoot, getDependencies(config)),
+    {
+      id: 'commitlint-config',
+      title: 'commitlint config',
+      run: () => {
+        const pkg = readJSON(pkgPath);
+        const found =
+          findConfigFile(userRoot, COMMITLINT_CONFIGS) ??
+          (pkg.commitlint && 'package.json#commitlint');
+        return found
+          ? { status: CHECK_STATUS.PASS, message: `${found} found` }
+          : {
+              status: CHECK_STATUS.FAIL,
+              message: 'no configuration found, commitlint rejects every message',
+              hint: `Run: npx @tidyforge/${TOOL}`,
+            };
+      },
+      fix: () =>
+        writeFile(
+          path.join(userRoot, 'commitlint.config.mjs'),
+          getCommitlintConfig(config),
+          'config file',
+          CONFIRM.NO
+        ),
+    },
+    {
+      id: 'commitizen-adapter',
+      title: 'commitizen adapter',
+      run: () => {
+        const adapter = readJSON(pkgPath).config?.commitizen?.path;
+        return adapter
+          ? { status: CHECK_STATUS.PASS, message: `config.commitizen.path is ${adapter}` }
+          : {
+              status: CHECK_STATUS.WARN,
+              message: 'config.commitizen.path is not set, "npm run commit" has no prompts',
+              hint: `Set config.commitizen.path to "${COMMITIZEN_CONFIG.commitizen.path}"`,
+            };
+      },
+      fix: () => {
+        const current = readJSON(pkgPath);
+        mergePackageConfig(current, 'config', COMMITIZEN_CONFIG, true);
+        writeJSON(pkgPath, current);
+        return true;
+      },
+    },
+  ];
+};
+
+// The commitlint preset of the project config replaces config-conventional
+const getDependencies = (config, backend) => {
+  const preset = config.commitlint?.preset ?? COMMITLINT_PRESET;
+  const names = [
+    ...DEV_DEPENDENCIES.map((name) => (name === COMMITLINT_PRESET ? preset : name)),
+    ...(backend?.dependency ? [backend.dependency] : []),
+  ];
+
+  return {
+    ...getToolDependencies(packageRoot, names),
+    [`@tidyforge/${TOOL}`]: `^${getVersion()}`,
+    ...pickOwn(config.dependencies, names),
+  };
+};
+
+const getTemplates = (userRoot, config, backend) => ({
+  files: { 'commitlint.config.mjs': getCommitlintConfig(config) },
+  hooks: readHookBlocks(hooksDir, userRoot, getHookNames(config)),
+  scripts: { ...getScripts(config), prepare: backend.getPrepareScript(userRoot) },
+  config: { config: COMMITIZEN_CONFIG },
+  workspace: { scripts: getScripts(config), config: { config: COMMITIZEN_CONFIG } },
+  dependencies: getDependencies(config, backend),
+});
+
+//* ============================================================================
+//* COMMANDS
+//* ============================================================================
+
+/**
+ * Remove everything commit-ment added to a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { removed }
+ */
+export const uninstall = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Uninstall dry run\n` : `${TITLE} • Uninstalling...\n`);
+
+  const removed = await uninstallTool(project.root, TOOL, options, plan);
+  if (removed && !plan.dryRun) log.success(`${TOOL} removed from the project.`);
+
+  return { removed };
+};
+
+/**
+ * Check the hooks, configs and dependencies of a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { hooks: backend name, fix: repair what can be repaired }
+ * @returns {Promise<Object[]>} Results of runChecks
+ */
+export const doctor = async (project, { hooks = null, fix = false, config } = {}) => {
+  validatePackageJson(path.join(project.root, 'package.json'));
+  const backend = resolveHookBackend(project.root, hooks);
+  const projectConfig = await loadConfig(project.root, config);
+
+  return runChecks(getDoctorChecks(project.root, projectConfig, backend), { fix });
+};
+
+/**
+ * Lint the commit messages of a range, such as the commits of a pull request
+ * `commitlint.check` in the project config sets the defaults of the skip options,
+ * which an explicit true or false overrides.
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { from, to, last, skipMerges, skipFixups, config }
+ * @returns {Promise<Object[]>} Results of checkCommits
+ */
+export const check = async (project, { skipMerges, skipFixups, config, ...range } = {}) => {
+  const projectConfig = await loadConfig(project.root, config);
+  const defaults = projectConfig.commitlint?.check ?? {};
+
+  return checkCommits(project.root, {
+    ...range,
+    skipMerges: skipMerges ?? defaults.skipMerges ?? false,
+    skipFixups: skipFixups ?? defaults.skipFixups ?? false,
+  });
+};
+
+/**
+ * Pre-fill a commit message from the branch name, for the prepare-commit-msg hook
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - { file: commit message file, source: message source }
+ * @returns {Promise<boolean>} True if the message was pre-filled
+ */
+export const prefill = async (project, { file, source }) => {
+  const conventions = await resolveConventions(project.root);
+  if (!conventions.branch) return false;
+
+  return prefillMessage(project.root, path.resolve(file), source, conventions);
+};
+
+/**
+ * Check the name of a branch, for the pre-push hook or CI
+ * Without `commitlint.branch` in the project config the default naming applies.
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { branch: name to check (default: the current branch) }
+ * @returns {Promise<Object>} { branch, problems } with `branch` null on a detached HEAD
+ */
+export const checkBranch = async (project, { branch } = {}) => {
+  const conventions = await resolveConventions(project.root);
+  const name = branch ?? getCurrentBranch(project.root);
+  if (!name) return { branch: null, problems: [] };
+
+  const naming = conventions.branch ?? getBranchNaming(true);
+  return { branch: name, problems: validateBranch(name, { ...conventions, branch: naming }) };
+};
+
+/**
+ * Release the project, or each workspace package in a monorepo: bump the version
+ * from the conventional commits since the last tag and prepend CHANGELOG.md
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions) with { tag, preid }
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { releases }
+ */
+export const release = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Release dry run\n` : `${TITLE} • Releasing...\n`);
+
+  const workspaces = project.workspaceRoot ? selectWorkspaces(project, options.workspaces) : [];
+  const releases = releasePackages(project, workspaces, options, plan);
+  if (releases.length > 0 && !plan.dryRun) {
+    log.success(`Released ${releases.map(({ tag }) => tag).join(', ')}`);
+  }
+
+  return { releases };
+};
+
+/**
+ * Merge the templates of this version into a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { upgraded, conflicts, version }
+ */
+export const upgrade = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Upgrade dry run\n` : `${TITLE} • Upgrading...\n`);
+
+  const userRoot = project.root;
+  validatePackageJson(path.join(userRoot, 'package.json'));
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  const { upgraded, conflicts } = await upgradeTool(
+    userRoot,
+    { name: TOOL, version },
+    getTemplates(userRoot, config, resolveHookBackend(userRoot, options.hooks)),
+    options,
+    plan
+  );
+
+  if (upgraded && !plan.dryRun) {
+    if (conflicts > 0) {
+      log.warn(`${conflicts} conflicting change(s) left as conflict markers or local values.`);
+    } else {
+      log.success(`${TOOL} upgraded to ${version}.`);
+    }
+  }
+
+  return { upgraded, conflicts, version };
+};
+
+/**
+ * Set up commitlint, commitizen and the commit-msg hook in a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { backend, version }
+ */
+export const setup = async (project, options, plan) => {
+  const userRoot = project.root;
+  const workspaces = selectWorkspaces(project, options.workspaces);
+  const step = (msg) => !plan.dryRun && log.info(msg);
+
+  log.info(plan.dryRun ? `${TITLE} • Dry run\n` : `${TITLE} • Setting up...\n`);
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = validatePackageJson(pkgPath);
+  const backend = resolveHookBackend(userRoot, options.hooks);
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  if (project.workspaceRoot) log.info(describeProject(project));
+
+  step('[1/5] • Preparing commitlint configuration...');
+  await setupCommitlintStep(userRoot, config, options, plan);
+
+  step('\n[2/5] • Configuring commit scripts...');
+  setupScriptsStep(pkg, config, plan);
+  setupWorkspacesStep(workspaces, config, plan);
+
+  step(`\n[3/5] • Installing Git hooks (${backend.label})...`);
+  setupHooksStep(userRoot, pkgPath, pkg, config, backend, plan);
+
+  step('\n[4/5] • Installing dependencies...');
+  if (options.install) {
+    await installDevDependencies(userRoot, getDependencies(config, backend), options.confirm, plan);
+  } else {
+    step('Skipped (--skip-install)');
+  }
+
+  step('\n[5/5] • Activating Git hooks...');
+  if (options.install) {
+    await activateHooksStep(userRoot, backend, options, plan);
+  } else {
+    step(`Skipped (--skip-install), run: ${backend.initCommand}`);
+  }
+
+  if (!plan.dryRun) {
+    recordSetup(userRoot, { name: TOOL, version }, plan, options.manifest);
+    log.info('\nSetup success! Use "npm run commit" for guided commits.');
+  }
+
+  return { backend: backend.name, version };
+};
+
+//* ============================================================================
+//* PROGRAMMATIC API
+//* ============================================================================
+
+/**
+ * Set up commit-ment in a project without prompting
+ * The run is a transaction: on failure the project is restored and the promise
+ * rejects with a TidyforgeError.
+ * @param {Object} [options] - API options
+ * @param {string} [options.cwd] - Directory of the project (defaults to process.cwd())
+ * @param {boolean} [options.overwrite] - Overwrite an existing commitlint config (default: keep it)
+ * @param {boolean} [options.install] - Install the dependencies and activate the hooks
+ *   (default: true)
+ * @param {string} [options.hooks] - Hook backend: husky, native, simple-git-hooks or lefthook
+ *   (detected by default)
+ * @param {Object} [options.logger] - { info, success, warning, error } receiving the messages
+ *   (default: the console, `{}` silences the run)
+ * @param {boolean} [options.dryRun] - Only compute the changes
+ * @param {Object} [options.config] - Project config applied over tidyforge.config.* (same shape)
+ * @returns {Promise<Object>} { files: { created, updated, removed, skipped, failed }, scripts,
+ *   hooks,
+ *   dependencies, changed, changes, backend, version }
+ */
+export const setupCommitMent = (options) => runApiCommand(setup, options);
+
+/**
+ * Merge the templates of this version into a project set up by commit-ment
+ * @param {Object} [options] - API options (see setupCommitMent)
+ * @returns {Promise<Object>} Same summary as setupCommitMent, with { upgraded, conflicts, version }
+ */
+export const upgradeCommitMent = (options) => runApiCommand(upgrade, options);
+
+/**
+ * Remove everything commit-ment added to a project
+ * @param {Object} [options] - API options (see setupCommitMent)
+ * @returns {Promise<Object>} Same summary as setupCommitMent, with { removed }
+ */
+export const uninstallCommitMent = (options) => runApiCommand(uninstall, options);
+
+/**
+ * Check the hooks, configs and dependencies of a project
+ * @param {Object} [options] - { cwd, hooks, fix, logger }
+ * @returns {Promise<Object>} { ok, summary, checks }
+ */
+export const doctorCommitMent = (options) => runApiDoctor(doctor, options);
+
+/**
+ * Release the project, or each workspace package in a monorepo
+ * @param {Object} [options] - API options (see setupCommitMent), with `tag` to commit and tag
+ *   the release and `preid` for a prerelease
+ * @returns {Promise<Object>} Same summary as setupCommitMent, with { releases }
+ */
+export const releaseCommitMent = ({ tag = false, preid, ...options } = {}) =>
+  runApiCommand(
+    (project, setupOptions, plan) => release(project, { ...setupOptions, tag, preid }, plan),
+    options
+  );
+
+/**
+ * Lint the commit messages of a range against the project's commitlint rules
+ * @param {Object} [options] - { cwd, from, to, last, skipMerges, skipFixups, config, logger }
+ * @returns {Promise<Object>} { ok, summary, commits }, like the JSON report of the CLI
+ */
+export const checkCommitMent = ({ cwd = process.cwd(), logger, ...options } = {}) =>
+  withLogger(logger, async () => {
+    const commits = await check(resolveProject(path.resolve(cwd)), options);
+    const summary = summarizeCommits(commits);
+    return { ok: summary.invalid === 0, summary, commits };
+  });
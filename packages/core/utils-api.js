@@ -0,0 +1,49 @@
+import path from 'path';
+import { normalizeSetupOptions } from './utils-cli.js';
+import { summarizeChecks } from './utils-doctor.js';
+import { runTransaction } from './utils-journal.js';
+import { createPlan, summarizePlan } from './utils-plan.js';
+import { resolveProject } from './utils-workspace.js';
+import { withLogger } from './utils.js';
+
+//* ============================================================================
+//* PROGRAMMATIC API
+//* ============================================================================
+
+/**
+ * Run a tool command for the programmatic API of a tool package
+ * The command runs as a transaction in the project containing `cwd`: when it
+ * throws, every change is rolled back and the promise rejects with the error.
+ * @param {Function} command - Async (project, options, plan) => extra result fields
+ * @param {Object} [options] - API options (see normalizeSetupOptions), plus:
+ * @param {string} [options.cwd] - Directory of the project (defaults to process.cwd())
+ * @param {Object} [options.logger] - Logger receiving the messages (see withLogger)
+ * @returns {Promise<Object>} Summary of the changes (see summarizePlan) merged with the
+ *   fields returned by the command
+ * @throws {TidyforgeError} When the options are invalid or the command fails
+ */
+export const runApiCommand = async (command, { cwd = process.cwd(), logger, ...options } = {}) =>
+  withLogger(logger, async () => {
+    const setupOptions = normalizeSetupOptions(options);
+    const project = resolveProject(path.resolve(cwd));
+    const plan = createPlan({ root: project.root, dryRun: setupOptions.dryRun });
+
+    const outcome = await runTransaction(plan, () => command(project, setupOptions, plan));
+    return { ...summarizePlan(plan), ...outcome };
+  });
+
+/**
+ * Run a tool's doctor for the programmatic API of a tool package
+ * @param {Function} doctor - Async (project, { hooks, fix, config }) => results of runChecks
+ * @param {Object} [options] - { cwd, hooks, fix, config, logger }
+ * @returns {Promise<Object>} { ok, summary, checks }, like the JSON report of the CLI
+ */
+export const runApiDoctor = async (
+  doctor,
+  { cwd = process.cwd(), hooks = null, fix = false, config, logger } = {}
+) =>
+  withLogger(logger, async () => {
+    const checks = await doctor(resolveProject(path.resolve(cwd)), { hooks, fix, config });
+    const summary = summarizeChecks(checks);
+    return { ok: summary.fail === 0, summary, checks };
+  });
@@ -0,0 +1,325 @@
+import { UsageError } from './utils-errors.js';
+import { HOOK_BACKENDS } from './utils-hook-backends.js';
+import { MANIFEST_LOCATIONS } from './utils-manifest.js';
+import { CONFIRM, isInteractive, toConfirmMode } from './utils.js';
+
+//* ============================================================================
+//* ARGUMENT PARSING
+//* ============================================================================
+
+/**
+ * What to do with a config the project already has in another file or format
+ * (ASK prompts for one of the others)
+ */
+export const EXISTING_CONFIG = {
+  ASK: 'ask',
+  MERGE: 'merge',
+  KEEP: 'keep',
+  REPLACE: 'replace',
+};
+
+const EXISTING_CONFIG_CHOICES = [
+  EXISTING_CONFIG.MERGE,
+  EXISTING_CONFIG.KEEP,
+  EXISTING_CONFIG.REPLACE,
+];
+
+/**
+ * Flags shared by every setup binary
+ */
+export const SETUP_FLAGS = {
+  yes: {
+    type: 'boolean',
+    alias: 'y',
+    description: 'Run without prompts, accepting the default answers',
+  },
+  force: {
+    type: 'boolean',
+    alias: 'f',
+    description: 'Overwrite existing files without asking',
+  },
+  'no-overwrite': {
+    type: 'boolean',
+    description: 'Keep existing files without asking',
+  },
+  'existing-config': {
+    type: 'string',
+    valueName: 'strategy',
+    description:
+      'Existing configs in other files: merge, keep or replace (default: ask, keep with --yes)',
+  },
+  'skip-install': {
+    type: 'boolean',
+    description: 'Do not install the required devDependencies',
+  },
+  manifest: {
+    type: 'string',
+    valueName: 'location',
+    description: 'Where to keep the setup manifest: .tidyforge.json (default) or package.json',
+  },
+  hooks: {
+    type: 'string',
+    valueName: 'backend',
+    description:
+      'Git hooks backend: husky, native, simple-git-hooks or lefthook (detected by default)',
+  },
+  workspace: {
+    type: 'string',
+    valueName: 'names',
+    description: 'Also add the scripts to these workspace packages (comma-separated)',
+  },
+  'all-workspaces': {
+    type: 'boolean',
+    description: 'Also add the scripts to every workspace package',
+  },
+  'dry-run': {
+    type: 'boolean',
+    description: 'Show the planned changes without writing anything (exits 1 if there are any)',
+  },
+  quiet: {
+    type: 'boolean',
+    alias: 'q',
+    description: 'Only print warnings and errors',
+  },
+  verbose: {
+    type: 'boolean',
+    description: 'Also print debug messages and every recorded change',
+  },
+  json: {
+    type: 'boolean',
+    description: 'Print one JSON event per line instead of text (implies --yes)',
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h',
+    description: 'Show this help message',
+  },
+};
+
+/**
+ * Flags only accepted by the `doctor` command
+ */
+export const DOCTOR_FLAGS = {
+  fix: {
+    type: 'boolean',
+    description: 'doctor: repair the problems that can be fixed automatically',
+  },
+};
+
+/**
+ * Parse command-line arguments against a flag specification
+ * Supports `--flag`, `--flag=value`, `--flag value`, `-f` aliases and `--`
+ * @param {string[]} argv - Arguments to parse (usually process.argv.slice(2))
+ * @param {Object} spec - Map of flag name to { type: 'boolean'|'string', alias }
+ * @returns {{ flags: Object, positionals: string[] }} Parsed flags and positionals
+ */
+export const parseArgs = (argv, spec) => {
+  const flags = {};
+  const positionals = [];
+  const aliases = {};
+
+  Object.entries(spec).forEach(([name, def]) => {
+    if (def.alias) aliases[def.alias] = name;
+    if (def.type === 'boolean') flags[name] = false;
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const name = arg.startsWith('--') ? rawName : aliases[rawName];
+    const def = spec[name];
+
+    if (!def) throw new UsageError(`Unknown option: ${arg}`);
+
+    if (def.type === 'boolean') {
+      if (inlineValue !== undefined) throw new UsageError(`Option --${name} does not take a value`);
+      flags[name] = true;
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new UsageError(`Option --${name} requires a value`);
+    }
+    flags[name] = value;
+  }
+
+  return { flags, positionals };
+};
+
+/**
+ * Build a help message from a flag specification
+ * @param {Object} options - Help options
+ * @param {string} options.usage - Usage line (e.g. "npx @tidyforge/pretty-please [options]")
+ * @param {string} options.description - One-line description of the binary
+ * @param {Object} options.flags - Flag specification passed to parseArgs
+ * @param {Object} [options.commands] - Map of subcommand name to description
+ * @returns {string} Formatted help text
+ */
+export const formatHelp = ({ usage, description, flags, commands = {} }) => {
+  const rows = Object.entries(flags).map(([name, def]) => {
+    const alias = def.alias ? `-${def.alias}, ` : '    ';
+    const value = def.type === 'string' ? ` <${def.valueName ?? 'value'}>` : '';
+    return [`  ${alias}--${name}${value}`, def.description ?? ''];
+  });
+  const commandRows = Object.entries(commands).map(([name, text]) => [`  ${name}`, text]);
+  const width = Math.max(...[...rows, ...commandRows].map(([left]) => left.length)) + 2;
+  const format = ([left, right]) => left.padEnd(width) + right;
+
+  return [
+    description,
+    '',
+    `Usage: ${usage}`,
+    ...(commandRows.length > 0 ? ['', 'Commands:', ...commandRows.map(format)] : []),
+    '',
+    'Options:',
+    ...rows.map(format),
+  ].join('\n');
+};
+
+//* ============================================================================
+//* OUTPUT OPTIONS
+//* ============================================================================
+
+/**
+ * Turn the output flags into logger options
+ * @param {Object} flags - Flags returned by parseArgs with SETUP_FLAGS
+ * @returns {Object} Options for createLogger: { level, json }
+ * @throws {UsageError} When --quiet and --verbose are combined
+ */
+export const resolveLogOptions = (flags) => {
+  if (flags.quiet && flags.verbose) {
+    throw new UsageError('--quiet and --verbose cannot be used together');
+  }
+
+  return { level: flags.quiet ? 'warn' : flags.verbose ? 'debug' : 'info', json: flags.json };
+};
+
+//* ============================================================================
+//* SETUP OPTIONS
+//* ============================================================================
+
+/**
+ * Turn parsed setup flags into the prompt modes used by core helpers
+ * Prompts are only shown when stdin is a TTY and neither --yes, --json nor an
+ * explicit overwrite flag was given, so no code path can block on input.
+ * @param {Object} flags - Flags returned by parseArgs with SETUP_FLAGS
+ * @returns {Object} Setup options: { interactive, confirm, overwrite, existingConfig, install,
+ *   manifest, hooks, workspaces: { names, all }, dryRun }
+ */
+export const resolveSetupOptions = (flags) => {
+  if (flags.force && flags['no-overwrite']) {
+    throw new UsageError('--force and --no-overwrite cannot be used together');
+  }
+
+  if (flags.workspace && flags['all-workspaces']) {
+    throw new UsageError('--workspace and --all-workspaces cannot be used together');
+  }
+
+  if (flags.manifest && !MANIFEST_LOCATIONS.includes(flags.manifest)) {
+    throw new UsageError(`--manifest must be one of: ${MANIFEST_LOCATIONS.join(', ')}`);
+  }
+
+  if (flags.hooks && !(flags.hooks in HOOK_BACKENDS)) {
+    throw new UsageError(`--hooks must be one of: ${Object.keys(HOOK_BACKENDS).join(', ')}`);
+  }
+
+  const existing = flags['existing-config'];
+  if (existing && !EXISTING_CONFIG_CHOICES.includes(existing)) {
+    throw new UsageError(`--existing-config must be one of: ${EXISTING_CONFIG_CHOICES.join(', ')}`);
+  }
+
+  const interactive = !flags.yes && !flags.json && isInteractive();
+  const confirm = interactive ? CONFIRM.ASK : CONFIRM.YES;
+
+  let overwrite = interactive ? CONFIRM.ASK : CONFIRM.NO;
+  if (flags.force) overwrite = CONFIRM.YES;
+  if (flags['no-overwrite']) overwrite = CONFIRM.NO;
+
+  // --force and --no-overwrite also decide for configs in other files
+  let existingConfig = interactive ? EXISTING_CONFIG.ASK : EXISTING_CONFIG.KEEP;
+  if (flags.force) existingConfig = EXISTING_CONFIG.REPLACE;
+  if (flags['no-overwrite']) existingConfig = EXISTING_CONFIG.KEEP;
+
+  return {
+    interactive,
+    confirm,
+    overwrite,
+    existingConfig: existing ?? existingConfig,
+    install: !flags['skip-install'],
+    manifest: flags.manifest,
+    hooks: flags.hooks ?? null,
+    workspaces: {
+      names: flags.workspace ? flags.workspace.split(',').map((name) => name.trim()) : [],
+      all: flags['all-workspaces'],
+    },
+    dryRun: flags['dry-run'],
+  };
+};
+
+/**
+ * Turn the options of the programmatic API into setup options
+ * Nothing prompts unless `overwrite` is CONFIRM.ASK: dependencies are installed
+ * and existing files are kept.
+ * @param {Object} [options] - API options
+ * @param {boolean|string} [options.overwrite] - Overwrite existing files (`true`, `false` or a
+ *   CONFIRM mode)
+ * @param {string} [options.existingConfig] - What to do with configs in other files: merge,
+ *   keep (default) or replace
+ * @param {boolean} [options.install] - Install the dependencies and activate the hooks
+ * @param {string} [options.hooks] - Hook backend (detected when omitted)
+ * @param {string} [options.manifest] - Manifest location (see MANIFEST_LOCATIONS)
+ * @param {string[]} [options.workspaces] - Workspace packages that also get the scripts
+ * @param {boolean} [options.allWorkspaces] - Add the scripts to every workspace package
+ * @param {boolean} [options.dryRun] - Record the changes without writing anything
+ * @param {Object} [options.config] - Project config applied over the project's own (see loadConfig)
+ * @returns {Object} Setup options (see resolveSetupOptions)
+ * @throws {UsageError} When an option has an invalid value
+ */
+export const normalizeSetupOptions = ({
+  overwrite = false,
+  install = true,
+  hooks = null,
+  manifest,
+  workspaces = [],
+  allWorkspaces = false,
+  dryRun = false,
+  existingConfig = EXISTING_CONFIG.KEEP,
+  config,
+} = {}) => {
+  if (manifest && !MANIFEST_LOCATIONS.includes(manifest)) {
+    throw new UsageError(`manifest must be one of: ${MANIFEST_LOCATIONS.join(', ')}`);
+  }
+
+  if (hooks && !(hooks in HOOK_BACKENDS)) {
+    throw new UsageError(`hooks must be one of: ${Object.keys(HOOK_BACKENDS).join(', ')}`);
+  }
+
+  if (!EXISTING_CONFIG_CHOICES.includes(existingConfig)) {
+    throw new UsageError(`existingConfig must be one of: ${EXISTING_CONFIG_CHOICES.join(', ')}`);
+  }
+
+  return {
+    interactive: false,
+    confirm: CONFIRM.YES,
+    overwrite: toConfirmMode(overwrite, CONFIRM.YES, CONFIRM.NO),
+    existingConfig,
+    install,
+    manifest,
+    hooks,
+    workspaces: { names: workspaces, all: allWorkspaces },
+    dryRun,
+    config,
+  };
+};
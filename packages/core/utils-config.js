@@ -0,0 +1,240 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { FileError } from './utils-errors.js';
+import { MANIFEST_KEY } from './utils-manifest.js';
+import { log, readJSON } from './utils.js';
+
+//* ============================================================================
+//* PROJECT CONFIG
+//* ============================================================================
+
+/**
+ * Config files looked up at the project root, in order
+ */
+export const CONFIG_FILES = [
+  'tidyforge.config.js',
+  'tidyforge.config.mjs',
+  'tidyforge.config.cjs',
+  'tidyforge.config.json',
+];
+
+/**
+ * package.json key holding the config (shared with an embedded manifest)
+ */
+export const CONFIG_KEY = MANIFEST_KEY;
+
+/**
+ * Sections a config can contain, besides `extends`
+ */
+export const CONFIG_SECTIONS = [
+  'prettier',
+  'eslint',
+  'scripts',
+  'lintStaged',
+  'commitlint',
+  'prePush',
+  'dependencies',
+];
+
+/**
+ * Fields of the package.json key that belong to the manifest, not the config
+ */
+const MANIFEST_FIELDS = ['version', 'tools'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge two configs: objects are merged key by key, anything else (arrays
+ * included) is replaced by the value of `override`
+ * @param {Object} base - Config being extended
+ * @param {Object} override - Config taking precedence
+ * @returns {Object} Merged config
+ */
+export const mergeConfigs = (base, override) =>
+  Object.entries(override).reduce(
+    (merged, [key, value]) => ({
+      ...merged,
+      [key]:
+        isPlainObject(value) && isPlainObject(merged[key])
+          ? mergeConfigs(merged[key], value)
+          : value,
+    }),
+    { ...base }
+  );
+
+/**
+ * Apply config overrides to a map of template values
+ * @param {Object} base - Values of the template (options, scripts, globs)
+ * @param {Object} [overrides] - Values to add or replace; `null` removes a key
+ * @returns {Object} Updated copy of `base`
+ */
+export const applyOverrides = (base, overrides = {}) => {
+  const result = { ...base };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = value;
+  });
+
+  return result;
+};
+
+/**
+ * Serialize a JSON value as JavaScript source, with single-quoted strings
+ * Used to write config values into generated .mjs files.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Source on a single line
+ */
+export const toSource = (value) => {
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (Array.isArray(value)) return `[${value.map(toSource).join(', ')}]`;
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : toSource(key)}: ${toSource(item)}`
+    );
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Check the shape of a config, warning about keys no tool reads
+ * @param {*} config - Loaded config
+ * @param {string} source - File the config comes from
+ * @throws {FileError} When the config or one of its sections is not an object
+ */
+const validateConfig = (config, source) => {
+  if (!isPlainObject(config)) {
+    throw new FileError('A tidyforge config must be an object', source);
+  }
+
+  const parents = config.extends;
+  if (
+    parents !== undefined &&
+    typeof parents !== 'string' &&
+    !(Array.isArray(parents) && parents.every((spec) => typeof spec === 'string'))
+  ) {
+    throw new FileError('"extends" must be a preset name or a list of preset names', source);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (key === 'extends') return;
+    if (!CONFIG_SECTIONS.includes(key)) {
+      log.warn(`Unknown key "${key}" in ${path.basename(source)}, ignored`);
+    } else if (!isPlainObject(value)) {
+      throw new FileError(`"${key}" must be an object`, source);
+    }
+  });
+};
+
+/**
+ * Read a config or preset file (.json, or a JS module exporting the config)
+ * @param {string} file - Absolute file path
+ * @returns {Promise<Object>} Config as written in the file
+ * @throws {FileError} When the file cannot be read or evaluated
+ */
+const readConfigFile = async (file) => {
+  if (file.endsWith('.json')) return readJSON(file);
+
+  try {
+    // The mtime busts the module cache, so a long-running process sees edits
+    const url = `${pathToFileURL(file).href}?mtime=${fs.statSync(file).mtimeMs}`;
+    const module = await import(url);
+    return module.default ?? { ...module };
+  } catch (err) {
+    throw new FileError('Failed to load tidyforge config', file, err);
+  }
+};
+
+/**
+ * Find the file of a preset named in `extends`
+ * Relative paths start from the directory of the config that extends them,
+ * other names are resolved as npm packages from there.
+ * @param {string} spec - Preset name or path
+ * @param {string} fromDir - Directory of the extending config
+ * @returns {string} Absolute file path
+ * @throws {FileError} When the preset cannot be found
+ */
+const resolvePreset = (spec, fromDir) => {
+  try {
+    return createRequire(path.join(fromDir, 'package.json')).resolve(spec);
+  } catch (err) {
+    // The require stack of a missing module says nothing the message does not
+    const cause = err.code === 'MODULE_NOT_FOUND' ? undefined : err;
+    throw new FileError(
+      `Cannot find tidyforge preset "${spec}" from ${fromDir}`,
+      path.resolve(fromDir, spec),
+      cause
+    );
+  }
+};
+
+/**
+ * Resolve the presets a config extends and merge the config over them
+ * @param {Object} config - Config as written
+ * @param {string} source - File the config comes from
+ * @param {string[]} chain - Files already being loaded, to detect cycles
+ * @param {string[]} sources - Collects every file that contributed
+ * @returns {Promise<Object>} Config without `extends`
+ */
+const resolveConfig = async (config, source, chain, sources) => {
+  validateConfig(config, source);
+  const { extends: parents = [], ...own } = config;
+  let merged = {};
+
+  for (const spec of [].concat(parents)) {
+    const file = resolvePreset(spec, path.dirname(source));
+    if (chain.includes(file)) {
+      throw new FileError(`Circular tidyforge preset: ${spec}`, file);
+    }
+
+    log.debug(`Loading tidyforge preset ${spec} from ${file}`);
+    const preset = await readConfigFile(file);
+    merged = mergeConfigs(merged, await resolveConfig(preset, file, [...chain, file], sources));
+    sources.push(spec);
+  }
+
+  return mergeConfigs(merged, own);
+};
+
+/**
+ * Load the tidyforge config of a project
+ * The first of CONFIG_FILES at the project root is used, otherwise the
+ * `tidyforge` key of package.json. Presets named in `extends` are applied
+ * first, then the config, then `inline` (passed by the Node API).
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} [inline] - Config given programmatically
+ * @returns {Promise<Object>} Merged config (an empty object when there is none)
+ * @throws {FileError} When a config or preset cannot be loaded
+ */
+export const loadConfig = async (userRoot, inline) => {
+  const sources = [];
+  const pkgPath = path.join(userRoot, 'package.json');
+  const file = CONFIG_FILES.map((name) => path.join(userRoot, name)).find(fs.existsSync);
+  let config = {};
+
+  if (file) {
+    config = await resolveConfig(await readConfigFile(file), file, [file], sources);
+    sources.unshift(path.basename(file));
+  } else if (fs.existsSync(pkgPath) && readJSON(pkgPath)[CONFIG_KEY]) {
+    const embedded = Object.fromEntries(
+      Object.entries(readJSON(pkgPath)[CONFIG_KEY]).filter(
+        ([key]) => !MANIFEST_FIELDS.includes(key)
+      )
+    );
+    if (Object.keys(embedded).length > 0) {
+      config = await resolveConfig(embedded, pkgPath, [pkgPath], sources);
+      sources.unshift(`package.json#${CONFIG_KEY}`);
+    }
+  }
+
+  if (inline) {
+    config = mergeConfigs(config, await resolveConfig(inline, pkgPath, [], sources));
+  }
+
+  if (sources.length > 0) log.info(`Using tidyforge config: ${sources.join(', ')}`);
+  return config;
+};
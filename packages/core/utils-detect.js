@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+
+//* ============================================================================
+//* PROJECT STACK DETECTION
+//* ============================================================================
+
+/**
+ * Directories never scanned for source files
+ */
+const IGNORED_DIRS = [
+  'node_modules',
+  '.git',
+  '.husky',
+  'dist',
+  'build',
+  'out',
+  'coverage',
+  '.next',
+  '.nuxt',
+  '.output',
+  '.turbo',
+  '.cache',
+];
+
+/**
+ * Dependencies that only make sense in a browser bundle
+ */
+const BROWSER_DEPENDENCIES = [
+  'react-dom',
+  'vue',
+  'svelte',
+  'solid-js',
+  'preact',
+  '@angular/core',
+  'vite',
+  'webpack',
+  'parcel',
+  'esbuild-loader',
+];
+
+/**
+ * Dependencies that indicate server-side or tooling code running on Node
+ */
+const NODE_DEPENDENCIES = [
+  'express',
+  'fastify',
+  'koa',
+  '@hapi/hapi',
+  '@nestjs/core',
+  '@types/node',
+  'commander',
+  'yargs',
+];
+
+/**
+ * List source file extensions used in a project (bounded directory walk)
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {number} maxFiles - Stop after this many files
+ * @returns {Set<string>} File extensions without the leading dot
+ */
+export const listSourceExtensions = (userRoot, maxFiles = 2000) => {
+  const extensions = new Set();
+  const queue = [userRoot];
+  let seen = 0;
+
+  while (queue.length > 0 && seen < maxFiles) {
+    const dir = queue.shift();
+    let entries = [];
+
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.includes(entry.name)) queue.push(path.join(dir, entry.name));
+      } else if (entry.isFile()) {
+        seen++;
+        const ext = path.extname(entry.name).slice(1);
+        if (ext) extensions.add(ext);
+      }
+    }
+  }
+
+  return extensions;
+};
+
+/**
+ * Inspect a project's dependencies, tsconfig.json and source files
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - Parsed package.json object
+ * @returns {Object} Stack description:
+ *   { typescript, react, vue, next, environment: 'node'|'browser'|'universal', extensions }
+ */
+export const detectProjectStack = (userRoot, pkg = {}) => {
+  const deps = {
+    ...pkg.dependencies,
+    ...pkg.devDependencies,
+    ...pkg.peerDependencies,
+  };
+  const has = (name) => Object.prototype.hasOwnProperty.call(deps, name);
+  const extensions = listSourceExtensions(userRoot);
+  const hasExt = (...exts) => exts.some((ext) => extensions.has(ext));
+
+  const typescript =
+    has('typescript') ||
+    fs.existsSync(path.join(userRoot, 'tsconfig.json')) ||
+    hasExt('ts', 'tsx', 'mts', 'cts');
+  const next = has('next');
+  const react = next || has('react') || hasExt('jsx', 'tsx');
+  const vue = has('vue') || has('nuxt') || hasExt('vue');
+
+  const browser =
+    react ||
+    vue ||
+    BROWSER_DEPENDENCIES.some(has) ||
+    typeof pkg.browser !== 'undefined' ||
+    fs.existsSync(path.join(userRoot, 'index.html'));
+  const node = next || !browser || NODE_DEPENDENCIES.some(has) || typeof pkg.bin !== 'undefined';
+
+  let environment = 'node';
+  if (browser) environment = node ? 'universal' : 'browser';
+
+  return { typescript, react, vue, next, environment, extensions: [...extensions].sort() };
+};
+
+/**
+ * Describe a detected stack in a short human-readable form
+ * @param {Object} stack - Result of detectProjectStack
+ * @returns {string} Description such as "TypeScript, React (browser)"
+ */
+export const describeStack = (stack) => {
+  const parts = [
+    stack.typescript ? 'TypeScript' : 'JavaScript',
+    stack.next && 'Next.js',
+    stack.react && !stack.next && 'React',
+    stack.vue && 'Vue',
+  ].filter(Boolean);
+
+  return `${parts.join(', ')} (${stack.environment})`;
+};
@@ -0,0 +1,165 @@
+//* ============================================================================
+//* LINE DIFF
+//* ============================================================================
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines of text
+ */
+export const splitLines = (text) => {
+  if (!text) return [];
+  return text.replace(/\r?\n$/, '').split(/\r?\n/);
+};
+
+/**
+ * Compute a line-by-line edit script between two texts (LCS based)
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Updated lines
+ * @returns {Array<{ type: ' '|'-'|'+', line: string, aIndex: number, bIndex: number }>} Edit operations
+ */
+export const diffLines = (a, b) => {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], aIndex: i++, bIndex: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i], aIndex: i++, bIndex: j });
+    } else {
+      ops.push({ type: '+', line: b[j], aIndex: i, bIndex: j++ });
+    }
+  }
+
+  return ops;
+};
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original content ('' for a new file)
+ * @param {string} newText - Updated content
+ * @param {string} fileName - File name used in the diff header
+ * @param {number} context - Number of unchanged lines around each change
+ * @returns {string} Unified diff, or an empty string when the texts are equal
+ */
+export const createUnifiedDiff = (oldText, newText, fileName, context = 3) => {
+  if (oldText === newText) return '';
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter((i) => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) last.end = index;
+    else hunks.push({ start: index, end: index });
+  }
+
+  const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+
+  for (const hunk of hunks) {
+    const slice = ops.slice(
+      Math.max(0, hunk.start - context),
+      Math.min(ops.length, hunk.end + context + 1)
+    );
+    const oldCount = slice.filter((op) => op.type !== '+').length;
+    const newCount = slice.filter((op) => op.type !== '-').length;
+    const oldStart = oldCount ? slice[0].aIndex + 1 : slice[0].aIndex;
+    const newStart = newCount ? slice[0].bIndex + 1 : slice[0].bIndex;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach((op) => lines.push(`${op.type}${op.line}`));
+  }
+
+  return lines.join('\n');
+};
+
+//* ============================================================================
+//* THREE-WAY MERGE
+//* ============================================================================
+
+/**
+ * Map each base line to the index of the same line in another version
+ * @param {string[]} base - Base lines
+ * @param {string[]} other - Lines of the other version
+ * @returns {number[]} Matching index per base line, -1 where the line changed
+ */
+const matchLines = (base, other) => {
+  const matches = new Array(base.length).fill(-1);
+  diffLines(base, other).forEach((op) => {
+    if (op.type === ' ') matches[op.aIndex] = op.bIndex;
+  });
+  return matches;
+};
+
+/**
+ * Merge two versions of a text that diverged from a common base (diff3 style)
+ * Regions changed on one side only take that side; regions both sides changed
+ * differently are wrapped in Git-style conflict markers.
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Local version
+ * @param {string} theirs - Incoming version
+ * @param {Object} [labels] - Marker labels: { ours, theirs }
+ * @returns {{ content: string, conflicts: number }} Merged text and number of conflicts
+ */
+export const mergeThreeWay = (base, ours, theirs, labels = {}) => {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+  const same = (a, b) => a.length === b.length && a.every((line, k) => line === b[k]);
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  for (let j = 0; j <= baseLines.length; j++) {
+    const end = j === baseLines.length;
+    if (!end && (ourMatches[j] === -1 || theirMatches[j] === -1)) continue;
+
+    // Lines between two stable anchors changed on at least one side
+    const ourEnd = end ? ourLines.length : ourMatches[j];
+    const theirEnd = end ? theirLines.length : theirMatches[j];
+    const baseChunk = baseLines.slice(i, j);
+    const ourChunk = ourLines.slice(a, ourEnd);
+    const theirChunk = theirLines.slice(b, theirEnd);
+
+    if (same(ourChunk, baseChunk)) {
+      output.push(...theirChunk);
+    } else if (same(theirChunk, baseChunk) || same(ourChunk, theirChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.ours ?? 'ours'}`,
+        ...ourChunk,
+        '=======',
+        ...theirChunk,
+        `>>>>>>> ${labels.theirs ?? 'theirs'}`
+      );
+    }
+
+    if (!end) output.push(baseLines[j]);
+    i = j + 1;
+    a = ourEnd + 1;
+    b = theirEnd + 1;
+  }
+
+  const newline = /\r?\n$/.test(theirs || ours) ? '\n' : '';
+  return { content: output.length > 0 ? output.join('\n') + newline : '', conflicts };
+};
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createUnifiedDiff, diffLines, mergeThreeWay, splitLines } from './utils-diff.js';
+
+const text = (...lines) => `${lines.join('\n')}\n`;
+
+describe('splitLines', () => {
+  test('ignores the final newline and CRLF line endings', () => {
+    assert.deepEqual(splitLines('a\r\nb\r\n'), ['a', 'b']);
+    assert.deepEqual(splitLines(''), []);
+  });
+});
+
+describe('diffLines', () => {
+  test('keeps the common lines and marks the others', () => {
+    const ops = diffLines(['a', 'b', 'c'], ['a', 'x', 'c']).map((op) => `${op.type}${op.line}`);
+    assert.deepEqual(ops, [' a', '-b', '+x', ' c']);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  test('writes one hunk around the change', () => {
+    assert.equal(
+      createUnifiedDiff(text('a', 'b', 'c'), text('a', 'x', 'c'), 'file.txt'),
+      ['--- a/file.txt', '+++ b/file.txt', '@@ -1,3 +1,3 @@', ' a', '-b', '+x', ' c'].join('\n')
+    );
+  });
+
+  test('returns an empty string for equal texts', () => {
+    assert.equal(createUnifiedDiff('a\n', 'a\n', 'file.txt'), '');
+  });
+
+  test('diffs a new file from line 0', () => {
+    assert.match(createUnifiedDiff('', text('a'), 'new.txt'), /@@ -0,0 \+1,1 @@\n\+a$/);
+  });
+});
+
+describe('mergeThreeWay', () => {
+  const base = text('one', 'two', 'three', 'four', 'five');
+
+  test('takes a change made on one side only', () => {
+    const ours = text('one', 'TWO', 'three', 'four', 'five');
+    assert.deepEqual(mergeThreeWay(base, ours, base), { content: ours, conflicts: 0 });
+    assert.deepEqual(mergeThreeWay(base, base, ours), { content: ours, conflicts: 0 });
+  });
+
+  test('combines changes to different regions', () => {
+    const ours = text('one', 'TWO', 'three', 'four', 'five');
+    const theirs = text('one', 'two', 'three', 'four', 'FIVE', 'six');
+
+    assert.deepEqual(mergeThreeWay(base, ours, theirs), {
+      content: text('one', 'TWO', 'three', 'four', 'FIVE', 'six'),
+      conflicts: 0,
+    });
+  });
+
+  test('accepts the same change made on both sides', () => {
+    const both = text('one', 'two', 'THREE', 'four', 'five');
+    assert.deepEqual(mergeThreeWay(base, both, both), { content: both, conflicts: 0 });
+  });
+
+  test('wraps different changes to the same lines in conflict markers', () => {
+    const ours = text('one', 'two', 'mine', 'four', 'five');
+    const theirs = text('one', 'two', 'yours', 'four', 'five');
+
+    assert.deepEqual(mergeThreeWay(base, ours, theirs, { ours: 'local', theirs: 'template' }), {
+      content: text(
+        'one',
+        'two',
+        '<<<<<<< local',
+        'mine',
+        '=======',
+        'yours',
+        '>>>>>>> template',
+        'four',
+        'five'
+      ),
+      conflicts: 1,
+    });
+  });
+
+  test('counts each conflicting region', () => {
+    const ours = text('1', 'two', 'three', 'four', '5');
+    const theirs = text('uno', 'two', 'three', 'four', 'cinco');
+    assert.equal(mergeThreeWay(base, ours, theirs).conflicts, 2);
+  });
+
+  test('drops a line deleted on one side only', () => {
+    const ours = text('one', 'two', 'four', 'five');
+    assert.deepEqual(mergeThreeWay(base, ours, base), { content: ours, conflicts: 0 });
+  });
+
+  test('merges a file both sides created without a base', () => {
+    assert.deepEqual(mergeThreeWay('', 'a\n', 'a\n'), { content: 'a\n', conflicts: 0 });
+    assert.equal(mergeThreeWay('', 'a\n', 'b\n').conflicts, 1);
+  });
+});
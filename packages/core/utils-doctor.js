@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import { getHookCommands, readHookBlocks } from './utils-hooks.js';
+import { getHooksPath, isGitInitialized, unsetHooksPath } from './utils-husky.js';
+import {
+  detectPackageManager,
+  getInstallCommand,
+  getInstalledVersion,
+  installDevDependencies,
+} from './utils-pm.js';
+import { satisfies } from './utils-semver.js';
+import { CONFIRM, log, makeExecutable, readJSON, writeJSON } from './utils.js';
+
+//* ============================================================================
+//* CHECKS
+//* ============================================================================
+
+/**
+ * Outcome of a doctor check
+ */
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+};
+
+/**
+ * Build a check result
+ * @param {string} status - One of CHECK_STATUS
+ * @param {string} message - What was found
+ * @param {string} [hint] - How to fix it by hand
+ * @returns {Object} { status, message, hint }
+ */
+const result = (status, message, hint) => ({ status, message, ...(hint && { hint }) });
+
+/**
+ * Checks that Git will actually run a tool's hooks
+ * Each check is { id, title, run(), fix?() }; `run` returns a result and
+ * `fix` repairs the problem, returning true on success.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} hooksDir - Directory containing the tool's hook templates
+ * @param {string} tool - Tool owning the hooks
+ * @param {Object} backend - Hook backend (see resolveHookBackend)
+ * @param {string[]} [hookNames] - Hooks the tool installs (default: every template)
+ * @returns {Object[]} Checks in the order they should run
+ */
+export const getHookChecks = (userRoot, hooksDir, tool, backend, hookNames) => {
+  const pm = detectPackageManager(userRoot);
+  const pkgPath = path.join(userRoot, 'package.json');
+  const hooks = readHookBlocks(hooksDir, userRoot, hookNames);
+  const prepareScript = backend.getPrepareScript(userRoot);
+  const expectedPath = backend.getHooksPath(userRoot);
+
+  const checks = [
+    {
+      id: 'git',
+      title: 'Git repository',
+      run: () =>
+        isGitInitialized(userRoot)
+          ? result(CHECK_STATUS.PASS, '.git found')
+          : result(CHECK_STATUS.FAIL, 'No .git directory found', 'Run: git init'),
+    },
+  ];
+
+  if (backend.dependency) {
+    checks.push({
+      id: `${backend.name}-installed`,
+      title: `${backend.label} installed`,
+      run: () =>
+        backend.isInstalled(userRoot)
+          ? result(CHECK_STATUS.PASS, `${backend.dependency} resolves from node_modules`)
+          : result(
+              CHECK_STATUS.FAIL,
+              `${backend.dependency} is missing from node_modules`,
+              `Run: ${getInstallCommand(pm, [backend.dependency], userRoot)}`
+            ),
+      fix: () => backend.install(userRoot),
+    });
+  }
+
+  checks.push(
+    {
+      id: `${backend.name}-initialized`,
+      title: `${backend.label} initialized`,
+      run: () =>
+        backend.isInitialized(userRoot)
+          ? result(CHECK_STATUS.PASS, 'hooks are activated')
+          : result(CHECK_STATUS.FAIL, 'hooks are not activated', `Run: ${backend.initCommand}`),
+      fix: () => backend.init(userRoot),
+    },
+    {
+      id: 'hooks-path',
+      title: 'Git hooks path',
+      run: () => {
+        const hooksPath = getHooksPath(userRoot);
+        if (hooksPath === expectedPath) {
+          return result(
+            CHECK_STATUS.PASS,
+            hooksPath ? `core.hooksPath is ${hooksPath}` : 'core.hooksPath is not set'
+          );
+        }
+        if (!expectedPath) {
+          return result(
+            CHECK_STATUS.FAIL,
+            `core.hooksPath points at ${hooksPath}, hooks in .git/hooks never run`,
+            'Run: git config --unset core.hooksPath'
+          );
+        }
+        return result(
+          CHECK_STATUS.FAIL,
+          hooksPath
+            ? `core.hooksPath points at ${hooksPath}, ${backend.label} hooks never run`
+            : 'core.hooksPath is not set, Git only runs .git/hooks',
+          `Run: ${backend.initCommand}`
+        );
+      },
+      fix: () => {
+        if (!expectedPath) unsetHooksPath(userRoot);
+        return backend.init(userRoot);
+      },
+    }
+  );
+
+  if (prepareScript) {
+    checks.push({
+      id: 'prepare-script',
+      title: 'prepare script',
+      run: () => {
+        const prepare = fs.existsSync(pkgPath) ? readJSON(pkgPath).scripts?.prepare : undefined;
+        return prepare?.includes(prepareScript)
+          ? result(CHECK_STATUS.PASS, `"prepare": "${prepare}"`)
+          : result(
+              CHECK_STATUS.WARN,
+              'prepare does not activate the hooks, they stay inactive after a fresh clone',
+              `Add "${prepareScript}" to the prepare script in package.json`
+            );
+      },
+      fix: () => {
+        const pkg = readJSON(pkgPath);
+        const prepare = pkg.scripts?.prepare;
+        pkg.scripts = {
+          ...pkg.scripts,
+          prepare: prepare ? `${prepare} && ${prepareScript}` : prepareScript,
+        };
+        writeJSON(pkgPath, pkg);
+        return true;
+      },
+    });
+  }
+
+  Object.entries(hooks).forEach(([hookName, command]) => {
+    const commands = getHookCommands(command);
+    const status = () => backend.status(userRoot, hookName, command);
+
+    checks.push({
+      id: `hook:${hookName}`,
+      title: `${hookName} hook`,
+      run: () => {
+        const { location, exists, configured } = status();
+        if (!exists) return result(CHECK_STATUS.FAIL, `${location} is missing`);
+        return configured
+          ? result(CHECK_STATUS.PASS, `runs ${commands.join(', ')}`)
+          : result(CHECK_STATUS.FAIL, `${location} does not run ${commands.join(', ')}`);
+      },
+      fix: () => backend.addCommand(userRoot, hookName, tool, command),
+    });
+
+    // Only hook scripts have an executable bit; config-based backends generate their own
+    if (status().executable === undefined) return;
+
+    checks.push({
+      id: `hook-executable:${hookName}`,
+      title: `${hookName} hook executable`,
+      run: () => {
+        const { location, exists, executable } = status();
+        if (!exists) return result(CHECK_STATUS.WARN, `${location} is missing`);
+        return executable
+          ? result(CHECK_STATUS.PASS, 'executable bit set')
+          : result(
+              CHECK_STATUS.FAIL,
+              'not executable, Git skips it silently',
+              `Run: chmod +x ${location}`
+            );
+      },
+      fix: () => {
+        const { path: hookPath, exists } = status();
+        if (!exists) return false;
+        makeExecutable(hookPath);
+        return true;
+      },
+    });
+  });
+
+  return checks;
+};
+
+/**
+ * Checks that the packages a tool relies on resolve from node_modules
+ * Fixing any of them installs every missing package in one go.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} dependencies - Map of package name to version range
+ * @returns {Object[]} One check per package
+ */
+export const getDependencyChecks = (userRoot, dependencies) => {
+  const fix = () => installDevDependencies(userRoot, dependencies, CONFIRM.YES);
+
+  return Object.entries(dependencies).map(([name, range]) => ({
+    id: `dependency:${name}`,
+    title: name,
+    run: () => {
+      const installed = getInstalledVersion(userRoot, name);
+      const hint = `Run: ${getInstallCommand(detectPackageManager(userRoot), [`${name}@${range}`], userRoot)}`;
+
+      if (installed === null) {
+        return result(CHECK_STATUS.FAIL, 'missing from node_modules', hint);
+      }
+      return satisfies(installed, range)
+        ? result(CHECK_STATUS.PASS, `${installed} installed`)
+        : result(CHECK_STATUS.WARN, `${installed} installed, expected ${range}`, hint);
+    },
+    fix,
+  }));
+};
+
+/**
+ * Find the first config file of a tool present in a project
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string[]} candidates - File names in lookup order
+ * @returns {string|undefined} Name of the config file found
+ */
+export const findConfigFile = (userRoot, candidates) =>
+  candidates.find((name) => fs.existsSync(path.join(userRoot, name)));
+
+//* ============================================================================
+//* RUNNING AND REPORTING
+//* ============================================================================
+
+/**
+ * Run a check, turning exceptions into failures
+ * @param {Object} check - Check definition
+ * @returns {Promise<Object>} Result with the check's id and title
+ */
+const evaluate = async (check) => {
+  let outcome;
+
+  try {
+    outcome = await check.run();
+  } catch (err) {
+    outcome = result(CHECK_STATUS.FAIL, err.message);
+  }
+
+  return { id: check.id, title: check.title, ...outcome, fixable: Boolean(check.fix) };
+};
+
+/**
+ * Run a checklist, optionally repairing the problems that have a fix
+ * Checks run in order and are re-evaluated before fixing, so one repair
+ * (installing Husky, installing all missing packages) can settle later items.
+ * @param {Object[]} checks - Checks built with getHookChecks and friends
+ * @param {Object} [options] - { fix: whether to repair failing checks }
+ * @returns {Promise<Object[]>} Results: { id, title, status, message, hint?, fixable, fixed? }
+ */
+export const runChecks = async (checks, { fix = false } = {}) => {
+  const results = [];
+
+  for (const check of checks) {
+    let outcome = await evaluate(check);
+
+    if (fix && check.fix && outcome.status !== CHECK_STATUS.PASS) {
+      let repaired = false;
+      try {
+        repaired = Boolean(await check.fix());
+      } catch (err) {
+        log.error(`Could not fix ${check.title}: ${err.message}`);
+      }
+      outcome = { ...(await evaluate(check)), fixed: repaired };
+    }
+
+    results.push(outcome);
+  }
+
+  return results;
+};
+
+/**
+ * Count results by status
+ * @param {Object[]} results - Results of runChecks
+ * @returns {{ pass: number, warn: number, fail: number }} Counts
+ */
+export const summarizeChecks = (results) =>
+  results.reduce((summary, { status }) => ({ ...summary, [status]: summary[status] + 1 }), {
+    pass: 0,
+    warn: 0,
+    fail: 0,
+  });
+
+/**
+ * Print a doctor report
+ * @param {string} tool - Tool name (e.g. "pretty-please")
+ * @param {Object[]} results - Results of runChecks
+ * @param {Object} [options] - { json: emit the report as a `report` event instead of a checklist }
+ * @returns {number} Exit code: 1 if any check failed, 0 otherwise
+ */
+export const reportChecks = (tool, results, { json = false } = {}) => {
+  const summary = summarizeChecks(results);
+  const exitCode = summary.fail > 0 ? 1 : 0;
+
+  if (json) {
+    log.event({ type: 'report', tool, ok: exitCode === 0, summary, checks: results });
+    return exitCode;
+  }
+
+  const print = {
+    [CHECK_STATUS.PASS]: log.success,
+    [CHECK_STATUS.WARN]: log.warn,
+    [CHECK_STATUS.FAIL]: log.error,
+  };
+
+  results.forEach(({ title, status, message, hint, fixable, fixed }) => {
+    print[status](`${title}: ${message}`);
+    if (status === CHECK_STATUS.PASS) return;
+    if (hint) log.print(`    ${hint}`);
+    if (fixable && fixed === undefined) log.print('    Repairable with --fix');
+  });
+
+  log.info(`\n${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed`);
+  return exitCode;
+};
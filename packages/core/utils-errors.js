@@ -0,0 +1,62 @@
+//* ============================================================================
+//* ERRORS
+//* ============================================================================
+
+/**
+ * Base class of the errors raised by the core helpers
+ * Binaries catch it at the top level and exit with `exitCode`.
+ */
+export class TidyforgeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - { exitCode, cause }
+   */
+  constructor(message, { exitCode = 1, cause } = {}) {
+    super(message);
+    this.name = 'TidyforgeError';
+    this.exitCode = exitCode;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Error raised when the command line cannot be parsed
+ */
+export class UsageError extends TidyforgeError {
+  constructor(message) {
+    super(message, { exitCode: 2 });
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Error raised when a file cannot be read, parsed or written
+ */
+export class FileError extends TidyforgeError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} filePath - File that failed
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, filePath, cause) {
+    super(cause ? `${message}: ${cause.message}` : message, { cause });
+    this.name = 'FileError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Error raised when an external command (package manager, hook manager, git) fails
+ */
+export class CommandError extends TidyforgeError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} command - Command that failed
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, command, cause) {
+    super(cause ? `${message}: ${cause.message}` : message, { cause });
+    this.name = 'CommandError';
+    this.command = command;
+  }
+}
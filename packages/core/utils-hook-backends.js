@@ -0,0 +1,905 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { CommandError, FileError, TidyforgeError, UsageError } from './utils-errors.js';
+import {
+  getHookBlockMarkers,
+  getHookCommands,
+  getHookFileStatus,
+  removeHookFile,
+  writeHookFile,
+} from './utils-hooks.js';
+import {
+  getHookPath,
+  getHooksPath,
+  initializeHusky,
+  installHook,
+  installHusky,
+  isGitInitialized,
+  isHuskyInitialized,
+  isHuskyInstalled,
+  removeHook,
+  unsetHooksPath,
+} from './utils-husky.js';
+import { getLegacyHookCommands, readManifest } from './utils-manifest.js';
+import {
+  detectPackageManager,
+  getExecCommand,
+  getInstallCommand,
+  readDeclaredDependencies,
+  trackInstall,
+} from './utils-pm.js';
+import { getHooksRoot, getHuskyPrepareScript } from './utils-workspace.js';
+import {
+  CONFIRM,
+  confirm,
+  getChildStdio,
+  log,
+  makeExecutable,
+  readJSON,
+  toConfirmMode,
+  writeJSON,
+} from './utils.js';
+
+//* ============================================================================
+//* SHARED HELPERS
+//* ============================================================================
+
+/**
+ * A hook backend knows how one hook manager stores and activates Git hooks:
+ *
+ * - `name`, `label`, `dependency` (package to install, or null)
+ * - `detect(userRoot)`: whether the project already uses it
+ * - `getPrepareScript(userRoot)`: `prepare` script that activates hooks after an install
+ * - `getHooksPath(userRoot)`: expected core.hooksPath (null when Git's default is expected)
+ * - `initCommand`: how to activate the hooks by hand
+ * - `isInstalled` / `install`: the backend's package
+ * - `isInitialized` / `init`: whether Git runs the backend's hooks
+ * - `addCommand` / `remove`: a tool's commands in one hook; the recorded change lists in
+ *   `kept` the commands the hook already ran, which `remove(..., plan, kept)` leaves
+ * - `status(userRoot, hookName, command)`: `{ location, exists, configured, executable? }`
+ */
+
+/**
+ * Run a shell command, logging failures
+ * @param {string} command - Command to run
+ * @param {string} cwd - Working directory
+ * @param {string} what - What the command does, for the error message
+ * @returns {boolean} True if the command succeeded
+ */
+const run = (command, cwd, what) => {
+  try {
+    execSync(command, { stdio: getChildStdio(), cwd });
+    return true;
+  } catch (err) {
+    log.error(`Failed to ${what}: ${err.message}`);
+    return false;
+  }
+};
+
+/**
+ * Directory Git keeps its own hooks in (`.git/hooks`, also inside worktrees)
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Absolute path
+ */
+const getGitHooksDir = (userRoot) => {
+  const gitRoot = getHooksRoot(userRoot);
+
+  try {
+    const dir = execSync('git rev-parse --git-path hooks', {
+      cwd: gitRoot,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+      .toString()
+      .trim();
+    return path.resolve(gitRoot, dir);
+  } catch {
+    return path.join(gitRoot, '.git', 'hooks');
+  }
+};
+
+/**
+ * Check whether a script Git runs from `.git/hooks` contains some text
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} hookName - Name of the hook
+ * @param {string} text - Text to look for
+ * @returns {boolean} True when the script exists and contains the text
+ */
+const gitHookContains = (userRoot, hookName, text) => {
+  const hookPath = path.join(getGitHooksDir(userRoot), hookName);
+  return fs.existsSync(hookPath) && fs.readFileSync(hookPath, 'utf-8').includes(text);
+};
+
+/**
+ * Check whether a package is installed or declared by the project
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} name - Package name
+ * @returns {boolean} True if the package is declared in package.json
+ */
+const isDeclared = (userRoot, name) => name in readDeclaredDependencies(userRoot);
+
+/**
+ * Install a backend's package with the project's package manager
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} name - Package name
+ * @returns {boolean} True if installation succeeded
+ */
+const installPackage = (userRoot, name) =>
+  run(
+    getInstallCommand(detectPackageManager(userRoot), [name], userRoot),
+    userRoot,
+    `install ${name}`
+  );
+
+//* ============================================================================
+//* HUSKY
+//* ============================================================================
+
+const husky = {
+  name: 'husky',
+  label: 'Husky',
+  dependency: 'husky',
+  initCommand: 'npx husky',
+  detect: (userRoot) =>
+    fs.existsSync(path.join(getHooksRoot(userRoot), '.husky')) || isDeclared(userRoot, 'husky'),
+  getPrepareScript: (userRoot) => getHuskyPrepareScript(userRoot),
+  getHooksPath: () => '.husky/_',
+  isInstalled: (userRoot) => isHuskyInstalled(userRoot),
+  install: (userRoot) => installHusky(userRoot),
+  isInitialized: (userRoot) => isHuskyInitialized(userRoot),
+  init: (userRoot) => initializeHusky(userRoot),
+  addCommand: (userRoot, hookName, tool, command, plan) =>
+    installHook(userRoot, hookName, tool, command, plan),
+  remove: (userRoot, hookName, tool, command, plan) => {
+    const removed = removeHook(userRoot, hookName, tool, plan);
+    const dir = path.dirname(getHookPath(userRoot, hookName));
+
+    if (!plan?.dryRun && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+    }
+    return removed;
+  },
+  status: (userRoot, hookName, command) => ({
+    location: `.husky/${hookName}`,
+    ...getHookFileStatus(getHookPath(userRoot, hookName), command),
+  }),
+};
+
+//* ============================================================================
+//* NATIVE (core.hooksPath)
+//* ============================================================================
+
+/**
+ * Hooks directory used when the project has none configured
+ */
+const NATIVE_HOOKS_DIR = '.githooks';
+
+/**
+ * Directory of the native hook scripts, relative to the Git root
+ * A relative core.hooksPath that is not Husky's is kept, otherwise .githooks.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Directory with forward slashes
+ */
+const getNativeHooksDir = (userRoot) => {
+  const configured = getHooksPath(userRoot);
+  return configured && !path.isAbsolute(configured) && !configured.startsWith('.husky')
+    ? configured.replace(/\/+$/, '')
+    : NATIVE_HOOKS_DIR;
+};
+
+const getNativeHookPath = (userRoot, hookName) =>
+  path.join(getHooksRoot(userRoot), getNativeHooksDir(userRoot), hookName);
+
+const native = {
+  name: 'native',
+  label: 'Git core.hooksPath',
+  dependency: null,
+  initCommand: `git config core.hooksPath ${NATIVE_HOOKS_DIR}`,
+  detect: (userRoot) => {
+    const configured = getHooksPath(userRoot);
+    return Boolean(
+      configured &&
+        !path.isAbsolute(configured) &&
+        !configured.startsWith('.husky') &&
+        fs.existsSync(path.join(getHooksRoot(userRoot), configured))
+    );
+  },
+  getPrepareScript: (userRoot) => `git config core.hooksPath ${getNativeHooksDir(userRoot)}`,
+  getHooksPath: getNativeHooksDir,
+  isInstalled: () => true,
+  install: () => true,
+  isInitialized: (userRoot) =>
+    fs.existsSync(path.join(getHooksRoot(userRoot), getNativeHooksDir(userRoot))),
+  init: (userRoot) => {
+    const dir = path.join(getHooksRoot(userRoot), getNativeHooksDir(userRoot));
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir).forEach((file) => makeExecutable(path.join(dir, file)));
+    }
+    return run(
+      `git config core.hooksPath ${getNativeHooksDir(userRoot)}`,
+      getHooksRoot(userRoot),
+      'set core.hooksPath'
+    );
+  },
+  addCommand: (userRoot, hookName, tool, command, plan) => {
+    const hookPath = getNativeHookPath(userRoot, hookName);
+    const legacy = getLegacyHookCommands(userRoot, tool, hookPath, command);
+    return writeHookFile(hookPath, tool, command, plan, { backend: 'native' }, legacy);
+  },
+  // Git falls back to .git/hooks once the last hook is gone
+  remove: (userRoot, hookName, tool, command, plan) => {
+    const hookPath = getNativeHookPath(userRoot, hookName);
+    const removed = removeHookFile(hookPath, tool, plan);
+    const dir = path.dirname(hookPath);
+
+    if (!plan?.dryRun && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      plan?.journal.trackGitConfig(getHooksRoot(userRoot), 'core.hooksPath');
+      unsetHooksPath(userRoot);
+    }
+    return removed;
+  },
+  status: (userRoot, hookName, command) => ({
+    location: `${getNativeHooksDir(userRoot)}/${hookName}`,
+    ...getHookFileStatus(getNativeHookPath(userRoot, hookName), command),
+  }),
+};
+
+//* ============================================================================
+//* SIMPLE-GIT-HOOKS
+//* ============================================================================
+
+const SIMPLE_GIT_HOOKS_KEY = 'simple-git-hooks';
+
+const SIMPLE_GIT_HOOKS_FILES = ['.simple-git-hooks.json', 'simple-git-hooks.json'];
+
+/**
+ * Where the simple-git-hooks config lives: a JSON file if the project has one,
+ * otherwise the `simple-git-hooks` key of package.json
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {{ file: string, key: string|null }} Config file and key inside it
+ */
+const getSimpleGitHooksConfig = (userRoot) => {
+  const file = SIMPLE_GIT_HOOKS_FILES.find((name) => fs.existsSync(path.join(userRoot, name)));
+  return file
+    ? { file: path.join(userRoot, file), key: null }
+    : { file: path.join(userRoot, 'package.json'), key: SIMPLE_GIT_HOOKS_KEY };
+};
+
+/**
+ * Read the hook map of simple-git-hooks
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {Object} Map of hook name to command
+ */
+const readSimpleGitHooks = (userRoot) => {
+  const { file, key } = getSimpleGitHooksConfig(userRoot);
+  if (!fs.existsSync(file)) return {};
+
+  const data = readJSON(file);
+  return (key ? data[key] : data) ?? {};
+};
+
+/**
+ * Split a simple-git-hooks command into the commands it chains
+ * Only `&&` and line breaks outside parentheses and quotes separate commands,
+ * so a unit written by toChainUnit stays whole.
+ * @param {string} value - Hook command
+ * @returns {string[]} Commands
+ */
+const splitChain = (value = '') => {
+  const parts = [];
+  let start = 0;
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && quote !== "'") i++;
+    else if (quote) quote = char === quote ? null : quote;
+    else if (char === '"' || char === "'") quote = char;
+    else if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if (depth === 0 && (char === '\n' || value.startsWith('&&', i))) {
+      parts.push(value.slice(start, i));
+      if (char !== '\n') i++;
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+};
+
+/**
+ * Turn a block command into one unit of a simple-git-hooks chain
+ * Commands that chain themselves, such as the `cd app && ...` of a nested
+ * project, run in a subshell: they stay one unit and do not move the next one.
+ * @param {string} command - Command of a hook block
+ * @returns {string} Unit to chain with ` && `
+ */
+const toChainUnit = (command) => (/&&|\|\||;/.test(command) ? `(${command})` : command);
+
+/**
+ * Update one hook of the simple-git-hooks config
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} hookName - Name of the hook
+ * @param {Function} update - Receives the current commands, returns the new ones
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @param {Object} [change] - Fields for the recorded change
+ * @returns {boolean} True if the hook changed
+ */
+const updateSimpleGitHook = (userRoot, hookName, update, plan, change = {}) => {
+  const { file, key } = getSimpleGitHooksConfig(userRoot);
+  const data = fs.existsSync(file) ? readJSON(file) : {};
+  const hooks = { ...(key ? data[key] : data) };
+  const before = splitChain(hooks[hookName] ?? '');
+  const after = update(before);
+  const name = `${path.basename(file)}#${key ? `${key}.` : ''}${hookName}`;
+  const action =
+    after.join('\n') === before.join('\n')
+      ? 'unchanged'
+      : after.length === 0
+        ? 'remove'
+        : before.length > 0
+          ? 'update'
+          : 'create';
+
+  plan?.record({ kind: 'hook', action, name, ...change });
+  if (action === 'unchanged') return false;
+
+  if (after.length > 0) hooks[hookName] = after.join(' && ');
+  else delete hooks[hookName];
+
+  const next = key ? { ...data } : hooks;
+  if (key && Object.keys(hooks).length > 0) next[key] = hooks;
+  else if (key) delete next[key];
+
+  writeJSON(file, next, plan);
+  return true;
+};
+
+const simpleGitHooks = {
+  name: 'simple-git-hooks',
+  label: 'simple-git-hooks',
+  dependency: 'simple-git-hooks',
+  initCommand: 'npx simple-git-hooks',
+  detect: (userRoot) =>
+    Object.keys(readSimpleGitHooks(userRoot)).length > 0 ||
+    SIMPLE_GIT_HOOKS_FILES.some((name) => fs.existsSync(path.join(userRoot, name))) ||
+    isDeclared(userRoot, 'simple-git-hooks'),
+  getPrepareScript: () => 'simple-git-hooks',
+  getHooksPath: () => null,
+  isInstalled: (userRoot) => fs.existsSync(path.join(userRoot, 'node_modules', 'simple-git-hooks')),
+  install: (userRoot) => installPackage(userRoot, 'simple-git-hooks'),
+  // simple-git-hooks copies the commands into .git/hooks, so every change needs a new init
+  isInitialized: (userRoot) =>
+    Object.entries(readSimpleGitHooks(userRoot)).every(([hookName, command]) =>
+      gitHookContains(userRoot, hookName, command)
+    ),
+  init: (userRoot) =>
+    run(
+      getExecCommand(detectPackageManager(userRoot), 'simple-git-hooks'),
+      userRoot,
+      'install simple-git-hooks hooks'
+    ),
+  addCommand: (userRoot, hookName, tool, command, plan) => {
+    const units = getHookCommands(command).map(toChainUnit);
+    const existing = splitChain(readSimpleGitHooks(userRoot)[hookName] ?? '');
+    updateSimpleGitHook(
+      userRoot,
+      hookName,
+      (current) => [...current, ...units.filter((unit) => !current.includes(unit))],
+      plan,
+      {
+        tool,
+        backend: 'simple-git-hooks',
+        hook: hookName,
+        command,
+        kept: units.filter((unit) => existing.includes(unit)),
+        detail: units.join(' && '),
+      }
+    );
+    return true;
+  },
+  remove: (userRoot, hookName, tool, command, plan, kept = []) => {
+    const units = getHookCommands(command ?? '')
+      .map(toChainUnit)
+      .filter((unit) => !kept.includes(unit));
+    return updateSimpleGitHook(
+      userRoot,
+      hookName,
+      (current) => current.filter((unit) => !units.includes(unit)),
+      plan,
+      { tool, backend: 'simple-git-hooks', hook: hookName, detail: units.join(' && ') }
+    );
+  },
+  status: (userRoot, hookName, command) => {
+    const current = splitChain(readSimpleGitHooks(userRoot)[hookName] ?? '');
+    return {
+      location: `${path.basename(getSimpleGitHooksConfig(userRoot).file)}#${hookName}`,
+      exists: current.length > 0,
+      configured: getHookCommands(command)
+        .map(toChainUnit)
+        .every((unit) => current.includes(unit)),
+    };
+  },
+};
+
+//* ============================================================================
+//* LEFTHOOK
+//* ============================================================================
+
+const LEFTHOOK_FILES = ['lefthook.yml', 'lefthook.yaml', '.lefthook.yml', '.lefthook.yaml'];
+
+/**
+ * Path of the lefthook config at the Git root (lefthook.yml when there is none yet)
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Absolute path
+ */
+const getLefthookPath = (userRoot) => {
+  const root = getHooksRoot(userRoot);
+  const file = LEFTHOOK_FILES.find((name) => fs.existsSync(path.join(root, name)));
+  return path.join(root, file ?? LEFTHOOK_FILES[0]);
+};
+
+/**
+ * Turn block commands into one lefthook `run` value
+ * lefthook passes hook arguments as {1}, {2}... instead of $1, $2...
+ * @param {string} command - Commands of the block
+ * @returns {string} Command line
+ */
+const toLefthookRun = (command) =>
+  getHookCommands(command)
+    .join(' && ')
+    .replace(/\$(\d)/g, '{$1}');
+
+const quoteYaml = (value) => `'${value.replace(/'/g, "''")}'`;
+
+const unquoteYaml = (value) =>
+  /^'.*'$/.test(value)
+    ? value.slice(1, -1).replace(/''/g, "'")
+    : /^".*"$/.test(value)
+      ? JSON.parse(value)
+      : value;
+
+const indentOf = (line) => line.match(/^\s*/)[0];
+
+const isContent = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+
+/**
+ * Find the line range of a mapping entry and its children
+ * @param {string[]} lines - File lines
+ * @param {number} start - Index of the entry line
+ * @returns {number} Index after the last child line (trailing blank lines excluded)
+ */
+const findEntryEnd = (lines, start) => {
+  const indent = indentOf(lines[start]).length;
+  let end = start + 1;
+  let last = start;
+
+  while (end < lines.length) {
+    const line = lines[end];
+    if (isContent(line) && indentOf(line).length <= indent) break;
+    if (line.trim() !== '') last = end;
+    end++;
+  }
+
+  return last + 1;
+};
+
+/**
+ * Find a tool's marked command inside a line range
+ * @param {string[]} lines - File lines
+ * @param {number} from - First index searched
+ * @param {number} to - Index after the last one searched
+ * @param {string} tool - Tool name
+ * @returns {{ start: number, end: number }|null} Indexes of the block markers
+ */
+const findLefthookBlock = (lines, from, to, tool) => {
+  const markers = getHookBlockMarkers(tool);
+  const start = lines.slice(from, to).findIndex((line) => line.trim() === markers.start);
+  if (start === -1) return null;
+
+  const end = lines.slice(from + start, to).findIndex((line) => line.trim() === markers.end);
+  return { start: from + start, end: end === -1 ? to - 1 : from + start + end };
+};
+
+/**
+ * Locate a hook and its `commands` mapping in lefthook.yml
+ * @param {string[]} lines - File lines
+ * @param {string} hookName - Name of the hook
+ * @returns {Object|null} { hook, hookEnd, unit, commands, commandsEnd } (commands -1 if missing)
+ */
+const findLefthookHook = (lines, hookName) => {
+  const hook = lines.findIndex((line) => new RegExp(`^${hookName}:\\s*(#.*)?$`).test(line));
+  if (hook === -1) return null;
+
+  const hookEnd = findEntryEnd(lines, hook);
+  const child = lines.slice(hook + 1, hookEnd).find(isContent);
+  const unit = child ? indentOf(child) : '  ';
+  const commands = lines
+    .slice(hook + 1, hookEnd)
+    .findIndex((line) => line.startsWith(`${unit}commands:`) && indentOf(line) === unit);
+
+  return {
+    hook,
+    hookEnd,
+    unit,
+    commands: commands === -1 ? -1 : hook + 1 + commands,
+    commandsEnd: commands === -1 ? -1 : findEntryEnd(lines, hook + 1 + commands),
+  };
+};
+
+/**
+ * Refuse a hook or its `commands` written in a form the line editor cannot
+ * change: quoted keys, flow mappings (`pre-commit: { ... }`), anchors or aliases
+ * @param {string[]} lines - File lines
+ * @param {string} hookName - Name of the hook
+ * @param {Object|null} found - Result of findLefthookHook
+ * @throws {TidyforgeError} When the hook exists in such a form
+ */
+const assertEditableLefthookHook = (lines, hookName, found) => {
+  const isKey = (line, name) => new RegExp(`^\\s*(['"]?)${name}\\1\\s*:`).test(line);
+  const isBlockKey = (line, name) => new RegExp(`^\\s*${name}:\\s*(#.*)?$`).test(line);
+  const keys = found
+    ? lines
+        .slice(found.hook + 1, found.hookEnd)
+        .filter((line) => indentOf(line) === found.unit && isKey(line, 'commands'))
+    : lines.filter((line) => indentOf(line) === '' && isKey(line, hookName));
+  const name = found ? 'commands' : hookName;
+
+  if (keys.some((line) => !isBlockKey(line, name))) {
+    throw new TidyforgeError(
+      `The ${hookName} hook uses quoted keys or a flow mapping, write ` +
+        `\`${hookName}:\` and \`commands:\` as plain keys on lines of their own`
+    );
+  }
+};
+
+/**
+ * Add or replace a tool's command in a lefthook config
+ * The command is named after the tool and wrapped in block markers; the rest
+ * of the file is left as is.
+ * @param {string} content - lefthook.yml content ('' for a new file)
+ * @param {string} hookName - Name of the hook
+ * @param {string} tool - Tool name
+ * @param {string} runValue - Command line to run
+ * @returns {string} Updated content
+ * @throws {TidyforgeError} When the hook is written in a form that cannot be edited
+ */
+export const setLefthookCommand = (content, hookName, tool, runValue) => {
+  const lines = content ? content.replace(/\n$/, '').split('\n') : [];
+  const markers = getHookBlockMarkers(tool);
+  const block = (indent, unit) => [
+    `${indent}${markers.start}`,
+    `${indent}${tool}:`,
+    `${indent}${unit}run: ${quoteYaml(runValue)}`,
+    `${indent}${markers.end}`,
+  ];
+  const found = findLefthookHook(lines, hookName);
+  assertEditableLefthookHook(lines, hookName, found);
+
+  if (!found) {
+    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') lines.push('');
+    lines.push(`${hookName}:`, '  commands:', ...block('    ', '  '));
+    return `${lines.join('\n')}\n`;
+  }
+
+  const { hookEnd, unit, commands, commandsEnd } = found;
+
+  if (commands === -1) {
+    lines.splice(hookEnd, 0, `${unit}commands:`, ...block(unit + unit, unit));
+    return `${lines.join('\n')}\n`;
+  }
+
+  const child = lines.slice(commands + 1, commandsEnd).find(isContent);
+  const indent = child ? indentOf(child) : unit + unit;
+  const existing = findLefthookBlock(lines, commands + 1, commandsEnd, tool);
+
+  if (existing) {
+    lines.splice(existing.start, existing.end - existing.start + 1, ...block(indent, unit));
+  } else {
+    lines.splice(commandsEnd, 0, ...block(indent, unit));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Remove a tool's command from a lefthook config, dropping the hook once it is empty
+ * @param {string} content - lefthook.yml content
+ * @param {string} hookName - Name of the hook
+ * @param {string} tool - Tool name
+ * @returns {string} Updated content ('' when nothing is left)
+ */
+export const removeLefthookCommand = (content, hookName, tool) => {
+  const lines = content.replace(/\n$/, '').split('\n');
+  const found = findLefthookHook(lines, hookName);
+  if (!found || found.commands === -1) return content;
+
+  const existing = findLefthookBlock(lines, found.commands + 1, found.commandsEnd, tool);
+  if (!existing) return content;
+
+  lines.splice(existing.start, existing.end - existing.start + 1);
+
+  // Drop `commands:` and the hook itself when they have nothing left
+  const after = findLefthookHook(lines, hookName);
+  if (!lines.slice(after.commands + 1, after.commandsEnd).some(isContent)) {
+    lines.splice(after.commands, after.commandsEnd - after.commands);
+  }
+  const hook = findLefthookHook(lines, hookName);
+  if (!lines.slice(hook.hook + 1, hook.hookEnd).some(isContent)) {
+    lines.splice(hook.hook, hook.hookEnd - hook.hook);
+    if (hook.hook > 0 && lines[hook.hook - 1]?.trim() === '' && !lines[hook.hook]?.trim()) {
+      lines.splice(hook.hook - 1, 1);
+    }
+  }
+
+  const result = lines.join('\n').trim();
+  return result ? `${result}\n` : '';
+};
+
+/**
+ * Read the commands a lefthook hook runs
+ * @param {string} content - lefthook.yml content
+ * @param {string} hookName - Name of the hook
+ * @returns {string[]} `run` values of the hook's commands
+ */
+const getLefthookRuns = (content, hookName) => {
+  const lines = content.split('\n');
+  const found = findLefthookHook(lines, hookName);
+  if (!found) return [];
+
+  return lines
+    .slice(found.hook + 1, found.hookEnd)
+    .map((line) => line.match(/^\s+run:\s*(.+?)\s*$/)?.[1])
+    .filter(Boolean)
+    .map(unquoteYaml);
+};
+
+/**
+ * Hooks configured in lefthook.yml
+ * @param {string} content - lefthook.yml content
+ * @returns {string[]} Top-level keys that name Git hooks
+ */
+const listLefthookHooks = (content) =>
+  content
+    .split('\n')
+    .map((line) => line.match(/^([a-z]+(?:-[a-z]+)+):\s*(#.*)?$/)?.[1])
+    .filter(Boolean);
+
+const lefthook = {
+  name: 'lefthook',
+  label: 'lefthook',
+  dependency: 'lefthook',
+  initCommand: 'npx lefthook install',
+  detect: (userRoot) =>
+    LEFTHOOK_FILES.some((name) => fs.existsSync(path.join(getHooksRoot(userRoot), name))) ||
+    isDeclared(userRoot, 'lefthook'),
+  getPrepareScript: () => 'lefthook install',
+  getHooksPath: () => null,
+  isInstalled: (userRoot) => fs.existsSync(path.join(userRoot, 'node_modules', 'lefthook')),
+  install: (userRoot) => installPackage(userRoot, 'lefthook'),
+  isInitialized: (userRoot) => {
+    const file = getLefthookPath(userRoot);
+    const hooks = fs.existsSync(file) ? listLefthookHooks(fs.readFileSync(file, 'utf-8')) : [];
+    return hooks.every((hookName) => gitHookContains(userRoot, hookName, 'lefthook'));
+  },
+  init: (userRoot) =>
+    run(
+      `${getExecCommand(detectPackageManager(userRoot), 'lefthook')} install`,
+      userRoot,
+      'install lefthook hooks'
+    ),
+  addCommand: (userRoot, hookName, tool, command, plan) => {
+    const file = getLefthookPath(userRoot);
+
+    try {
+      const before = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+      const after = setLefthookCommand(before, hookName, tool, toLefthookRun(command));
+      const action = before === after ? 'unchanged' : before ? 'update' : 'create';
+
+      plan?.record({
+        kind: 'hook',
+        action,
+        name: `${plan.relative(file)}#${hookName}`,
+        detail: `${tool} command`,
+        tool,
+        backend: 'lefthook',
+        hook: hookName,
+        command,
+        before,
+        after,
+      });
+      if (plan?.dryRun || action === 'unchanged') return true;
+
+      plan?.journal.trackFile(file);
+      fs.writeFileSync(file, after);
+      log.success(`${path.basename(file)} updated`);
+      return true;
+    } catch (err) {
+      throw new FileError(`Failed to install ${hookName} hook`, file, err);
+    }
+  },
+  remove: (userRoot, hookName, tool, command, plan) => {
+    const file = getLefthookPath(userRoot);
+    if (!fs.existsSync(file)) return false;
+
+    const before = fs.readFileSync(file, 'utf-8');
+    const after = removeLefthookCommand(before, hookName, tool);
+    if (before === after) return false;
+
+    const name = `${plan ? plan.relative(file) : path.basename(file)}#${hookName}`;
+    if (after) {
+      plan?.record({
+        kind: 'hook',
+        action: 'update',
+        name,
+        detail: 'removed command',
+        before,
+        after,
+      });
+    } else {
+      plan?.record({ kind: 'hook', action: 'remove', name });
+    }
+    if (plan?.dryRun) return true;
+
+    plan?.journal.trackFile(file);
+    if (after) fs.writeFileSync(file, after);
+    else fs.unlinkSync(file);
+    return true;
+  },
+  status: (userRoot, hookName, command) => {
+    const file = getLefthookPath(userRoot);
+    const runs = fs.existsSync(file)
+      ? getLefthookRuns(fs.readFileSync(file, 'utf-8'), hookName)
+      : [];
+    return {
+      location: `${path.basename(file)}#${hookName}`,
+      exists: runs.length > 0,
+      configured: runs.includes(toLefthookRun(command)),
+    };
+  },
+};
+
+//* ============================================================================
+//* BACKEND SELECTION
+//* ============================================================================
+
+/**
+ * Available hook backends, in detection order
+ */
+export const HOOK_BACKENDS = {
+  lefthook,
+  'simple-git-hooks': simpleGitHooks,
+  husky,
+  native,
+};
+
+/**
+ * Backend used when nothing is configured yet
+ */
+export const DEFAULT_HOOK_BACKEND = 'husky';
+
+/**
+ * Look up a hook backend by name
+ * @param {string} name - Backend name
+ * @returns {Object} Hook backend
+ */
+export const getHookBackend = (name) => {
+  const backend = HOOK_BACKENDS[name];
+  if (!backend) {
+    throw new UsageError(
+      `Unknown hooks backend: ${name} (available: ${Object.keys(HOOK_BACKENDS).join(', ')})`
+    );
+  }
+  return backend;
+};
+
+/**
+ * Find the backend a previous setup recorded in the manifest
+ * Hooks recorded before backends existed were written for Husky.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string|null} Backend name
+ */
+export const findRecordedHookBackend = (userRoot) => {
+  const records = Object.values(readManifest(userRoot).tools).flatMap((entry) =>
+    Object.values(entry.hooks ?? {})
+  );
+  if (records.length === 0) return null;
+  return records.find((record) => record.backend)?.backend ?? DEFAULT_HOOK_BACKEND;
+};
+
+/**
+ * Pick the hook backend for a project
+ * An explicit choice (--hooks) wins, then the backend a previous setup used,
+ * then what the project already has (lefthook.yml, simple-git-hooks config,
+ * .husky, a custom core.hooksPath), falling back to Husky.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string|null} [name] - Backend requested on the command line
+ * @returns {Object} Hook backend
+ */
+export const resolveHookBackend = (userRoot, name) => {
+  if (name) return getHookBackend(name);
+
+  const recorded = findRecordedHookBackend(userRoot);
+  if (recorded) {
+    log.debug(`Hook backend ${recorded}: recorded by a previous setup`);
+    return getHookBackend(recorded);
+  }
+
+  const detected = Object.values(HOOK_BACKENDS).find((backend) => backend.detect(userRoot));
+  log.debug(
+    detected
+      ? `Hook backend ${detected.name}: detected in the project`
+      : `Hook backend ${DEFAULT_HOOK_BACKEND}: default`
+  );
+  return detected ?? getHookBackend(DEFAULT_HOOK_BACKEND);
+};
+
+/**
+ * Snapshot what activating a backend changes: the scripts in .git/hooks,
+ * core.hooksPath and the backend's own hooks directory
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} backend - Hook backend
+ * @param {Object} [plan] - Setup plan whose journal records the snapshots (see createPlan)
+ */
+const trackActivation = (userRoot, backend, plan) => {
+  if (!plan) return;
+
+  const gitRoot = getHooksRoot(userRoot);
+  const hooksPath = backend.getHooksPath(userRoot);
+  plan.journal.trackTree(getGitHooksDir(userRoot));
+  plan.journal.trackGitConfig(gitRoot, 'core.hooksPath');
+  if (hooksPath) plan.journal.trackDir(path.join(gitRoot, hooksPath));
+};
+
+/**
+ * Ensures a hook backend is both installed and activated
+ * Prompts user if either step is needed
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} backend - Hook backend
+ * @param {boolean|string} autoPrompt - CONFIRM mode (`true` prompts, `false` fails silently)
+ * @param {Object} [plan] - Setup plan whose journal records the changes (see createPlan)
+ * @returns {Promise<boolean>} - True if Git will run the backend's hooks
+ * @throws {CommandError} When installing or activating the backend fails
+ */
+export const ensureHooksReady = async (userRoot, backend, autoPrompt = true, plan) => {
+  const mode = toConfirmMode(autoPrompt, CONFIRM.ASK, CONFIRM.NO);
+
+  if (!isGitInitialized(userRoot)) {
+    log.error('Git repository not initialized. Run "git init" first.');
+    return false;
+  }
+
+  if (!backend.isInstalled(userRoot)) {
+    if (mode === CONFIRM.NO) {
+      log.error(`${backend.label} is not installed.`);
+      return false;
+    }
+    if (!(await confirm(`\nWould you like to install ${backend.label}?`, mode))) {
+      log.warn(`${backend.label} installation skipped. Git hooks will not work.`);
+      return false;
+    }
+    trackInstall(userRoot, plan);
+    if (!backend.install(userRoot)) {
+      throw new CommandError(`Could not install ${backend.label}`, `install ${backend.dependency}`);
+    }
+  }
+
+  if (!backend.isInitialized(userRoot)) {
+    if (mode === CONFIRM.NO) {
+      log.error(`${backend.label} hooks are not activated.`);
+      return false;
+    }
+    if (!(await confirm('\nActivate Git hooks?', mode))) {
+      log.warn('Hook activation skipped. Git hooks will not work.');
+      return false;
+    }
+    trackActivation(userRoot, backend, plan);
+    if (!backend.init(userRoot)) {
+      throw new CommandError(`Could not activate ${backend.label}`, backend.initCommand);
+    }
+  }
+
+  return true;
+};
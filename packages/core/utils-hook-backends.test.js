@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import {
+  getHookBackend,
+  removeLefthookCommand,
+  setLefthookCommand,
+} from './utils-hook-backends.js';
+import { createLogger, setLogger } from './utils-log.js';
+
+const yaml = (...lines) => `${lines.join('\n')}\n`;
+const command = (tool, run, indent = '    ', unit = '  ') => [
+  `${indent}# >>> tidyforge:${tool} >>>`,
+  `${indent}${tool}:`,
+  `${indent}${unit}run: ${run}`,
+  `${indent}# <<< tidyforge:${tool} <<<`,
+];
+
+describe('setLefthookCommand', () => {
+  test('creates the hook and quotes the command', () => {
+    assert.equal(
+      setLefthookCommand('', 'pre-commit', 'pretty-please', "echo 'hi'"),
+      yaml('pre-commit:', '  commands:', ...command('pretty-please', "'echo ''hi'''"))
+    );
+  });
+
+  test('adds a command to an existing hook, keeping its other settings', () => {
+    const content = yaml(
+      'pre-push:',
+      '  commands:',
+      '    test:',
+      '      run: npm test',
+      '',
+      'pre-commit:',
+      '  parallel: true'
+    );
+    assert.equal(
+      setLefthookCommand(content, 'pre-commit', 'pretty-please', 'npx lint-staged'),
+      `${content}${yaml('  commands:', ...command('pretty-please', "'npx lint-staged'"))}`
+    );
+  });
+
+  test('follows the indentation of the file and replaces its own command', () => {
+    const content = yaml(
+      'pre-commit:',
+      '    commands:',
+      '        lint:',
+      '            run: eslint .',
+      ...command('pretty-please', "'old'", '        ', '    ')
+    );
+    assert.equal(
+      setLefthookCommand(content, 'pre-commit', 'pretty-please', 'npx lint-staged'),
+      yaml(
+        'pre-commit:',
+        '    commands:',
+        '        lint:',
+        '            run: eslint .',
+        ...command('pretty-please', "'npx lint-staged'", '        ', '    ')
+      )
+    );
+  });
+
+  test('refuses hooks it cannot edit rather than adding a second key', () => {
+    const forms = [
+      'pre-commit: { commands: { lint: { run: eslint . } } }\n',
+      "'pre-commit':\n  commands:\n    lint:\n      run: eslint .\n",
+      'pre-commit:\n  commands: { lint: { run: eslint . } }\n',
+    ];
+    forms.forEach((content) => {
+      assert.throws(
+        () => setLefthookCommand(content, 'pre-commit', 'pretty-please', 'npx lint-staged'),
+        /quoted keys or a flow mapping/
+      );
+    });
+  });
+});
+
+describe('removeLefthookCommand', () => {
+  test('removes the command and drops the hook once it is empty', () => {
+    const content = yaml(
+      'pre-push:',
+      '  commands:',
+      '    test:',
+      '      run: npm test',
+      '',
+      'pre-commit:',
+      '  commands:',
+      ...command('pretty-please', "'npx lint-staged'")
+    );
+    assert.equal(
+      removeLefthookCommand(content, 'pre-commit', 'pretty-please'),
+      yaml('pre-push:', '  commands:', '    test:', '      run: npm test')
+    );
+  });
+
+  test('keeps the commands of other tools and of the user', () => {
+    const content = yaml(
+      'pre-commit:',
+      '  commands:',
+      '    lint:',
+      '      run: eslint .',
+      ...command('pretty-please', "'npx lint-staged'")
+    );
+    assert.equal(
+      removeLefthookCommand(content, 'pre-commit', 'pretty-please'),
+      yaml('pre-commit:', '  commands:', '    lint:', '      run: eslint .')
+    );
+  });
+
+  test('returns an empty config when nothing is left', () => {
+    const content = setLefthookCommand('', 'pre-commit', 'pretty-please', 'npx lint-staged');
+    assert.equal(removeLefthookCommand(content, 'pre-commit', 'pretty-please'), '');
+  });
+});
+
+describe('lefthook backend', () => {
+  let root;
+
+  beforeEach(() => {
+    setLogger(createLogger({ level: 'silent' }));
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-lefthook-'));
+    execFileSync('git', ['init', '-q'], { cwd: root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('passes hook arguments as lefthook placeholders', () => {
+    const lefthook = getHookBackend('lefthook');
+    lefthook.addCommand(root, 'commit-msg', 'commit-ment', 'npx commitlint --edit $1');
+
+    const content = fs.readFileSync(path.join(root, 'lefthook.yml'), 'utf-8');
+    assert.match(content, /run: 'npx commitlint --edit \{1\}'/);
+    assert.equal(lefthook.status(root, 'commit-msg', 'npx commitlint --edit $1').configured, true);
+
+    lefthook.remove(root, 'commit-msg', 'commit-ment');
+    assert.equal(fs.existsSync(path.join(root, 'lefthook.yml')), false);
+  });
+});
@@ -0,0 +1,365 @@
+import fs from 'fs';
+import path from 'path';
+import { FileError } from './utils-errors.js';
+import { prefixHookCommand } from './utils-workspace.js';
+import { ensureDir, log, makeExecutable } from './utils.js';
+
+//* ============================================================================
+//* HOOK BLOCKS
+//* ============================================================================
+
+/**
+ * Order of the tool blocks inside a shared hook
+ * Tools missing from the list follow in alphabetical order.
+ */
+export const HOOK_BLOCK_ORDER = ['pretty-please', 'commit-ment', 'push-back'];
+
+/**
+ * Shebang written at the top of hooks that do not exist yet
+ */
+const HOOK_HEADER = '#!/bin/sh';
+
+const START_PATTERN = /^# >>> tidyforge:(\S+) >>>$/;
+
+/**
+ * Marker lines delimiting a tool's block
+ * @param {string} tool - Tool name (e.g. "pretty-please")
+ * @returns {{ start: string, end: string }} Opening and closing markers
+ */
+export const getHookBlockMarkers = (tool) => ({
+  start: `# >>> tidyforge:${tool} >>>`,
+  end: `# <<< tidyforge:${tool} <<<`,
+});
+
+/**
+ * Compare two tools by their block position
+ * @param {string} a - Tool name
+ * @param {string} b - Tool name
+ * @returns {number} Negative when `a` comes first
+ */
+const compareTools = (a, b) => {
+  const rank = (tool) =>
+    HOOK_BLOCK_ORDER.includes(tool) ? HOOK_BLOCK_ORDER.indexOf(tool) : HOOK_BLOCK_ORDER.length;
+  return rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0);
+};
+
+/**
+ * Find the tool blocks of a hook
+ * A block missing its closing marker runs to the end of the file.
+ * @param {string[]} lines - Hook lines
+ * @returns {Array<{ tool: string, start: number, end: number }>} Blocks with the
+ *   line indexes of their markers
+ */
+const findBlocks = (lines) => {
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const tool = lines[i].trim().match(START_PATTERN)?.[1];
+    if (!tool) continue;
+
+    let end = i + 1;
+    while (end < lines.length && lines[end].trim() !== getHookBlockMarkers(tool).end) end++;
+    blocks.push({ tool, start: i, end: Math.min(end, lines.length - 1) });
+    i = end;
+  }
+
+  return blocks;
+};
+
+/**
+ * Read the body of a tool's block
+ * @param {string} content - Hook content
+ * @param {string} tool - Tool name
+ * @returns {string|null} Block body, or null when the hook has no block for the tool
+ */
+export const getHookBlock = (content, tool) => {
+  const lines = content.split('\n');
+  const block = findBlocks(lines).find((candidate) => candidate.tool === tool);
+  return block ? lines.slice(block.start + 1, block.end).join('\n') : null;
+};
+
+/**
+ * List the tools that own a block in a hook
+ * @param {string} content - Hook content
+ * @returns {string[]} Tool names in file order
+ */
+export const listHookBlocks = (content) => findBlocks(content.split('\n')).map(({ tool }) => tool);
+
+/**
+ * Add or replace a tool's block, leaving everything outside it untouched
+ * A new block goes before the first block of a tool that sorts after it
+ * (see HOOK_BLOCK_ORDER), or at the end of the hook.
+ * @param {string} content - Hook content ('' for a new hook)
+ * @param {string} tool - Tool name
+ * @param {string} body - Commands of the block
+ * @returns {string} Updated hook content
+ */
+export const setHookBlock = (content, tool, body) => {
+  const { start, end } = getHookBlockMarkers(tool);
+  const block = [start, ...body.replace(/\n+$/, '').split('\n'), end];
+  const lines = (content || `${HOOK_HEADER}\n`).split('\n');
+  const blocks = findBlocks(lines);
+  const existing = blocks.find((candidate) => candidate.tool === tool);
+
+  if (existing) {
+    lines.splice(existing.start, existing.end - existing.start + 1, ...block);
+    return lines.join('\n');
+  }
+
+  const next = blocks.find((candidate) => compareTools(tool, candidate.tool) < 0);
+  if (next) {
+    lines.splice(next.start, 0, ...block, '');
+    return lines.join('\n');
+  }
+
+  // Append after the last non-empty line, separated by a blank line
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  return [...lines, '', ...block, ''].join('\n');
+};
+
+/**
+ * Remove a tool's block and the blank line that separated it
+ * @param {string} content - Hook content
+ * @param {string} tool - Tool name
+ * @returns {string} Hook content without the block
+ */
+export const removeHookBlock = (content, tool) => {
+  const lines = content.split('\n');
+  const block = findBlocks(lines).find((candidate) => candidate.tool === tool);
+  if (!block) return content;
+
+  const start =
+    block.start > 0 && lines[block.start - 1].trim() === '' ? block.start - 1 : block.start;
+  lines.splice(start, block.end - start + 1);
+  return lines.join('\n');
+};
+
+// Indexes of the lines inside blocks, markers included
+const getBlockLines = (lines) =>
+  new Set(
+    findBlocks(lines).flatMap(({ start, end }) =>
+      Array.from({ length: end - start + 1 }, (_, k) => start + k)
+    )
+  );
+
+/**
+ * List the commands a hook already runs outside any block
+ * @param {string} content - Hook content
+ * @param {string[]} commands - Commands to look for
+ * @returns {string[]} Those found on a line of their own, in their order
+ */
+export const findHookCommands = (content, commands) => {
+  const lines = content.split('\n');
+  const inBlock = getBlockLines(lines);
+  return commands.filter((command) =>
+    lines.some((line, i) => !inBlock.has(i) && line.trim() === command)
+  );
+};
+
+/**
+ * Remove commands written outside any block
+ * Used to take over the lines older versions copied or appended into a hook.
+ * @param {string} content - Hook content
+ * @param {string[]} commands - Commands to remove
+ * @returns {string} Hook content without those lines
+ */
+export const removeHookCommands = (content, commands) => {
+  const lines = content.split('\n');
+  const inBlock = getBlockLines(lines);
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (inBlock.has(i) || !commands.includes(lines[i].trim())) continue;
+
+    // appendFile added a blank separator line before the command
+    const start = i > 0 && lines[i - 1].trim() === '' ? i - 1 : i;
+    lines.splice(start, i - start + 1);
+    i = start;
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Tell whether a hook has nothing left to run
+ * @param {string} content - Hook content
+ * @returns {boolean} True when only the shebang, comments, blank lines and the
+ *   Husky v8 loader remain
+ */
+export const isHookEmpty = (content) =>
+  content
+    .split('\n')
+    .map((line) => line.trim())
+    .every((line) => !line || line.startsWith('#') || line.includes('husky.sh'));
+
+//* ============================================================================
+//* HOOK FILES
+//* ============================================================================
+
+/**
+ * Write a tool's block into a hook script, creating the script if needed
+ * Content outside the block is left untouched, except for the lines an older
+ * version wrote without markers, which the block replaces when it is first added.
+ * @param {string} hookPath - Absolute path of the hook script
+ * @param {string} tool - Tool owning the block (e.g., 'pretty-please')
+ * @param {string} command - Commands of the block
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @param {Object} [change] - Extra fields for the recorded change (backend, hook, name)
+ * @param {string[]} [legacy] - Lines an older version wrote (see getLegacyHookCommands)
+ * @returns {boolean} - True once the hook is written
+ * @throws {FileError} When the hook cannot be written
+ */
+export const writeHookFile = (hookPath, tool, command, plan, change = {}, legacy = []) => {
+  const hookName = path.basename(hookPath);
+
+  try {
+    const before = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf-8') : '';
+    const rest = getHookBlock(before, tool) === null ? removeHookCommands(before, legacy) : before;
+    const after = setHookBlock(rest, tool, command);
+    const kept = findHookCommands(rest, getHookCommands(command));
+    const action = before === after ? 'unchanged' : before ? 'update' : 'create';
+
+    plan?.record({
+      kind: 'hook',
+      action,
+      name: plan.relative(hookPath),
+      detail: `tidyforge:${tool} block`,
+      tool,
+      hook: hookName,
+      command,
+      kept,
+      before,
+      after,
+      ...change,
+    });
+    if (plan?.dryRun) return true;
+
+    if (action !== 'unchanged') {
+      ensureDir(path.dirname(hookPath), plan);
+      plan?.journal.trackFile(hookPath);
+      fs.writeFileSync(hookPath, after, { encoding: 'utf-8' });
+      log.success(`${hookName} hook ${action === 'create' ? 'installed' : 'updated'}`);
+    }
+    makeExecutable(hookPath, plan);
+    return true;
+  } catch (err) {
+    throw new FileError(`Failed to install ${hookName} hook`, hookPath, err);
+  }
+};
+
+/**
+ * Remove a tool's block from a hook script, deleting the script once nothing is left to run
+ * @param {string} hookPath - Absolute path of the hook script
+ * @param {string} tool - Tool owning the block
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} - True if the hook changed
+ */
+export const removeHookFile = (hookPath, tool, plan) => {
+  if (!fs.existsSync(hookPath)) return false;
+
+  const name = plan ? plan.relative(hookPath) : path.basename(hookPath);
+  const before = fs.readFileSync(hookPath, 'utf-8');
+  const after = removeHookBlock(before, tool);
+  if (before === after) return false;
+
+  if (isHookEmpty(after)) {
+    plan?.record({ kind: 'hook', action: 'remove', name });
+  } else {
+    plan?.record({ kind: 'hook', action: 'update', name, detail: 'removed block', before, after });
+  }
+  if (plan?.dryRun) return true;
+
+  plan?.journal.trackFile(hookPath);
+  if (isHookEmpty(after)) fs.unlinkSync(hookPath);
+  else fs.writeFileSync(hookPath, after);
+  return true;
+};
+
+/**
+ * Check whether a hook script runs every command of a block
+ * @param {string} hookPath - Absolute path of the hook script
+ * @param {string} command - Commands of the block
+ * @returns {{ path: string, exists: boolean, configured: boolean, executable: boolean }} Hook
+ *   state (`executable` is always true on Windows)
+ */
+export const getHookFileStatus = (hookPath, command) => {
+  if (!fs.existsSync(hookPath)) {
+    return { path: hookPath, exists: false, configured: false, executable: false };
+  }
+
+  const content = fs.readFileSync(hookPath, 'utf-8');
+  const executable = process.platform === 'win32' || (fs.statSync(hookPath).mode & 0o111) !== 0;
+  return {
+    path: hookPath,
+    exists: true,
+    configured: getHookCommands(command).every((line) => content.includes(line)),
+    executable,
+  };
+};
+
+//* ============================================================================
+//* HOOK TEMPLATES
+//* ============================================================================
+
+/**
+ * Extracts the commands of a hook script (skips the shebang, comments and blank lines)
+ * @param {string} content - Hook file content
+ * @returns {string[]} - Commands, one per line
+ */
+export const getHookCommands = (content) =>
+  content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.includes('husky.sh'));
+
+/**
+ * Read a hook template with its commands rewritten for the project location
+ * @param {string} src - Hook template path
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Hook content to install
+ */
+export const readHookTemplate = (src, userRoot) => {
+  const content = fs.readFileSync(src, 'utf-8');
+  const commands = getHookCommands(content);
+
+  return content
+    .split('\n')
+    .map((line) => (commands.includes(line.trim()) ? prefixHookCommand(userRoot, line) : line))
+    .join('\n');
+};
+
+/**
+ * Read the commands of a tool's hook templates, keyed by hook name
+ * @param {string} srcDir - Directory containing the tool's hook templates
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string[]} [hookNames] - Hooks to read, for tools with optional hooks (default: all)
+ * @returns {Object} Map of hook name to block body (one command per line)
+ */
+export const readHookBlocks = (srcDir, userRoot, hookNames) =>
+  Object.fromEntries(
+    fs
+      .readdirSync(srcDir)
+      .filter((file) => !hookNames || hookNames.includes(file))
+      .filter((file) => fs.statSync(path.join(srcDir, file)).isFile())
+      .map((file) => [
+        file,
+        getHookCommands(readHookTemplate(path.join(srcDir, file), userRoot)).join('\n'),
+      ])
+  );
+
+/**
+ * Installs a tool's hooks with a hook backend
+ * Each hook gets a part owned by the tool (a block in hook scripts, a named
+ * command in lefthook.yml), so hooks shared with the user or other tools keep
+ * their other content.
+ * @param {string} srcDir - Directory containing the tool's hook templates
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} tool - Tool owning the hooks
+ * @param {Object} backend - Hook backend (see getHookBackend)
+ * @param {Object} [plan] - Setup plan to record changes in (see createPlan)
+ * @param {string[]} [hookNames] - Hooks to install (default: every template)
+ * @returns {boolean} - True if every hook was installed
+ */
+export const installHookFiles = (srcDir, userRoot, tool, backend, plan, hookNames) =>
+  Object.entries(readHookBlocks(srcDir, userRoot, hookNames))
+    .map(([hookName, command]) => backend.addCommand(userRoot, hookName, tool, command, plan))
+    .every(Boolean);
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import {
+  findHookCommands,
+  getHookBlock,
+  getHookCommands,
+  isHookEmpty,
+  listHookBlocks,
+  removeHookBlock,
+  removeHookCommands,
+  removeHookFile,
+  setHookBlock,
+  writeHookFile,
+} from './utils-hooks.js';
+import { createLogger, setLogger } from './utils-log.js';
+
+const block = (tool, ...commands) => [
+  `# >>> tidyforge:${tool} >>>`,
+  ...commands,
+  `# <<< tidyforge:${tool} <<<`,
+];
+const hook = (...lines) => `${lines.join('\n')}\n`;
+
+describe('setHookBlock', () => {
+  test('creates a hook with a shebang', () => {
+    assert.equal(
+      setHookBlock('', 'pretty-please', 'npx lint-staged'),
+      hook('#!/bin/sh', '', ...block('pretty-please', 'npx lint-staged'))
+    );
+  });
+
+  test('appends a block after the commands already in the hook', () => {
+    assert.equal(
+      setHookBlock(hook('#!/bin/sh', 'npm test', ''), 'pretty-please', 'npx lint-staged'),
+      hook('#!/bin/sh', 'npm test', '', ...block('pretty-please', 'npx lint-staged'))
+    );
+  });
+
+  test('orders the blocks by HOOK_BLOCK_ORDER, then by name', () => {
+    let content = setHookBlock('', 'push-back', 'npx push-back run');
+    content = setHookBlock(content, 'custom', 'echo custom');
+    content = setHookBlock(content, 'pretty-please', 'npx lint-staged');
+    assert.deepEqual(listHookBlocks(content), ['pretty-please', 'push-back', 'custom']);
+  });
+
+  test('replaces its own block in place', () => {
+    const content = hook('#!/bin/sh', ...block('pretty-please', 'old'), 'npm test');
+    assert.equal(
+      setHookBlock(content, 'pretty-please', 'npx lint-staged\n'),
+      hook('#!/bin/sh', ...block('pretty-please', 'npx lint-staged'), 'npm test')
+    );
+  });
+});
+
+describe('getHookBlock', () => {
+  test('reads the body of a block, or null without one', () => {
+    const content = hook('#!/bin/sh', ...block('commit-ment', 'a', 'b'));
+    assert.equal(getHookBlock(content, 'commit-ment'), 'a\nb');
+    assert.equal(getHookBlock(content, 'pretty-please'), null);
+  });
+
+  test('runs a block without its closing marker to the end of the hook', () => {
+    const content = hook('#!/bin/sh', '# >>> tidyforge:commit-ment >>>', 'a');
+    assert.equal(getHookBlock(content, 'commit-ment'), 'a');
+  });
+});
+
+describe('removeHookBlock', () => {
+  test('removes the block and the blank line before it', () => {
+    const content = hook('#!/bin/sh', 'npm test', '', ...block('pretty-please', 'x'));
+    assert.equal(removeHookBlock(content, 'pretty-please'), hook('#!/bin/sh', 'npm test'));
+  });
+
+  test('leaves a hook without the block as is', () => {
+    const content = hook('#!/bin/sh', 'npm test');
+    assert.equal(removeHookBlock(content, 'pretty-please'), content);
+  });
+});
+
+describe('hook commands outside blocks', () => {
+  const content = hook('#!/bin/sh', 'npx lint-staged', '', ...block('commit-ment', 'npm test'));
+
+  test('findHookCommands only sees lines outside blocks', () => {
+    assert.deepEqual(findHookCommands(content, ['npm test', 'npx lint-staged']), [
+      'npx lint-staged',
+    ]);
+  });
+
+  test('removeHookCommands drops those lines and their blank separator', () => {
+    const appended = hook('#!/bin/sh', 'npm test', '', 'npx lint-staged');
+    assert.equal(removeHookCommands(appended, ['npx lint-staged']), hook('#!/bin/sh', 'npm test'));
+    assert.equal(removeHookCommands(content, ['npm test']), content);
+  });
+
+  test('getHookCommands skips the shebang, comments and the Husky loader', () => {
+    const husky = hook('#!/bin/sh', '. "$(dirname "$0")/_/husky.sh"', '# lint', 'npx lint-staged');
+    assert.deepEqual(getHookCommands(husky), ['npx lint-staged']);
+  });
+
+  test('isHookEmpty ignores comments and blank lines', () => {
+    assert.equal(isHookEmpty(hook('#!/bin/sh', '', '# nothing')), true);
+    assert.equal(isHookEmpty(hook('#!/bin/sh', 'npm test')), false);
+  });
+});
+
+describe('writeHookFile', () => {
+  let dir;
+  let hookPath;
+
+  beforeEach(() => {
+    setLogger(createLogger({ level: 'silent' }));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-hooks-'));
+    hookPath = path.join(dir, '.husky', 'pre-commit');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates an executable hook and removes it once its block is gone', () => {
+    writeHookFile(hookPath, 'pretty-please', 'npx lint-staged');
+    assert.equal(
+      getHookBlock(fs.readFileSync(hookPath, 'utf-8'), 'pretty-please'),
+      'npx lint-staged'
+    );
+    if (process.platform !== 'win32') assert.notEqual(fs.statSync(hookPath).mode & 0o111, 0);
+
+    assert.equal(removeHookFile(hookPath, 'pretty-please'), true);
+    assert.equal(fs.existsSync(hookPath), false);
+  });
+
+  test('keeps the lines of the user and takes over those an older version wrote', () => {
+    fs.mkdirSync(path.dirname(hookPath));
+    fs.writeFileSync(hookPath, hook('#!/bin/sh', 'npx lint-staged', 'npm test'));
+
+    writeHookFile(hookPath, 'pretty-please', 'npm test', undefined, {}, ['npx lint-staged']);
+    assert.equal(
+      fs.readFileSync(hookPath, 'utf-8'),
+      hook('#!/bin/sh', 'npm test', '', ...block('pretty-please', 'npm test'))
+    );
+  });
+});
@@ -1,28 +1,49 @@
 import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import { log, promptUser } from './utils.js';
+import { detectPackageManager, getExecCommand, getInstallCommand } from './utils-pm.js';
+import { ensureHooksReady, getHookBackend } from './utils-hook-backends.js';
+import { removeHookFile, writeHookFile } from './utils-hooks.js';
+import { getLegacyHookCommands } from './utils-manifest.js';
+import { getHooksRoot, getProjectPathFromGitRoot } from './utils-workspace.js';
+import { CONFIRM, confirm, getChildStdio, log } from './utils.js';
 
 /**
  * Checks if Husky package is installed in node_modules
  * @param {string} userRoot - The root directory of the user's project
  * @returns {boolean} - True if Husky is installed
  */
-const isHuskyInstalled = (userRoot) => {
+export const isHuskyInstalled = (userRoot) => {
   const huskyPath = path.join(userRoot, 'node_modules', 'husky');
   return fs.existsSync(huskyPath);
 };
 
 /**
- * Checks if Husky has been initialized (.husky/_/husky.sh exists)
+ * Checks if Husky has been initialized (.husky/_/husky.sh exists at the Git root)
  * @param {string} userRoot - The root directory of the user's project
  * @returns {boolean} - True if Husky is initialized
  */
-const isHuskyInitialized = (userRoot) => {
-  const huskyInitFile = path.join(userRoot, '.husky', '_', 'husky.sh');
+export const isHuskyInitialized = (userRoot) => {
+  const huskyInitFile = path.join(getHooksRoot(userRoot), '.husky', '_', 'husky.sh');
   return fs.existsSync(huskyInitFile);
 };
 
+/**
+ * Path of a Husky hook file (hooks live at the Git root, next to .git)
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} hookName - Name of the hook (e.g., 'pre-commit', 'commit-msg')
+ * @returns {string} - Absolute path of the hook file
+ */
+export const getHookPath = (userRoot, hookName) =>
+  path.join(getHooksRoot(userRoot), '.husky', hookName);
+
+/**
+ * Tells whether a manifest path points into a .husky directory
+ * @param {string} name - Path relative to the project root (forward slashes)
+ * @returns {boolean} - True for hook files
+ */
+export const isHookFile = (name) => name.split('/').includes('.husky');
+
 /**
  * Checks if a specific Git hook exists
  * @param {string} userRoot - The root directory of the user's project
@@ -30,56 +51,92 @@ const isHuskyInitialized = (userRoot) => {
  * @returns {boolean} - True if the hook file exists
  */
 export const isHookInstalled = (userRoot, hookName) => {
-  const hookPath = path.join(userRoot, '.husky', hookName);
+  const hookPath = getHookPath(userRoot, hookName);
   return fs.existsSync(hookPath);
 };
 
+/**
+ * Checks if a hook file can be executed by Git (always true on Windows)
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} hookName - Name of the hook
+ * @returns {boolean} - True if the hook file has an executable bit
+ */
+export const isHookExecutable = (userRoot, hookName) => {
+  if (process.platform === 'win32') return true;
+  const { mode } = fs.statSync(getHookPath(userRoot, hookName));
+  return (mode & 0o111) !== 0;
+};
+
+/**
+ * Reads the directory Git runs hooks from
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string|null} - Value of core.hooksPath, or null if unset
+ */
+export const getHooksPath = (userRoot) => {
+  try {
+    return execSync('git config --get core.hooksPath', {
+      cwd: userRoot,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Removes core.hooksPath so Git runs the hooks in .git/hooks again
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {boolean} - True if the setting is gone
+ */
+export const unsetHooksPath = (userRoot) => {
+  try {
+    execSync('git config --unset core.hooksPath', { cwd: userRoot, stdio: 'ignore' });
+  } catch {
+    // Exit code 5 means the setting was not there
+  }
+  return getHooksPath(userRoot) === null;
+};
+
 /**
  * Checks if Git repository is initialized
  * @param {string} userRoot - The root directory of the user's project
- * @returns {boolean} - True if .git directory exists
+ * @returns {boolean} - True if .git exists in the project root or one of its parents
  */
 export const isGitInitialized = (userRoot) => {
-  const gitPath = path.join(userRoot, '.git');
+  const gitPath = path.join(getHooksRoot(userRoot), '.git');
   return fs.existsSync(gitPath);
 };
 
 /**
  * Prompts user to install Husky
+ * @param {string} mode - CONFIRM mode
  * @returns {Promise<boolean>} - True if user confirms installation
  */
-export const promptHuskyInstall = async () => {
+export const promptHuskyInstall = async (mode = CONFIRM.ASK) => {
   log.info('Husky is required to set up Git hooks.');
-  return await promptUser('\nWould you like to install Husky? (Y/n): ');
+  return await confirm('\nWould you like to install Husky?', mode);
 };
 
 /**
  * Prompts user to initialize Husky
+ * @param {string} mode - CONFIRM mode
  * @returns {Promise<boolean>} - True if user confirms initialization
  */
-export const promptHuskyInit = async () => {
-  return await promptUser('\nActivate Git hooks? (Y/n): ');
-};
-
-/**
- * Prompts user about overwriting existing hook
- * @param {string} hookName - Name of the hook
- * @returns {Promise<boolean>} - True if user confirms overwrite
- */
-export const promptHookOverwrite = async (hookName) => {
-  log.warn(`\nThe ${hookName} hook already exists.`);
-  return await promptUser(`\nDo you want to overwrite it? (y/N): `);
+export const promptHuskyInit = async (mode = CONFIRM.ASK) => {
+  return await confirm('\nActivate Git hooks?', mode);
 };
 
 /**
- * Installs Husky package via npm
+ * Installs Husky package with the project's package manager
  * @param {string} userRoot - The root directory of the user's project
  * @returns {boolean} - True if installation succeeded
  */
 export const installHusky = (userRoot) => {
   try {
-    execSync('npm install --save-dev husky', {
-      stdio: 'inherit',
+    execSync(getInstallCommand(detectPackageManager(userRoot), ['husky'], userRoot), {
+      stdio: getChildStdio(),
       cwd: userRoot,
     });
     return true;
@@ -91,14 +148,20 @@ export const installHusky = (userRoot) => {
 
 /**
  * Initializes Husky (creates .husky directory and internal files)
+ * Husky only runs from the Git root, so nested projects start it from there.
  * @param {string} userRoot - The root directory of the user's project
  * @returns {boolean} - True if initialization succeeded
  */
 export const initializeHusky = (userRoot) => {
+  const subdir = getProjectPathFromGitRoot(userRoot);
+  const command = subdir
+    ? `node "${path.join(userRoot, 'node_modules', 'husky', 'bin.js')}"`
+    : getExecCommand(detectPackageManager(userRoot), 'husky');
+
   try {
-    execSync('npx husky', {
-      stdio: 'inherit',
-      cwd: userRoot,
+    execSync(command, {
+      stdio: getChildStdio(),
+      cwd: getHooksRoot(userRoot),
     });
     return true;
   } catch (err) {
@@ -111,130 +174,34 @@ export const initializeHusky = (userRoot) => {
  * Ensures Husky is both installed and initialized
  * Prompts user if either step is needed
  * @param {string} userRoot - The root directory of the user's project
- * @param {boolean} autoPrompt - If true, prompts user; if false, fails silently
+ * @param {boolean|string} autoPrompt - CONFIRM mode (`true` prompts, `false` fails silently)
  * @returns {Promise<boolean>} - True if Husky is ready to use
  */
-export const ensureHuskyReady = async (userRoot, autoPrompt = true) => {
-  if (!isGitInitialized(userRoot)) {
-    log.error('Git repository not initialized. Run "git init" first.');
-    return false;
-  }
-
-  if (!isHuskyInstalled(userRoot)) {
-    if (autoPrompt) {
-      const shouldInstall = await promptHuskyInstall();
-      if (!shouldInstall) {
-        log.warn('Husky installation skipped. Git hooks will not work.');
-        return false;
-      }
-      if (!installHusky(userRoot)) return false;
-    } else {
-      log.error('Husky is not installed.');
-      return false;
-    }
-  }
-
-  if (!isHuskyInitialized(userRoot)) {
-    if (autoPrompt) {
-      const shouldInit = await promptHuskyInit();
-      if (!shouldInit) {
-        log.warn('Husky initialization skipped. Git hooks will not work.');
-        return false;
-      }
-      if (!initializeHusky(userRoot)) return false;
-    } else {
-      log.error('Husky is not initialized.');
-      return false;
-    }
-  }
-
-  return true;
-};
+export const ensureHuskyReady = (userRoot, autoPrompt = true) =>
+  ensureHooksReady(userRoot, getHookBackend('husky'), autoPrompt);
 
 /**
- * Installs a Git hook with specified content
+ * Installs a tool's block into a Husky hook, creating the hook if needed
  * @param {string} userRoot - The root directory of the user's project
  * @param {string} hookName - Name of the hook (e.g., 'pre-commit', 'commit-msg')
- * @param {string} hookCommand - Command to execute in the hook
- * @param {boolean} overwrite - If true, overwrites existing hook without prompting
- * @returns {Promise<boolean>} - True if hook was installed successfully
- */
-export const installHook = async (userRoot, hookName, hookCommand, overwrite = false) => {
-  const hookPath = path.join(userRoot, '.husky', hookName);
-
-  // Check if hook already exists
-  if (isHookInstalled(userRoot, hookName)) {
-    const existingContent = fs.readFileSync(hookPath, 'utf-8');
-
-    // If the exact command already exists, skip
-    if (existingContent.includes(hookCommand.trim())) {
-      log.info(`${hookName} hook already configured with this command.`);
-      return true;
-    }
-
-    // Prompt for overwrite if not auto-overwriting
-    if (!overwrite) {
-      const shouldOverwrite = await promptHookOverwrite(hookName);
-      if (!shouldOverwrite) {
-        log.info(`${hookName} hook installation skipped.`);
-        return false;
-      }
-    }
-  }
-
-  try {
-    // Create hook file with proper format
-    const hookContent = `#!/usr/bin/env sh
-. "$(dirname -- "$0")/_/husky.sh"
-
-${hookCommand}
-`;
-
-    fs.writeFileSync(hookPath, hookContent, { encoding: 'utf-8' });
-
-    // Make executable on Unix systems
-    if (process.platform !== 'win32') {
-      fs.chmodSync(hookPath, '755');
-    }
-
-    log.success(`${hookName} hook installed successfully!`);
-    return true;
-  } catch (err) {
-    log.error(`Failed to install ${hookName} hook: ${err.message}`);
-    return false;
-  }
+ * @param {string} tool - Tool owning the block (e.g., 'pretty-please')
+ * @param {string} hookCommand - Commands of the block
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} - True if the hook was installed successfully
+ */
+export const installHook = (userRoot, hookName, tool, hookCommand, plan) => {
+  const hookPath = getHookPath(userRoot, hookName);
+  const legacy = getLegacyHookCommands(userRoot, tool, hookPath, hookCommand);
+  return writeHookFile(hookPath, tool, hookCommand, plan, { backend: 'husky' }, legacy);
 };
 
 /**
- * Adds a command to an existing hook (appends without overwriting)
+ * Removes a tool's block from a Husky hook, deleting the hook once nothing is left to run
  * @param {string} userRoot - The root directory of the user's project
  * @param {string} hookName - Name of the hook
- * @param {string} hookCommand - Command to add
- * @returns {boolean} - True if command was added successfully
+ * @param {string} tool - Tool owning the block
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} - True if the hook changed
  */
-export const addToHook = (userRoot, hookName, hookCommand) => {
-  const hookPath = path.join(userRoot, '.husky', hookName);
-
-  if (!isHookInstalled(userRoot, hookName)) {
-    log.error(`${hookName} hook does not exist. Use installHook instead.`);
-    return false;
-  }
-
-  try {
-    const existingContent = fs.readFileSync(hookPath, 'utf-8');
-
-    // Check if command already exists
-    if (existingContent.includes(hookCommand.trim())) {
-      log.info(`Command already exists in ${hookName} hook.`);
-      return true;
-    }
-
-    // Append command
-    fs.appendFileSync(hookPath, `\n${hookCommand}\n`);
-    log.success(`Command added to ${hookName} hook.`);
-    return true;
-  } catch (err) {
-    log.error(`Failed to add command to ${hookName} hook: ${err.message}`);
-    return false;
-  }
-};
+export const removeHook = (userRoot, hookName, tool, plan) =>
+  removeHookFile(getHookPath(userRoot, hookName), tool, plan);
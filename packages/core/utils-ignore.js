@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { FileError } from './utils-errors.js';
+import { getHookBlockMarkers, removeHookBlock, setHookBlock } from './utils-hooks.js';
+import { LOCKFILES } from './utils-pm.js';
+import { log } from './utils.js';
+
+//* ============================================================================
+//* IGNORE FILES
+//* ============================================================================
+
+/**
+ * Entries every project gets, per ignore file
+ * Lockfiles are committed but never formatted; build output, coverage reports
+ * and caches are neither.
+ */
+const BASE_ENTRIES = {
+  '.gitignore': ['node_modules', 'dist', 'build', 'coverage', '.eslintcache'],
+  '.prettierignore': [...Object.keys(LOCKFILES), 'dist', 'build', 'coverage', '.eslintcache'],
+};
+
+/**
+ * Build output and cache folders of frameworks, by the dependency that reveals them
+ */
+const FRAMEWORK_OUTPUTS = {
+  next: ['.next', 'out'],
+  nuxt: ['.nuxt', '.output'],
+  '@sveltejs/kit': ['.svelte-kit'],
+  astro: ['.astro'],
+  gatsby: ['.cache', 'public'],
+  '@docusaurus/core': ['.docusaurus'],
+  '@angular/core': ['.angular'],
+  expo: ['.expo'],
+  storybook: ['storybook-static'],
+  turbo: ['.turbo'],
+  vercel: ['.vercel'],
+  parcel: ['.parcel-cache'],
+};
+
+/**
+ * Reduce an entry to the path it ignores, so `/dist`, `dist/` and `dist/**`
+ * all count as `dist`
+ * @param {string} line - Ignore file line
+ * @returns {string} Normalized entry ('' for blank lines, comments and negations)
+ */
+const normalizeEntry = (line) => {
+  const entry = line.trim();
+  if (entry === '' || entry.startsWith('#') || entry.startsWith('!')) return '';
+  return entry.replace(/^\//, '').replace(/\/\**$/, '');
+};
+
+/**
+ * Read the output directory of tsconfig.json, if it sits inside the project
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string|null} Directory relative to the project root
+ */
+const readTsOutDir = (userRoot) => {
+  const tsconfigPath = path.join(userRoot, 'tsconfig.json');
+  if (!fs.existsSync(tsconfigPath)) return null;
+
+  // tsconfig.json allows comments, so look the option up instead of parsing
+  const outDir = fs.readFileSync(tsconfigPath, 'utf-8').match(/"outDir"\s*:\s*"([^"]+)"/)?.[1];
+  const relative = outDir && path.relative(userRoot, path.resolve(userRoot, outDir));
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+    ? relative.split(path.sep).join('/')
+    : null;
+};
+
+/**
+ * List the entries tidyforge manages in each ignore file of a project
+ * Besides the base entries, the build output of the detected frameworks and
+ * the `outDir` of tsconfig.json are ignored.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - Parsed package.json object (merged with the workspace packages)
+ * @returns {Object} Map of ignore file name to entries
+ */
+export const getIgnoreEntries = (userRoot, pkg = {}) => {
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const outDir = readTsOutDir(userRoot);
+  const outputs = [
+    ...Object.entries(FRAMEWORK_OUTPUTS).flatMap(([name, dirs]) => (name in deps ? dirs : [])),
+    ...(outDir ? [outDir] : []),
+  ];
+
+  return Object.fromEntries(
+    Object.entries(BASE_ENTRIES).map(([file, entries]) => [
+      file,
+      [...new Set([...entries, ...outputs])],
+    ])
+  );
+};
+
+/**
+ * Add or replace a tool's block in an ignore file
+ * @param {string} content - Ignore file content ('' for a new file)
+ * @param {string} tool - Tool name
+ * @param {string[]} entries - Entries of the block
+ * @returns {string} Updated content
+ */
+const setIgnoreBlock = (content, tool, entries) => {
+  if (content.trim() !== '') return setHookBlock(content, tool, entries.join('\n'));
+  const { start, end } = getHookBlockMarkers(tool);
+  return [start, ...entries, end, ''].join('\n');
+};
+
+/**
+ * Write a tool's block of entries into an ignore file, creating the file if needed
+ * Entries the file already has outside the block are left out of it, so
+ * nothing is listed twice; without any entry left, the block is removed.
+ * @param {string} filePath - Absolute path of the ignore file
+ * @param {string} tool - Tool owning the block
+ * @param {string[]} entries - Entries to ignore
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {string[]} Entries written in the block
+ * @throws {FileError} When the file cannot be written
+ */
+export const writeIgnoreFile = (filePath, tool, entries, plan) => {
+  const fileName = path.basename(filePath);
+  const exists = fs.existsSync(filePath);
+  const before = exists ? fs.readFileSync(filePath, 'utf-8') : '';
+  const others = new Set(removeHookBlock(before, tool).split('\n').map(normalizeEntry));
+  const added = entries.filter((entry) => !others.has(normalizeEntry(entry)));
+  const after =
+    added.length > 0 ? setIgnoreBlock(before, tool, added) : removeHookBlock(before, tool);
+  const action = before === after ? 'unchanged' : exists ? 'update' : 'create';
+
+  plan?.record({
+    kind: 'ignore',
+    action,
+    name: plan.relative(filePath),
+    detail: `tidyforge:${tool} block`,
+    tool,
+    entries: added,
+    before,
+    after,
+  });
+  if (plan?.dryRun || action === 'unchanged') return added;
+
+  try {
+    plan?.journal.trackFile(filePath);
+    fs.writeFileSync(filePath, after);
+    log.success(`${fileName} ${exists ? 'updated' : 'created'}`);
+    return added;
+  } catch (err) {
+    throw new FileError(`Failed to write ${fileName}`, filePath, err);
+  }
+};
+
+/**
+ * Remove a tool's block from an ignore file, deleting the file when the tool
+ * created it and nothing else was added since
+ * @param {string} filePath - Absolute path of the ignore file
+ * @param {string} tool - Tool owning the block
+ * @param {boolean} created - Whether the tool created the file
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} True if the file changed
+ */
+export const removeIgnoreFile = (filePath, tool, created, plan) => {
+  if (!fs.existsSync(filePath)) return false;
+
+  const name = plan ? plan.relative(filePath) : path.basename(filePath);
+  const before = fs.readFileSync(filePath, 'utf-8');
+  const after = removeHookBlock(before, tool);
+  if (before === after) return false;
+
+  const empty = created && after.trim() === '';
+  if (empty) {
+    plan?.record({ kind: 'ignore', action: 'remove', name });
+  } else {
+    plan?.record({
+      kind: 'ignore',
+      action: 'update',
+      name,
+      detail: 'removed block',
+      before,
+      after,
+    });
+  }
+  if (plan?.dryRun) return true;
+
+  plan?.journal.trackFile(filePath);
+  if (empty) fs.unlinkSync(filePath);
+  else fs.writeFileSync(filePath, after);
+  return true;
+};
@@ -0,0 +1,241 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+
+//* ============================================================================
+//* JOURNAL
+//* ============================================================================
+
+/**
+ * Signals that roll a transaction back before the process ends
+ */
+const ROLLBACK_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Snapshot a file: its content and mode, or the fact that it did not exist
+ * @param {string} filePath - Absolute file path
+ * @returns {Object} { existed, content?, mode? }
+ */
+const snapshotFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return { existed: false };
+  const { mode } = fs.statSync(filePath);
+  return { existed: true, content: fs.readFileSync(filePath), mode };
+};
+
+/**
+ * Put a file back the way a snapshot found it
+ * @param {string} filePath - Absolute file path
+ * @param {Object} snapshot - Snapshot taken by snapshotFile
+ */
+const restoreFile = (filePath, snapshot) => {
+  if (!snapshot.existed) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, snapshot.content);
+  if (process.platform !== 'win32') fs.chmodSync(filePath, snapshot.mode & 0o7777);
+};
+
+/**
+ * Read a Git config value
+ * @param {string} cwd - Directory inside the repository
+ * @param {string} key - Config key
+ * @returns {string|null} Value, or null if unset
+ */
+const readGitConfig = (cwd, key) => {
+  try {
+    return execSync(`git config --get ${key}`, { cwd, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a journal that can undo everything a run changes in a project
+ * Core helpers call the `track*` methods right before they modify something,
+ * so the first snapshot of each path is the state before the run. A dry-run
+ * journal ignores every call.
+ * @param {Object} [options] - { dryRun }
+ * @returns {Object} Journal with track/rollback/commit helpers
+ */
+export const createJournal = ({ dryRun = false } = {}) => {
+  const entries = [];
+  const tracked = new Set();
+
+  const add = (key, undo) => {
+    if (dryRun || tracked.has(key)) return;
+    tracked.add(key);
+    entries.push({ key, undo });
+  };
+
+  /**
+   * Remember a directory that is about to be created, with its missing parents
+   * @param {string} dir - Absolute directory path
+   */
+  const trackDir = (dir) => {
+    let created = null;
+    for (let current = dir; !fs.existsSync(current); current = path.dirname(current)) {
+      created = current;
+      if (path.dirname(current) === current) break;
+    }
+    if (created) add(created, () => fs.rmSync(created, { recursive: true, force: true }));
+  };
+
+  return {
+    get size() {
+      return entries.length;
+    },
+
+    /**
+     * Snapshot a file before it is written, chmodded or deleted
+     * @param {string} filePath - Absolute file path
+     */
+    trackFile(filePath) {
+      if (dryRun || tracked.has(filePath)) return;
+      const snapshot = snapshotFile(filePath);
+      add(filePath, () => restoreFile(filePath, snapshot));
+    },
+
+    trackDir,
+
+    /**
+     * Snapshot every file of a directory that an external command rewrites
+     * (e.g. .git/hooks when a hook manager is activated)
+     * @param {string} dir - Absolute directory path
+     */
+    trackTree(dir) {
+      if (dryRun || tracked.has(dir)) return;
+      if (!fs.existsSync(dir)) {
+        trackDir(dir);
+        return;
+      }
+
+      const files = new Map(
+        fs
+          .readdirSync(dir)
+          .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+          .map((file) => [file, snapshotFile(path.join(dir, file))])
+      );
+      add(dir, () => {
+        fs.readdirSync(dir)
+          .filter((file) => !files.has(file))
+          .forEach((file) => fs.rmSync(path.join(dir, file), { recursive: true, force: true }));
+        files.forEach((snapshot, file) => restoreFile(path.join(dir, file), snapshot));
+      });
+    },
+
+    /**
+     * Snapshot a Git config value before a command sets or unsets it
+     * @param {string} cwd - Directory inside the repository
+     * @param {string} key - Config key (e.g. core.hooksPath)
+     */
+    trackGitConfig(cwd, key) {
+      if (dryRun || tracked.has(`git:${key}`)) return;
+      const value = readGitConfig(cwd, key);
+      add(`git:${key}`, () => {
+        if (readGitConfig(cwd, key) === value) return;
+        execSync(value === null ? `git config --unset ${key}` : `git config ${key} "${value}"`, {
+          cwd,
+          stdio: 'ignore',
+        });
+      });
+    },
+
+    /**
+     * Register a custom undo step
+     * @param {string} key - Unique name of the step
+     * @param {Function} undo - Called on rollback
+     */
+    onRollback(key, undo) {
+      add(key, undo);
+    },
+
+    /**
+     * Undo every tracked change, newest first
+     * Steps that fail are skipped so the others still run.
+     * @returns {Array<{ key: string, error: Error }>} Steps that could not be undone
+     */
+    rollback() {
+      const failures = [];
+
+      while (entries.length > 0) {
+        const { key, undo } = entries.pop();
+        try {
+          undo();
+        } catch (error) {
+          failures.push({ key, error });
+        }
+      }
+
+      tracked.clear();
+      return failures;
+    },
+
+    /**
+     * Keep the changes: forget every snapshot
+     */
+    commit() {
+      entries.length = 0;
+      tracked.clear();
+    },
+  };
+};
+
+/**
+ * Roll a journal back, reporting what could not be restored
+ * @param {Object} journal - Journal (see createJournal)
+ * @param {string} reason - Why the run is rolled back
+ */
+const rollbackJournal = (journal, reason) => {
+  if (journal.size === 0) return;
+
+  log.warn(`${reason}, restoring the project...`);
+  log.debug(`Undoing ${journal.size} tracked change(s)`);
+  const failures = journal.rollback();
+
+  if (failures.length === 0) {
+    log.success('Project restored to its state before the run');
+    return;
+  }
+  failures.forEach(({ key, error }) => log.error(`Could not restore ${key}: ${error.message}`));
+};
+
+/**
+ * Run a setup, upgrade or uninstall as a transaction
+ * Every change tracked in the plan's journal is undone when the action throws
+ * or the process receives SIGINT/SIGTERM (Ctrl+C); the error is rethrown and
+ * the signal re-raised afterwards.
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @param {Function} action - Async function doing the work
+ * @returns {Promise<*>} Result of the action
+ */
+export const runTransaction = async (plan, action) => {
+  const { journal } = plan;
+  const handlers = ROLLBACK_SIGNALS.map((signal) => {
+    const handler = () => {
+      rollbackJournal(journal, `\nInterrupted by ${signal}`);
+      ROLLBACK_SIGNALS.forEach((name, i) => process.removeListener(name, handlers[i]));
+      process.kill(process.pid, signal);
+    };
+    process.on(signal, handler);
+    return handler;
+  });
+
+  try {
+    const result = await action();
+    // A signal received during a blocking command is only delivered on the next loop turn
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    journal.commit();
+    return result;
+  } catch (err) {
+    rollbackJournal(journal, 'Run failed');
+    throw err;
+  } finally {
+    ROLLBACK_SIGNALS.forEach((signal, i) => process.removeListener(signal, handlers[i]));
+  }
+};
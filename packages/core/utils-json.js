@@ -0,0 +1,219 @@
+//* ============================================================================
+//* JSON FORMATTING
+//* ============================================================================
+
+/**
+ * Formatting used for files that do not exist yet
+ */
+const DEFAULT_FORMAT = { indent: '  ', eol: '\n', finalNewline: true };
+
+/**
+ * Detect how a JSON file is formatted
+ * @param {string} text - File content ('' for a new file)
+ * @returns {{ indent: string, eol: string, finalNewline: boolean }} Indentation,
+ *   line ending and whether the file ends with a line ending
+ */
+export const detectJSONFormat = (text) => {
+  if (!text) return { ...DEFAULT_FORMAT };
+
+  const indent = text.match(/^[{[][ \t]*\r?\n([ \t]+)\S/)?.[1] ?? DEFAULT_FORMAT.indent;
+
+  return {
+    indent,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(text),
+  };
+};
+
+/**
+ * Serialize data as JSON with a given formatting
+ * @param {*} data - Data to serialize
+ * @param {Object} [format] - Result of detectJSONFormat
+ * @returns {string} JSON text
+ */
+export const formatJSON = (data, format = DEFAULT_FORMAT) => {
+  const text = JSON.stringify(data, null, format.indent).replace(/\n/g, format.eol);
+  return format.finalNewline ? text + format.eol : text;
+};
+
+/**
+ * Serialize data to replace an existing JSON file, keeping its formatting
+ * When the data is unchanged the existing text is returned as is, so a no-op
+ * write leaves the file byte-for-byte identical.
+ * @param {string} existing - Current file content ('' for a new file)
+ * @param {*} data - Data to write
+ * @returns {string} New file content
+ */
+export const updateJSON = (existing, data) => {
+  if (existing) {
+    try {
+      if (JSON.stringify(JSON.parse(existing)) === JSON.stringify(data)) return existing;
+    } catch {
+      // Unparsable files are rewritten with the detected formatting
+    }
+  }
+
+  return formatJSON(data, detectJSONFormat(existing));
+};
+
+//* ============================================================================
+//* PACKAGE.JSON KEY ORDER
+//* ============================================================================
+
+/**
+ * Conventional order of the top-level package.json keys
+ * Keys already in a file keep their position; only new keys are placed by it.
+ */
+export const PACKAGE_KEY_ORDER = [
+  '$schema',
+  'name',
+  'displayName',
+  'version',
+  'private',
+  'description',
+  'keywords',
+  'homepage',
+  'bugs',
+  'repository',
+  'funding',
+  'license',
+  'author',
+  'contributors',
+  'sideEffects',
+  'type',
+  'imports',
+  'exports',
+  'main',
+  'module',
+  'browser',
+  'types',
+  'typings',
+  'bin',
+  'man',
+  'directories',
+  'files',
+  'workspaces',
+  'scripts',
+  'config',
+  'commitlint',
+  'lint-staged',
+  'prettier',
+  'eslintConfig',
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'peerDependenciesMeta',
+  'optionalDependencies',
+  'bundleDependencies',
+  'overrides',
+  'resolutions',
+  'engines',
+  'packageManager',
+  'os',
+  'cpu',
+  'publishConfig',
+];
+
+/**
+ * Index of the last array item matching a predicate (Array#findLastIndex needs Node 18)
+ * @param {Array} array - Items to search
+ * @param {Function} predicate - Called with each item
+ * @returns {number} Index, or -1 when nothing matches
+ */
+const findLastIndex = (array, predicate) =>
+  array.reduce((found, item, index) => (predicate(item) ? index : found), -1);
+
+/**
+ * Return a copy of an object with a key inserted at a given position
+ * @param {Object} object - Source object
+ * @param {string} key - Key to insert (moved if it already exists)
+ * @param {*} value - Value of the key
+ * @param {number} index - Position among the other keys
+ * @returns {Object} New object
+ */
+const insertAt = (object, key, value, index) => {
+  const entries = Object.entries(object).filter(([name]) => name !== key);
+  entries.splice(index, 0, [key, value]);
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Add a script next to the scripts it belongs with
+ * `lint:fix` goes after `lint` and the other `lint:*` scripts, `lint` before
+ * its `lint:*` variants, `pretest`/`posttest` around `test`; anything else
+ * goes last.
+ * @param {Object} scripts - Existing scripts
+ * @param {string} name - Script name
+ * @param {string} value - Script command
+ * @returns {Object} New scripts object
+ */
+export const insertScript = (scripts, name, value) => {
+  if (name in scripts) return { ...scripts, [name]: value };
+
+  const keys = Object.keys(scripts);
+  const base = name.split(':')[0];
+  const lifecycle = name.match(/^(pre|post)(.+)$/);
+  let index = keys.length;
+
+  if (lifecycle && keys.includes(lifecycle[2])) {
+    index = keys.indexOf(lifecycle[2]) + (lifecycle[1] === 'post' ? 1 : 0);
+  } else if (name.includes(':')) {
+    const last = findLastIndex(keys, (key) => key === base || key.startsWith(`${base}:`));
+    if (last !== -1) index = last + 1;
+  } else {
+    const first = keys.findIndex((key) => key.startsWith(`${name}:`));
+    if (first !== -1) index = first;
+  }
+
+  return insertAt(scripts, name, value, index);
+};
+
+/**
+ * Place the keys missing from a previous version of package.json
+ * Existing keys keep their order. A new top-level key goes right after the
+ * closest key that precedes it in PACKAGE_KEY_ORDER (unknown keys go last),
+ * and new scripts are placed with insertScript.
+ * @param {Object} pkg - Updated package.json object
+ * @param {Object} [previous] - package.json object as read from disk
+ * @returns {Object} package.json object with the new keys in place
+ */
+export const orderPackageKeys = (pkg, previous = {}) => {
+  let ordered = Object.fromEntries(Object.entries(pkg).filter(([key]) => key in previous));
+
+  Object.entries(pkg)
+    .filter(([key]) => !(key in previous))
+    .forEach(([key, value]) => {
+      const rank = PACKAGE_KEY_ORDER.indexOf(key);
+      const keys = Object.keys(ordered);
+
+      if (rank === -1) {
+        ordered = { ...ordered, [key]: value };
+        return;
+      }
+
+      // After the last existing key ranked before the new one, else before the first known key
+      let index = findLastIndex(keys, (name) => {
+        const other = PACKAGE_KEY_ORDER.indexOf(name);
+        return other !== -1 && other < rank;
+      });
+      if (index === -1) {
+        const next = keys.findIndex((name) => PACKAGE_KEY_ORDER.indexOf(name) > rank);
+        index = next === -1 ? keys.length : next - 1;
+      }
+      ordered = insertAt(ordered, key, value, index + 1);
+    });
+
+  if (ordered.scripts && typeof ordered.scripts === 'object') {
+    const known = previous.scripts ?? {};
+    const entries = Object.entries(ordered.scripts);
+
+    ordered.scripts = entries
+      .filter(([name]) => !(name in known))
+      .reduce(
+        (scripts, [name, value]) => insertScript(scripts, name, value),
+        Object.fromEntries(entries.filter(([name]) => name in known))
+      );
+  }
+
+  return ordered;
+};
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { detectJSONFormat, insertScript, orderPackageKeys, updateJSON } from './utils-json.js';
+import { createLogger, setLogger } from './utils-log.js';
+import { writeJSON } from './utils.js';
+
+describe('detectJSONFormat', () => {
+  test('reads the indentation, line ending and final newline', () => {
+    assert.deepEqual(detectJSONFormat('{\r\n\t"a": 1\r\n}'), {
+      indent: '\t',
+      eol: '\r\n',
+      finalNewline: false,
+    });
+  });
+
+  test('defaults to two spaces and LF for a new file', () => {
+    assert.deepEqual(detectJSONFormat(''), { indent: '  ', eol: '\n', finalNewline: true });
+  });
+});
+
+describe('updateJSON', () => {
+  test('keeps the formatting of the existing file', () => {
+    const existing = '{\r\n    "name": "app"\r\n}';
+    assert.equal(
+      updateJSON(existing, { name: 'app', private: true }),
+      '{\r\n    "name": "app",\r\n    "private": true\r\n}'
+    );
+  });
+
+  test('returns unchanged data byte for byte', () => {
+    const existing = '{ "name": "app",   "version": "1.0.0" }';
+    assert.equal(updateJSON(existing, { name: 'app', version: '1.0.0' }), existing);
+  });
+});
+
+describe('insertScript', () => {
+  const scripts = { build: 'tsc', lint: 'eslint .', 'lint:css': 'stylelint', test: 'jest' };
+
+  test('puts a variant after the scripts of its group', () => {
+    assert.deepEqual(Object.keys(insertScript(scripts, 'lint:fix', 'eslint . --fix')), [
+      'build',
+      'lint',
+      'lint:css',
+      'lint:fix',
+      'test',
+    ]);
+  });
+
+  test('puts lifecycle scripts around their script', () => {
+    assert.deepEqual(Object.keys(insertScript(scripts, 'pretest', 'npm run lint')), [
+      'build',
+      'lint',
+      'lint:css',
+      'pretest',
+      'test',
+    ]);
+  });
+
+  test('appends a script without relatives and replaces an existing one in place', () => {
+    assert.equal(Object.keys(insertScript(scripts, 'format', 'prettier')).pop(), 'format');
+    assert.deepEqual(insertScript(scripts, 'lint', 'eslint'), { ...scripts, lint: 'eslint' });
+  });
+});
+
+describe('orderPackageKeys', () => {
+  test('keeps existing keys in place and slots new ones by convention', () => {
+    const previous = { version: '1.0.0', name: 'app', dependencies: {} };
+    const pkg = { ...previous, scripts: {}, 'lint-staged': {}, custom: true };
+
+    assert.deepEqual(Object.keys(orderPackageKeys(pkg, previous)), [
+      'version',
+      'name',
+      'scripts',
+      'lint-staged',
+      'dependencies',
+      'custom',
+    ]);
+  });
+
+  test('places only the new scripts', () => {
+    const previous = { scripts: { test: 'jest', lint: 'eslint .' } };
+    const pkg = { scripts: { ...previous.scripts, 'lint:fix': 'eslint . --fix' } };
+
+    assert.deepEqual(Object.keys(orderPackageKeys(pkg, previous).scripts), [
+      'test',
+      'lint',
+      'lint:fix',
+    ]);
+  });
+});
+
+describe('writeJSON', () => {
+  let dir;
+
+  beforeEach(() => {
+    setLogger(createLogger({ level: 'silent' }));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-json-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('adds keys to package.json without reformatting it', () => {
+    const file = path.join(dir, 'package.json');
+    fs.writeFileSync(file, '{\n\t"name": "app",\n\t"devDependencies": {}\n}');
+
+    writeJSON(file, { name: 'app', devDependencies: {}, scripts: { lint: 'eslint .' } });
+    assert.equal(
+      fs.readFileSync(file, 'utf-8'),
+      '{\n\t"name": "app",\n\t"scripts": {\n\t\t"lint": "eslint ."\n\t},\n\t"devDependencies": {}\n}'
+    );
+  });
+
+  test('leaves a file with unchanged data untouched', () => {
+    const file = path.join(dir, 'package.json');
+    const content = '{"name":"app"}\n';
+    fs.writeFileSync(file, content);
+    const { mtimeMs } = fs.statSync(file);
+
+    writeJSON(file, { name: 'app' });
+    assert.equal(fs.readFileSync(file, 'utf-8'), content);
+    assert.equal(fs.statSync(file).mtimeMs, mtimeMs);
+  });
+});
@@ -0,0 +1,193 @@
+import { Console } from 'console';
+
+//* ============================================================================
+//* LOGGER
+//* ============================================================================
+
+/**
+ * Severity of each level; a logger prints the levels at or above its own
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  success: 20,
+  warn: 30,
+  error: 40,
+  silent: 50,
+};
+
+const COLORS = {
+  gray: '\x1b[90m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  blue: '\x1b[36m',
+  reset: '\x1b[0m',
+};
+
+/**
+ * How each level looks: color and symbol in a terminal, label in plain text
+ */
+const STYLES = {
+  debug: { color: 'gray', label: 'debug' },
+  info: { color: 'blue' },
+  success: { color: 'green', symbol: '✔' },
+  warn: { color: 'yellow', symbol: '⚠', label: 'Warning' },
+  error: { color: 'red', symbol: '✘', label: 'Error' },
+};
+
+/**
+ * Decide whether output to a stream can use ANSI colors
+ * As in Node itself, FORCE_COLOR enables them unless it is "0" or "false" and
+ * takes precedence over a non-empty NO_COLOR; otherwise only terminals get colors.
+ * @param {Object} [stream] - Output stream (defaults to stdout)
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {boolean} True if colors should be used
+ */
+export const supportsColor = (stream = process.stdout, env = process.env) => {
+  if (env.FORCE_COLOR !== undefined) return !['0', 'false'].includes(env.FORCE_COLOR);
+  if (env.NO_COLOR) return false;
+  return Boolean(stream.isTTY);
+};
+
+/**
+ * Create a logger
+ * Human output goes to stdout (errors to stderr) and keeps the blank lines a
+ * message starts with. In JSON mode every message and event is written to
+ * stdout as one JSON object per line, and `print` is ignored.
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Lowest level printed (see LOG_LEVELS, default "info")
+ * @param {boolean} [options.json] - Emit JSON lines instead of text
+ * @param {boolean} [options.color] - Use colors and symbols (detected with supportsColor)
+ * @param {Object} [options.stdout] - Stream for messages and events
+ * @param {Object} [options.stderr] - Stream for errors
+ * @returns {Object} Logger: { level, json, debug, info, success, warn, error, print, event }
+ */
+export const createLogger = ({
+  level = 'info',
+  json = false,
+  color,
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) => {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+  const colored = color ?? supportsColor(stdout);
+  // The global console when writing to the process streams, so output interleaves with it
+  const output =
+    stdout === process.stdout && stderr === process.stderr
+      ? console
+      : new Console({ stdout, stderr });
+  const write = (stream, line) => (stream === stderr ? output.error(line) : output.log(line));
+
+  const emit = (name) => (msg) => {
+    if (LOG_LEVELS[name] < threshold) return;
+
+    const [, breaks, text] = String(msg).match(/^(\n*)([\s\S]*)$/);
+    if (json) {
+      write(stdout, JSON.stringify({ type: 'log', level: name, message: text.trimEnd() }));
+      return;
+    }
+
+    const { color: tint, symbol, label } = STYLES[name];
+    const stream = name === 'error' ? stderr : stdout;
+    if (colored) {
+      write(stream, `${breaks}${COLORS[tint]}${symbol ? `${symbol} ` : ''}${text}${COLORS.reset}`);
+    } else {
+      write(stream, `${breaks}${label ? `${label}: ` : ''}${text}`);
+    }
+  };
+
+  return {
+    level,
+    json,
+    debug: emit('debug'),
+    info: emit('info'),
+    success: emit('success'),
+    warn: emit('warn'),
+    error: emit('error'),
+
+    /**
+     * Print preformatted text (plans, diffs, hints) at the info level
+     * @param {string} text - Text to print as is
+     */
+    print(text) {
+      if (json || LOG_LEVELS.info < threshold) return;
+      write(stdout, text);
+    },
+
+    /**
+     * Report a step of the run (a change, a check result, the final report)
+     * Printed as JSON in JSON mode, as a debug line otherwise.
+     * @param {Object} event - { type, ...fields }
+     */
+    event({ type, ...fields }) {
+      if (json) {
+        write(stdout, JSON.stringify({ type, ...fields }));
+        return;
+      }
+      const { kind, action, name, workspace } = fields;
+      if (type === 'change')
+        emit('debug')(`${action} ${kind} ${workspace ? `${workspace}: ${name}` : name}`);
+    },
+  };
+};
+
+let current = createLogger();
+
+/**
+ * Centralized logging utilities
+ * Messages go to the logger installed with setLogger or withLogger, a colored
+ * console logger by default.
+ */
+export const log = {
+  debug: (msg) => current.debug?.(msg),
+  info: (msg) => current.info?.(msg),
+  success: (msg) => current.success?.(msg),
+  warn: (msg) => (current.warn ?? current.warning)?.(msg),
+  // Kept for callers written against the previous logger
+  warning: (msg) => log.warn(msg),
+  error: (msg) => current.error?.(msg),
+  print: (text) => current.print?.(text),
+  event: (event) => current.event?.(event),
+};
+
+/**
+ * stdio of the commands a run spawns (installs, hook managers, checks)
+ * In JSON mode their output goes to stderr, so stdout only holds JSON lines.
+ * @param {string} [stdin] - What the command reads: "inherit" (default) or "ignore"
+ * @returns {Array} `stdio` option for child_process
+ */
+export const getChildStdio = (stdin = 'inherit') => [
+  stdin,
+  current.json ? process.stderr : 'inherit',
+  'inherit',
+];
+
+/**
+ * Install the logger used by every core helper
+ * @param {Object} logger - Logger created with createLogger, or any object with some of
+ *   its methods (missing levels are dropped)
+ * @returns {Object} The logger it replaces
+ */
+export const setLogger = (logger) => {
+  const previous = current;
+  current = logger;
+  return previous;
+};
+
+/**
+ * Send the messages of an action to another logger
+ * Levels the logger does not implement are dropped, so `{}` silences the action.
+ * @param {Object} [logger] - Logger for the action (the current one when omitted)
+ * @param {Function} action - Async function to run
+ * @returns {Promise<*>} Result of the action
+ */
+export const withLogger = async (logger, action) => {
+  const previous = setLogger(logger ?? current);
+
+  try {
+    return await action();
+  } finally {
+    setLogger(previous);
+  }
+};
@@ -0,0 +1,542 @@
+import { createHash } from 'crypto';
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { CommandError } from './utils-errors.js';
+import { getHookCommands, removeHookCommands } from './utils-hooks.js';
+import { DEFAULT_HOOK_BACKEND, getHookBackend } from './utils-hook-backends.js';
+import { isHookFile } from './utils-husky.js';
+import { removeIgnoreFile } from './utils-ignore.js';
+import { detectPackageManager, getRemoveCommand, trackInstall } from './utils-pm.js';
+import { getHooksRoot } from './utils-workspace.js';
+import { confirm, getChildStdio, log, readJSON, writeJSON } from './utils.js';
+
+//* ============================================================================
+//* MANIFEST STORAGE
+//* ============================================================================
+
+/**
+ * File that records what each tidyforge tool added to a project
+ */
+export const MANIFEST_FILE = '.tidyforge.json';
+
+/**
+ * package.json key used when the manifest lives inside package.json
+ */
+export const MANIFEST_KEY = 'tidyforge';
+
+/**
+ * Format version of the manifest, bumped on incompatible changes
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Where a manifest can be stored
+ */
+export const MANIFEST_LOCATIONS = [MANIFEST_FILE, 'package.json'];
+
+/**
+ * Hash file content so later runs can tell whether the user edited it
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashContent = (content) => createHash('sha256').update(content).digest('hex');
+
+/**
+ * Compare two JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize identically
+ */
+export const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Read package.json without failing when it is missing
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {Object} Parsed package.json, or an empty object
+ */
+const readPackage = (userRoot) => {
+  const pkgPath = path.join(userRoot, 'package.json');
+  return fs.existsSync(pkgPath) ? readJSON(pkgPath) : {};
+};
+
+/**
+ * Find where a project's manifest is stored
+ * A `tidyforge` key with recorded tools in package.json wins over the file.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} One of MANIFEST_LOCATIONS (the file when nothing is recorded yet)
+ */
+export const findManifestLocation = (userRoot) => {
+  const embedded = readPackage(userRoot)[MANIFEST_KEY];
+  return embedded?.tools ? 'package.json' : MANIFEST_FILE;
+};
+
+/**
+ * Read the manifest of a project
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {Object} Manifest with a `tools` map (empty if nothing is recorded)
+ */
+export const readManifest = (userRoot) => {
+  const manifestPath = path.join(userRoot, MANIFEST_FILE);
+  const embedded = readPackage(userRoot)[MANIFEST_KEY];
+  // The package.json key may also hold the project config (see loadConfig)
+  let manifest = embedded?.tools ? { tools: embedded.tools } : null;
+
+  if (!manifest) {
+    manifest = fs.existsSync(manifestPath) ? readJSON(manifestPath) : {};
+  }
+
+  return { ...manifest, version: MANIFEST_VERSION, tools: manifest.tools ?? {} };
+};
+
+/**
+ * Store a manifest in a package.json object (removing the key once empty)
+ * Config fields living under the same key are kept.
+ * @param {Object} pkg - Parsed package.json object
+ * @param {Object} manifest - Manifest to store
+ * @returns {Object} Updated package.json object
+ */
+const embedManifest = (pkg, manifest) => {
+  const { version: _version, tools: _tools, ...config } = pkg[MANIFEST_KEY] ?? {};
+
+  if (Object.keys(manifest.tools).length > 0) pkg[MANIFEST_KEY] = { ...config, ...manifest };
+  else if (Object.keys(config).length > 0) pkg[MANIFEST_KEY] = config;
+  else delete pkg[MANIFEST_KEY];
+  return pkg;
+};
+
+/**
+ * Write the manifest, deleting it once no tool is recorded anymore
+ * Writing to one location removes a manifest left in the other one.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} manifest - Manifest to write
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @param {string} [location] - One of MANIFEST_LOCATIONS (defaults to the current one)
+ */
+export const writeManifest = (userRoot, manifest, plan, location) => {
+  const target = location ?? findManifestLocation(userRoot);
+  const manifestPath = path.join(userRoot, MANIFEST_FILE);
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = readPackage(userRoot);
+
+  if (target === 'package.json' || pkg[MANIFEST_KEY]?.tools) {
+    const before = JSON.stringify(pkg);
+    embedManifest(pkg, target === 'package.json' ? manifest : { tools: {} });
+    if (JSON.stringify(pkg) !== before) writeJSON(pkgPath, pkg, plan);
+  }
+
+  if (target === MANIFEST_FILE && Object.keys(manifest.tools).length > 0) {
+    writeJSON(manifestPath, manifest, plan);
+  } else if (fs.existsSync(manifestPath)) {
+    plan?.record({ kind: 'file', action: 'remove', name: MANIFEST_FILE });
+    if (plan?.dryRun) return;
+    plan?.journal.trackFile(manifestPath);
+    fs.unlinkSync(manifestPath);
+  }
+};
+
+//* ============================================================================
+//* FILE STATE
+//* ============================================================================
+
+/**
+ * Tell whether a file is still exactly as a tidyforge tool generated it
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} name - File path relative to userRoot (forward slashes)
+ * @returns {{ state: 'missing'|'untracked'|'pristine'|'modified', tool?: string }} File state
+ */
+export const getFileState = (userRoot, name) => {
+  const filePath = path.join(userRoot, name);
+  if (!fs.existsSync(filePath)) return { state: 'missing' };
+
+  const owner = Object.entries(readManifest(userRoot).tools).find(
+    ([, record]) => record.files?.[name]
+  );
+  if (!owner) return { state: 'untracked' };
+
+  const [tool, record] = owner;
+  const pristine = hashContent(fs.readFileSync(filePath, 'utf-8')) === record.files[name].hash;
+  return { state: pristine ? 'pristine' : 'modified', tool };
+};
+
+//* ============================================================================
+//* SETUP RECORD
+//* ============================================================================
+
+/**
+ * Create an empty record for one tool
+ * @returns {Object} Tool record
+ */
+const createToolRecord = () => ({
+  files: {},
+  scripts: {},
+  config: {},
+  hooks: {},
+  ignores: {},
+  dependencies: {},
+  workspaces: {},
+});
+
+/**
+ * Lines an older version of a tool wrote into a hook without block markers
+ * Those versions recorded the appended lines, or copied the whole hook file.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} tool - Tool name
+ * @param {string} hookPath - Absolute path of the hook script
+ * @param {string} command - Commands of the tool's block
+ * @returns {string[]} Lines the block takes over, empty when the tool never wrote
+ *   the hook without markers
+ */
+export const getLegacyHookCommands = (userRoot, tool, hookPath, command) => {
+  const entry = readManifest(userRoot).tools[tool];
+  const name = path.relative(userRoot, hookPath).split(path.sep).join('/');
+  const record = entry?.hooks[name];
+
+  if (Array.isArray(record)) return record;
+  return entry?.files[name] ? getHookCommands(command) : [];
+};
+
+/**
+ * Record the part of a hook a tool owns, with the backend that wrote it
+ * `kept` lists the tool's commands the hook already ran before the first setup:
+ * they belong to the user, so uninstall leaves them. Hook files copied by older
+ * versions are replaced by the record.
+ * @param {Object} entry - Manifest entry of the tool
+ * @param {Object} change - Hook change recorded by a backend (see HOOK_BACKENDS)
+ */
+export const recordHook = (entry, { name, backend, hook, command, kept = [] }) => {
+  const known = entry.hooks[name];
+  // Later runs see the tool's own commands too, so only the first run counts
+  const original = known && !Array.isArray(known) ? (known.kept ?? []) : kept;
+
+  entry.hooks[name] = {
+    block: true,
+    backend,
+    hook,
+    command,
+    ...(original.length > 0 && { kept: original }),
+  };
+  delete entry.files[name];
+};
+
+/**
+ * Record the block a tool owns in an ignore file
+ * The file stays marked as created by the tool, so uninstall can delete it
+ * once the block is gone.
+ * @param {Object} entry - Manifest entry of the tool
+ * @param {Object} change - Ignore change recorded by writeIgnoreFile
+ */
+export const recordIgnore = (entry, { name, action, entries }) => {
+  const known = entry.ignores[name];
+  if (entries.length === 0 && !known) return;
+  entry.ignores[name] = { entries, created: Boolean(known?.created) || action === 'create' };
+};
+
+/**
+ * Store what a setup run changed in the project's manifest
+ * Items a previous run added stay marked as added, so re-running setup never
+ * turns something tidyforge created into something the user owns.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} tool - Tool that ran: { name, version }
+ * @param {Object} plan - Plan of the completed setup run (see createPlan)
+ * @param {string} [location] - One of MANIFEST_LOCATIONS (defaults to the current one)
+ * @returns {Object} Updated tool record
+ */
+export const recordSetup = (userRoot, tool, plan, location) => {
+  const manifest = readManifest(userRoot);
+  const now = new Date().toISOString();
+  const known = manifest.tools[tool.name] ?? {};
+  const entry = {
+    version: tool.version,
+    installedAt: known.installedAt ?? now,
+    updatedAt: now,
+    ...createToolRecord(),
+    ...Object.fromEntries(
+      Object.keys(createToolRecord()).map((section) => [section, { ...known[section] }])
+    ),
+  };
+
+  for (const change of plan.changes) {
+    const { kind, action, name } = change;
+    // Scripts and configuration of workspace packages are kept per package
+    const target = change.workspace
+      ? (entry.workspaces[change.workspace] ??= { scripts: {}, config: {} })
+      : entry;
+
+    // A merged file records what tidyforge generated, the merged settings are local edits
+    const merged = action === 'merge' && change.template !== undefined;
+    if (kind === 'file' && (['create', 'install', 'overwrite'].includes(action) || merged)) {
+      const filePath = path.join(userRoot, name);
+      if (path.basename(name) === 'package.json' || !fs.existsSync(filePath)) continue;
+
+      const previous = entry.files[name] ? entry.files[name].previous : change.previous;
+      const content = merged ? change.template : fs.readFileSync(filePath, 'utf-8');
+      entry.files[name] = {
+        hash: hashContent(content),
+        template: content,
+        ...(previous !== undefined && { previous }),
+      };
+    }
+
+    if (kind === 'hook' && change.tool) recordHook(entry, change);
+    if (kind === 'ignore' && change.entries) recordIgnore(entry, change);
+
+    if (kind === 'script' && change.value !== undefined) {
+      const known = target.scripts[name];
+      target.scripts[name] = {
+        value: change.value,
+        added: Boolean(known?.added) || action !== 'unchanged',
+        ...((known?.previous ?? change.previous) !== undefined && {
+          previous: known?.previous ?? change.previous,
+        }),
+      };
+    }
+
+    if (kind === 'config' && change.keys) {
+      const known = target.config[name] ?? { created: false, keys: {} };
+      const keys = { ...known.keys };
+
+      Object.entries(change.keys).forEach(([key, { value, previous }]) => {
+        const knownKey = known.keys[key];
+        const changed = previous === undefined || !isEqual(previous, value);
+        const original = knownKey ? knownKey.previous : changed ? previous : undefined;
+
+        keys[key] = {
+          value,
+          added: Boolean(knownKey?.added) || changed,
+          ...(original !== undefined && { previous: original }),
+        };
+      });
+
+      target.config[name] = { created: known.created || change.created, keys };
+    }
+
+    if (kind === 'dependency') {
+      const added = action !== 'unchanged' && !change.declared;
+      entry.dependencies[name] = { added: Boolean(entry.dependencies[name]?.added) || added };
+    }
+  }
+
+  manifest.tools[tool.name] = entry;
+  writeManifest(userRoot, manifest, undefined, location);
+  return entry;
+};
+
+//* ============================================================================
+//* UNINSTALL
+//* ============================================================================
+
+/**
+ * Find another recorded tool that manages the same item with the same value
+ * @param {Object[]} others - Records of the other tools
+ * @param {string} section - Record section ("scripts", "dependencies", ...)
+ * @param {string} name - Item name
+ * @param {*} [value] - Expected value, if the section stores values
+ * @returns {Object|undefined} Matching item of another tool
+ */
+const findShared = (others, section, name, value) =>
+  others
+    .map((record) => record[section]?.[name])
+    .find((item) => item && (value === undefined || isEqual(item.value, value)));
+
+/**
+ * Remove the scripts and configuration keys a tool added to one package.json
+ * @param {Object} pkg - Parsed package.json object (updated in place)
+ * @param {Object} record - { scripts, config } recorded for that package
+ * @param {Object[]} others - Records of the other tools for the same package
+ * @param {Object} plan - Plan recording the removals (see createPlan)
+ */
+const removePackageValues = (pkg, record, others, plan) => {
+  Object.entries(record.scripts).forEach(([name, { value, added, previous }]) => {
+    if (!added) return;
+
+    if (pkg.scripts?.[name] !== value) {
+      plan.record({ kind: 'script', action: 'keep', name, detail: 'modified since setup' });
+      return;
+    }
+
+    const shared = findShared(others, 'scripts', name, value);
+    if (shared) {
+      shared.added = true;
+      plan.record({ kind: 'script', action: 'keep', name, detail: 'used by another tool' });
+    } else if (previous !== undefined) {
+      pkg.scripts[name] = previous;
+      plan.record({ kind: 'script', action: 'restore', name });
+    } else {
+      delete pkg.scripts[name];
+      plan.record({ kind: 'script', action: 'remove', name });
+    }
+  });
+
+  if (pkg.scripts && Object.keys(pkg.scripts).length === 0) delete pkg.scripts;
+
+  Object.entries(record.config).forEach(([key, { created, keys }]) => {
+    const current = pkg[key];
+    if (!current || typeof current !== 'object') return;
+
+    Object.entries(keys).forEach(([subKey, { value, added, previous }]) => {
+      const name = `${key}.${subKey}`;
+      if (!added) return;
+
+      if (!isEqual(current[subKey], value)) {
+        plan.record({ kind: 'config', action: 'keep', name, detail: 'modified since setup' });
+      } else if (previous !== undefined) {
+        current[subKey] = previous;
+        plan.record({ kind: 'config', action: 'restore', name });
+      } else {
+        delete current[subKey];
+        plan.record({ kind: 'config', action: 'remove', name });
+      }
+    });
+
+    if (created && Object.keys(current).length === 0) delete pkg[key];
+  });
+};
+
+/**
+ * Undo what a tool's setup added, keeping anything the user changed since
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} tool - Tool name (e.g. "pretty-please")
+ * @param {Object} options - { confirm: CONFIRM mode, install: whether to remove dependencies }
+ * @param {Object} plan - Plan recording the removals (see createPlan)
+ * @returns {Promise<boolean>} True if the tool was uninstalled
+ * @throws {CommandError} When removing the dependencies fails
+ */
+export const uninstallTool = async (userRoot, tool, options, plan) => {
+  const manifest = readManifest(userRoot);
+  const entry = manifest.tools[tool];
+
+  if (!entry) {
+    log.warn(`No ${tool} setup recorded in the tidyforge manifest, nothing to uninstall.`);
+    return false;
+  }
+
+  if (!plan.dryRun) {
+    const proceed = await confirm(
+      `Remove everything ${tool} added to this project?`,
+      options.confirm
+    );
+    if (!proceed) {
+      log.info('Uninstall cancelled.');
+      return false;
+    }
+  }
+
+  const others = Object.entries(manifest.tools)
+    .filter(([name]) => name !== tool)
+    .map(([, record]) => record);
+
+  // Hooks first: some backends keep them in package.json
+  Object.entries(entry.hooks).forEach(([name, record]) => {
+    if (!Array.isArray(record)) {
+      getHookBackend(record.backend ?? DEFAULT_HOOK_BACKEND).remove(
+        userRoot,
+        record.hook ?? path.basename(name),
+        tool,
+        record.command,
+        plan,
+        record.kept
+      );
+      return;
+    }
+
+    // Older versions appended bare commands instead of a block
+    const hookPath = path.join(userRoot, name);
+    if (!fs.existsSync(hookPath)) return;
+
+    const before = fs.readFileSync(hookPath, 'utf-8');
+    const after = removeHookCommands(before, record);
+    if (before === after) return;
+
+    plan.record({
+      kind: 'hook',
+      action: 'update',
+      name,
+      detail: 'removed added lines',
+      before,
+      after,
+    });
+    if (plan.dryRun) return;
+    plan.journal.trackFile(hookPath);
+    fs.writeFileSync(hookPath, after);
+  });
+
+  Object.entries(entry.ignores ?? {}).forEach(([name, { created }]) => {
+    removeIgnoreFile(path.join(userRoot, name), tool, created, plan);
+  });
+
+  // package.json scripts and configuration keys
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = readJSON(pkgPath);
+
+  removePackageValues(pkg, entry, others, plan);
+
+  Object.entries(entry.workspaces ?? {}).forEach(([workspace, record]) => {
+    const workspacePkgPath = path.join(userRoot, workspace, 'package.json');
+    if (!fs.existsSync(workspacePkgPath)) return;
+
+    const workspacePkg = readJSON(workspacePkgPath);
+    const workspaceOthers = others.map((other) => other.workspaces?.[workspace] ?? {});
+    removePackageValues(workspacePkg, record, workspaceOthers, plan.forWorkspace(workspace));
+    writeJSON(workspacePkgPath, workspacePkg, plan);
+  });
+
+  // Files and hooks
+  Object.entries(entry.files).forEach(([name, { hash, previous }]) => {
+    const filePath = path.join(userRoot, name);
+    const kind = isHookFile(name) ? 'hook' : 'file';
+    if (!fs.existsSync(filePath)) return;
+
+    if (hashContent(fs.readFileSync(filePath, 'utf-8')) !== hash) {
+      plan.record({ kind, action: 'keep', name, detail: 'modified since setup' });
+    } else if (previous !== undefined) {
+      plan.record({ kind, action: 'restore', name });
+      plan.journal.trackFile(filePath);
+      if (!plan.dryRun) fs.writeFileSync(filePath, previous);
+    } else {
+      plan.record({ kind, action: 'remove', name });
+      plan.journal.trackFile(filePath);
+      if (!plan.dryRun) fs.unlinkSync(filePath);
+    }
+  });
+
+  // Hook files copied by older versions leave the .husky directory behind
+  const huskyDir = path.join(getHooksRoot(userRoot), '.husky');
+  if (!plan.dryRun && fs.existsSync(huskyDir) && fs.readdirSync(huskyDir).length === 0) {
+    fs.rmdirSync(huskyDir);
+  }
+
+  // Dependencies installed by this tool and not needed by another one
+  const declared = { ...pkg.optionalDependencies, ...pkg.dependencies, ...pkg.devDependencies };
+  const removable = Object.entries(entry.dependencies)
+    .filter(([name, { added }]) => added && name in declared)
+    .filter(([name]) => {
+      const shared = findShared(others, 'dependencies', name);
+      if (shared) shared.added = true;
+      return !shared;
+    })
+    .map(([name]) => name);
+
+  removable.forEach((name) => plan.record({ kind: 'dependency', action: 'remove', name }));
+
+  const location = findManifestLocation(userRoot);
+  delete manifest.tools[tool];
+
+  if (location === 'package.json') embedManifest(pkg, manifest);
+  writeJSON(pkgPath, pkg, plan);
+  if (location === MANIFEST_FILE) writeManifest(userRoot, manifest, plan, location);
+
+  if (removable.length > 0 && options.install && !plan.dryRun) {
+    const command = getRemoveCommand(detectPackageManager(userRoot), removable);
+
+    try {
+      log.info(`$ ${command}`);
+      trackInstall(userRoot, plan);
+      execSync(command, { stdio: getChildStdio(), cwd: userRoot });
+    } catch (err) {
+      throw new CommandError('Failed to remove dependencies', command, err);
+    }
+  }
+
+  return true;
+};
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { getHookBackend } from './utils-hook-backends.js';
+import { readManifest, recordSetup, uninstallTool } from './utils-manifest.js';
+import { createPlan } from './utils-plan.js';
+import { createLogger, setLogger } from './utils-log.js';
+import { CONFIRM } from './utils.js';
+
+const TOOL = 'pretty-please';
+const UNINSTALL = { confirm: CONFIRM.YES, install: false };
+
+let root;
+
+const write = (name, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+  fs.writeFileSync(path.join(root, name), content);
+};
+const read = (name) => fs.readFileSync(path.join(root, name), 'utf-8');
+
+const setUp = (backend, command) => {
+  const plan = createPlan({ root });
+  getHookBackend(backend).addCommand(root, 'pre-commit', TOOL, command, plan);
+  recordSetup(root, { name: TOOL, version: '1.0.0' }, plan);
+};
+
+const uninstall = () => uninstallTool(root, TOOL, UNINSTALL, createPlan({ root }));
+
+beforeEach(() => {
+  setLogger(createLogger({ level: 'silent' }));
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-manifest-'));
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  write('package.json', '{\n  "name": "app",\n  "version": "1.0.0"\n}\n');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('uninstallTool', () => {
+  test('gives back a Husky hook that already ran the same command', async () => {
+    const original = '#!/bin/sh\nnpx lint-staged\nnpm test\n';
+    write('.husky/pre-commit', original);
+
+    setUp('husky', 'npx lint-staged');
+    assert.match(read('.husky/pre-commit'), /^#!\/bin\/sh\nnpx lint-staged\nnpm test\n/);
+    assert.deepEqual(readManifest(root).tools[TOOL].hooks['.husky/pre-commit'].kept, [
+      'npx lint-staged',
+    ]);
+
+    await uninstall();
+    assert.equal(read('.husky/pre-commit'), original);
+  });
+
+  test('keeps a simple-git-hooks command the user had before setup', async () => {
+    write(
+      'package.json',
+      JSON.stringify({ name: 'app', 'simple-git-hooks': { 'pre-commit': 'npx lint-staged' } })
+    );
+
+    setUp('simple-git-hooks', 'npx lint-staged\nnpx tsc --noEmit');
+    const pkg = () => JSON.parse(read('package.json'));
+    assert.equal(pkg()['simple-git-hooks']['pre-commit'], 'npx lint-staged && npx tsc --noEmit');
+
+    await uninstall();
+    assert.deepEqual(pkg()['simple-git-hooks'], { 'pre-commit': 'npx lint-staged' });
+  });
+
+  test('removes the lines an older version appended without markers', async () => {
+    write('.husky/pre-commit', '#!/bin/sh\nnpm test\nnpx lint-staged\n');
+    write(
+      '.tidyforge.json',
+      JSON.stringify({
+        version: 1,
+        tools: {
+          [TOOL]: {
+            version: '0.9.0',
+            files: {},
+            scripts: {},
+            config: {},
+            hooks: { '.husky/pre-commit': ['npx lint-staged'] },
+          },
+        },
+      })
+    );
+
+    setUp('husky', 'npx lint-staged');
+    assert.equal(read('.husky/pre-commit').match(/npx lint-staged/g).length, 1);
+
+    await uninstall();
+    assert.equal(read('.husky/pre-commit'), '#!/bin/sh\nnpm test\n');
+  });
+});
@@ -0,0 +1,198 @@
+import path from 'path';
+import { createUnifiedDiff } from './utils-diff.js';
+import { createJournal } from './utils-journal.js';
+import { log } from './utils.js';
+
+//* ============================================================================
+//* SETUP PLAN
+//* ============================================================================
+
+const SECTIONS = {
+  file: 'Files',
+  script: 'Scripts',
+  config: 'package.json configuration',
+  hook: 'Git hooks',
+  ignore: 'Ignore files',
+  tag: 'Git tags',
+  dependency: 'Dev dependencies',
+};
+
+const SYMBOLS = {
+  create: '+',
+  add: '+',
+  install: '+',
+  append: '+',
+  migrate: '+',
+  merge: '~',
+  overwrite: '~',
+  update: '~',
+  restore: '~',
+  move: '~',
+  remove: '-',
+  conflict: '!',
+  fail: '!',
+  skip: '=',
+  keep: '=',
+  unchanged: '=',
+};
+
+/**
+ * Actions that leave the project untouched
+ */
+const NO_OP_ACTIONS = ['skip', 'keep', 'unchanged', 'fail'];
+
+/**
+ * Create a plan that records every change a setup run makes
+ * In dry-run mode the core helpers only record changes and never touch the disk.
+ * Otherwise they snapshot what they modify in `journal`, so runTransaction can
+ * restore the project when the run fails.
+ * @param {Object} options - Plan options
+ * @param {string} options.root - Project root, used to print relative paths
+ * @param {boolean} options.dryRun - If true, changes are recorded but not applied
+ * @returns {Object} Plan with record/hasChanges/format helpers and a journal (see createJournal)
+ */
+export const createPlan = ({ root, dryRun = false }) => {
+  const changes = [];
+
+  return {
+    root,
+    dryRun,
+    changes,
+    journal: createJournal({ dryRun }),
+
+    /**
+     * Record a change and report it as a `change` event (see createLogger)
+     * @param {Object} change - { kind, action, name, detail?, before?, after? }
+     */
+    record(change) {
+      changes.push(change);
+      const { kind, action, name, detail, workspace } = change;
+      log.event({ type: 'change', dryRun, kind, action, name, detail, workspace });
+    },
+
+    /**
+     * View of the plan that tags recorded changes with a workspace package
+     * @param {string} workspace - Workspace path relative to the root
+     * @returns {Object} Plan whose `record` adds `workspace` to each change
+     */
+    forWorkspace(workspace) {
+      return { ...this, record: (change) => this.record({ ...change, workspace }) };
+    },
+
+    /**
+     * Check whether applying the plan would modify the project
+     * @returns {boolean} True if at least one change is not a no-op
+     */
+    hasChanges() {
+      return changes.some((change) => !NO_OP_ACTIONS.includes(change.action));
+    },
+
+    /**
+     * Format the plan as a human-readable summary followed by diffs
+     * @returns {string} Printable plan
+     */
+    format() {
+      const lines = [];
+
+      Object.entries(SECTIONS).forEach(([kind, title]) => {
+        const entries = changes.filter((change) => change.kind === kind);
+        if (entries.length === 0) return;
+
+        lines.push(`${title}:`);
+        entries.forEach(({ action, name, detail, workspace }) => {
+          const target = workspace ? `${workspace}: ${name}` : name;
+          const label = `${SYMBOLS[action] ?? '*'} ${action.padEnd(9)} ${target}`;
+          lines.push(`  ${detail ? `${label} (${detail})` : label}`);
+        });
+        lines.push('');
+      });
+
+      changes
+        .filter((change) => change.before !== undefined && change.after !== undefined)
+        .forEach(({ name, before, after }) => {
+          const diff = createUnifiedDiff(before, after, name);
+          if (diff) lines.push(diff, '');
+        });
+
+      return lines.join('\n');
+    },
+
+    /**
+     * Path of a file relative to the plan root, for display
+     * @param {string} filePath - Absolute file path
+     * @returns {string} Relative path with forward slashes
+     */
+    relative(filePath) {
+      return path.relative(root, filePath).split(path.sep).join('/');
+    },
+  };
+};
+
+/**
+ * Print a dry-run plan and report whether the project would change
+ * @param {Object} plan - Plan created with createPlan
+ * @param {string} [action] - What the run would do, as the subject of the warning
+ * @returns {number} Exit code: 1 if applying the plan would change anything, 0 otherwise
+ */
+export const reportDryRun = (plan, action = 'applying this setup') => {
+  log.print(plan.format());
+
+  if (plan.hasChanges()) {
+    log.warn(`Dry run: ${action} would change the project.`);
+    return 1;
+  }
+
+  log.success('Dry run: nothing to change.');
+  return 0;
+};
+
+/**
+ * Summarize what a run changed (or would change, in dry-run mode)
+ * When a path is recorded more than once the last change wins, except that a
+ * later "unchanged" does not hide an earlier write.
+ * @param {Object} plan - Plan created with createPlan
+ * @returns {Object} { dryRun, changed, files: { created, updated, removed, skipped, failed },
+ *   scripts, hooks, ignores, dependencies, changes }: paths relative to the plan root, merged
+ *   scripts as { name, value, workspace? }, installed hooks as { name, hook, backend }, written
+ *   ignore blocks as { name, entries }
+ */
+export const summarizePlan = (plan) => {
+  const latest = new Map();
+  plan.changes.forEach((change) => {
+    const key = `${change.kind}:${change.workspace ?? ''}:${change.name}`;
+    if (change.action !== 'unchanged' || !latest.has(key)) latest.set(key, change);
+  });
+
+  const entries = [...latest.values()];
+  const select = (kind, actions) =>
+    entries.filter((change) => change.kind === kind && actions.includes(change.action));
+  const files = (actions) =>
+    select('file', actions).map(({ name, workspace }) =>
+      workspace ? `${workspace}/${name}` : name
+    );
+
+  return {
+    dryRun: plan.dryRun,
+    changed: plan.hasChanges(),
+    files: {
+      created: files(['create', 'migrate']),
+      updated: files(['overwrite', 'update', 'merge', 'restore', 'move']),
+      removed: files(['remove']),
+      skipped: files(['skip', 'keep']),
+      failed: files(['fail']),
+    },
+    scripts: select('script', ['add', 'overwrite']).map(({ name, value, workspace }) =>
+      workspace ? { name, value, workspace } : { name, value }
+    ),
+    hooks: select('hook', ['create', 'install', 'update']).map(({ name, hook, backend }) => ({
+      name,
+      hook,
+      backend,
+    })),
+    ignores: select('ignore', ['create', 'update'])
+      .filter(({ entries }) => entries)
+      .map(({ name, entries }) => ({ name, entries })),
+    dependencies: select('dependency', ['install', 'update']).map(({ name }) => name),
+    changes: plan.changes,
+  };
+};
@@ -0,0 +1,248 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { CommandError } from './utils-errors.js';
+import { satisfies } from './utils-semver.js';
+import { readWorkspacePatterns } from './utils-workspace.js';
+import { CONFIRM, confirm, getChildStdio, log } from './utils.js';
+
+//* ============================================================================
+//* PACKAGE MANAGER DETECTION
+//* ============================================================================
+
+/**
+ * Lockfiles that identify each package manager, in detection order
+ */
+export const LOCKFILES = {
+  'package-lock.json': 'npm',
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'bun.lockb': 'bun',
+  'bun.lock': 'bun',
+};
+
+/**
+ * Package managers tidyforge knows how to drive
+ */
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+/**
+ * Detect which package manager a project uses
+ * The `packageManager` field wins over lockfiles; npm is the fallback.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} One of PACKAGE_MANAGERS
+ */
+export const detectPackageManager = (userRoot) => {
+  const pkgPath = path.join(userRoot, 'package.json');
+
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const { packageManager } = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+      const name = typeof packageManager === 'string' ? packageManager.split('@')[0] : null;
+      if (PACKAGE_MANAGERS.includes(name)) return name;
+    } catch {
+      // Invalid package.json is reported by validatePackageJson, fall through to lockfiles
+    }
+  }
+
+  const lockfile = Object.keys(LOCKFILES).find((file) => fs.existsSync(path.join(userRoot, file)));
+  return lockfile ? LOCKFILES[lockfile] : 'npm';
+};
+
+/**
+ * Build the command that installs packages as devDependencies
+ * @param {string} pm - Package manager name
+ * @param {string[]} specs - Package specs (e.g. ["eslint@^9.0.0"])
+ * @param {string} [userRoot] - Project root; at a workspace root the flag pnpm and
+ *   Yarn 1 require to add packages there is included
+ * @returns {string} Shell command
+ */
+export const getInstallCommand = (pm, specs, userRoot) => {
+  const args = specs.map((spec) => `"${spec}"`).join(' ');
+  const atWorkspaceRoot = Boolean(userRoot) && readWorkspacePatterns(userRoot) !== null;
+
+  switch (pm) {
+    case 'pnpm':
+      return `pnpm add --save-dev ${atWorkspaceRoot ? '-w ' : ''}${args}`;
+    case 'yarn': {
+      // Yarn 2+ (configured through .yarnrc.yml) adds to the root without a flag
+      const classic = !fs.existsSync(path.join(userRoot ?? '', '.yarnrc.yml'));
+      return `yarn add --dev ${atWorkspaceRoot && classic ? '-W ' : ''}${args}`;
+    }
+    case 'bun':
+      return `bun add --dev ${args}`;
+    default:
+      return `npm install --save-dev ${args}`;
+  }
+};
+
+/**
+ * Build the command that removes packages from the project
+ * @param {string} pm - Package manager name
+ * @param {string[]} names - Package names
+ * @returns {string} Shell command
+ */
+export const getRemoveCommand = (pm, names) => {
+  const args = names.map((name) => `"${name}"`).join(' ');
+  return pm === 'npm' ? `npm uninstall ${args}` : `${pm} remove ${args}`;
+};
+
+/**
+ * Build the command that runs a locally installed binary
+ * @param {string} pm - Package manager name
+ * @param {string} bin - Binary name and arguments (e.g. "husky")
+ * @returns {string} Shell command
+ */
+export const getExecCommand = (pm, bin) => {
+  switch (pm) {
+    case 'pnpm':
+      return `pnpm exec ${bin}`;
+    case 'yarn':
+      return `yarn ${bin}`;
+    case 'bun':
+      return `bunx ${bin}`;
+    default:
+      return `npx ${bin}`;
+  }
+};
+
+//* ============================================================================
+//* DEPENDENCY INSTALLATION
+//* ============================================================================
+
+/**
+ * Read the version of a package installed in the project's node_modules
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} name - Package name
+ * @returns {string|null} Installed version, or null if not installed
+ */
+export const getInstalledVersion = (userRoot, name) => {
+  const manifest = path.join(userRoot, 'node_modules', name, 'package.json');
+
+  try {
+    return JSON.parse(fs.readFileSync(manifest, 'utf-8')).version ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the dependencies a project declares in its package.json
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {Object} Map of package name to version range (all dependency fields)
+ */
+export const readDeclaredDependencies = (userRoot) => {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(userRoot, 'package.json'), 'utf-8'));
+    return { ...pkg.optionalDependencies, ...pkg.dependencies, ...pkg.devDependencies };
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Look up the version ranges a tool declares for the packages it needs
+ * @param {string} packageRoot - Root directory of the tidyforge tool package
+ * @param {string[]} names - Package names to look up
+ * @returns {Object} Map of package name to version range
+ */
+export const getToolDependencies = (packageRoot, names) => {
+  const toolPkg = JSON.parse(fs.readFileSync(path.join(packageRoot, 'package.json'), 'utf-8'));
+  const declared = { ...toolPkg.dependencies, ...toolPkg.peerDependencies };
+
+  return Object.fromEntries(names.map((name) => [name, declared[name] ?? 'latest']));
+};
+
+/**
+ * Snapshot what a package manager run rewrites, so a failed run can be undone
+ * package.json and the lockfiles are restored and a node_modules created by the
+ * run is removed; packages added to an existing node_modules stay until the
+ * next install.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} [plan] - Setup plan whose journal records the snapshots (see createPlan)
+ */
+export const trackInstall = (userRoot, plan) => {
+  if (!plan) return;
+
+  const modules = path.join(userRoot, 'node_modules');
+  ['package.json', ...Object.keys(LOCKFILES)].forEach((file) =>
+    plan.journal.trackFile(path.join(userRoot, file))
+  );
+
+  if (!fs.existsSync(modules)) {
+    plan.journal.trackDir(modules);
+    return;
+  }
+  plan.journal.onRollback(modules, () =>
+    log.warn(
+      `Packages installed by this run are still in node_modules, run "${detectPackageManager(userRoot)} install" to prune them.`
+    )
+  );
+};
+
+/**
+ * Install devDependencies the project is missing, using its package manager
+ * Packages whose installed version already satisfies the range are skipped.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} dependencies - Map of package name to version range
+ * @param {string} mode - CONFIRM mode for the install prompt
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {Promise<boolean>} True if every dependency is satisfied afterwards
+ * @throws {CommandError} When the package manager fails
+ */
+export const installDevDependencies = async (userRoot, dependencies, mode = CONFIRM.ASK, plan) => {
+  const declared = readDeclaredDependencies(userRoot);
+
+  const missing = Object.entries(dependencies).filter(([name, range]) => {
+    const installed = getInstalledVersion(userRoot, name);
+    const satisfied = installed !== null && satisfies(installed, range);
+
+    plan?.record({
+      kind: 'dependency',
+      action: satisfied ? 'unchanged' : installed ? 'update' : 'install',
+      name,
+      detail: satisfied ? installed : installed ? `${installed} → ${range}` : range,
+      declared: name in declared,
+    });
+
+    return !satisfied;
+  });
+
+  if (missing.length === 0) {
+    if (!plan?.dryRun) log.info('All required dependencies are already installed.');
+    return true;
+  }
+
+  if (plan?.dryRun) return true;
+
+  const pm = detectPackageManager(userRoot);
+  log.debug(`Package manager: ${pm}`);
+  const command = getInstallCommand(
+    pm,
+    missing.map(([name, range]) => `${name}@${range}`),
+    userRoot
+  );
+
+  const shouldInstall = await confirm(
+    `\nInstall ${missing.length} dev ${missing.length === 1 ? 'dependency' : 'dependencies'} with ${pm}?`,
+    mode
+  );
+
+  if (!shouldInstall) {
+    missing.forEach(([name]) =>
+      plan?.record({ kind: 'dependency', action: 'skip', name, detail: 'declined' })
+    );
+    log.warn(`Dependency installation skipped. Install them later with:\n  ${command}`);
+    return false;
+  }
+
+  try {
+    log.info(`$ ${command}`);
+    trackInstall(userRoot, plan);
+    execSync(command, { stdio: getChildStdio(), cwd: userRoot });
+    log.success('Dependencies installed');
+    return true;
+  } catch (err) {
+    throw new CommandError('Failed to install dependencies', command, err);
+  }
+};
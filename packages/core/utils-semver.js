@@ -0,0 +1,197 @@
+//* ============================================================================
+//* VERSIONS
+//* ============================================================================
+
+/**
+ * Parse a semantic version string
+ * @param {string} version - Version such as "1.2.3" or "v2.0.0-beta.1"
+ * @returns {Object|null} { major, minor, patch, prerelease[] } or null if invalid
+ */
+export const parseVersion = (version) => {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(
+    String(version).trim()
+  );
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+};
+
+/**
+ * Compare two prerelease identifier lists (an empty list ranks highest)
+ * @param {string[]} a - Prerelease identifiers of the first version
+ * @param {string[]} b - Prerelease identifiers of the second version
+ * @returns {number} Negative, zero or positive like Array#sort comparators
+ */
+const comparePrerelease = (a, b) => {
+  if (a.length === 0 || b.length === 0) return b.length - a.length;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const numA = /^\d+$/.test(a[i]);
+    const numB = /^\d+$/.test(b[i]);
+    if (numA && numB) return Number(a[i]) - Number(b[i]);
+    if (numA !== numB) return numA ? -1 : 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+};
+
+/**
+ * Compare two parsed versions
+ * @param {Object} a - Parsed version
+ * @param {Object} b - Parsed version
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+export const compareVersions = (a, b) =>
+  a.major - b.major ||
+  a.minor - b.minor ||
+  a.patch - b.patch ||
+  comparePrerelease(a.prerelease, b.prerelease);
+
+/**
+ * Increment a version by a release type, optionally to a prerelease
+ * A prerelease already carries the bump it leads to: 2.0.0-beta.1 becomes
+ * 2.0.0 (or 2.0.0-beta.2) for a major bump, not 3.0.0.
+ * @param {string} version - Current version
+ * @param {string} bump - Release type: major, minor or patch
+ * @param {string} [preid] - Prerelease identifier such as "beta" or "rc"
+ * @returns {string|null} Next version, or null if `version` is invalid
+ */
+export const incrementVersion = (version, bump, preid) => {
+  const parsed = parseVersion(version);
+  if (!parsed) return null;
+
+  const { major, minor, patch, prerelease } = parsed;
+  const covered =
+    prerelease.length > 0 &&
+    (bump === 'patch' || (bump === 'minor' ? patch === 0 : minor === 0 && patch === 0));
+
+  let release = [major, minor, patch + 1];
+  if (covered) release = [major, minor, patch];
+  else if (bump === 'major') release = [major + 1, 0, 0];
+  else if (bump === 'minor') release = [major, minor + 1, 0];
+  if (!preid) return release.join('.');
+
+  // Another build of the same prerelease counts up, anything else starts at 0
+  const counter =
+    covered && prerelease[0] === preid && /^\d+$/.test(prerelease[1] ?? '')
+      ? Number(prerelease[1]) + 1
+      : 0;
+  return `${release.join('.')}-${preid}.${counter}`;
+};
+
+//* ============================================================================
+//* RANGES
+//* ============================================================================
+
+/**
+ * Expand one range comparator (e.g. "^1.2.3", ">=2", "1.x") into bounds
+ * @param {string} comparator - Single comparator
+ * @returns {Array<{ op: string, version: Object }>|null} Bounds, or null if unsupported
+ */
+const expandComparator = (comparator) => {
+  const match =
+    /^(\^|~|>=|<=|>|<|=)?v?(\*|x|X|\d+)(?:\.(\*|x|X|\d+))?(?:\.(\*|x|X|\d+))?(-[0-9A-Za-z.-]+)?$/.exec(
+      comparator
+    );
+  if (!match) return null;
+
+  const [, op = '', ...rest] = match;
+  const isWild = (part) => part === undefined || /^[*xX]$/.test(part);
+  const [major, minor, patch] = rest
+    .slice(0, 3)
+    .map((part) => (isWild(part) ? null : Number(part)));
+  const prerelease = rest[3] ? rest[3].slice(1).split('.') : [];
+  const version = (ma, mi = 0, pa = 0, pre = []) => ({
+    major: ma,
+    minor: mi,
+    patch: pa,
+    prerelease: pre,
+  });
+
+  if (major === null) return [];
+
+  const floor = version(major, minor ?? 0, patch ?? 0, prerelease);
+
+  if (op === '^') {
+    let ceiling = version(0, 0, patch + 1);
+    if (major > 0 || minor === null) ceiling = version(major + 1);
+    else if (minor > 0 || patch === null) ceiling = version(0, minor + 1);
+    return [
+      { op: '>=', version: floor },
+      { op: '<', version: ceiling },
+    ];
+  }
+
+  if (op === '~' || ((op === '' || op === '=') && (minor === null || patch === null))) {
+    const ceiling = minor === null ? version(major + 1) : version(major, minor + 1);
+    return [
+      { op: '>=', version: floor },
+      { op: '<', version: ceiling },
+    ];
+  }
+
+  return [{ op: op === '' ? '=' : op, version: floor }];
+};
+
+/**
+ * Split one `||` set of a range into its comparators
+ * @param {string} set - Comparator set such as ">= 1.2 <2"
+ * @returns {string[]} Comparators, operators joined to their version
+ */
+const splitComparators = (set) =>
+  set
+    .trim()
+    .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Check whether satisfies() understands a range
+ * Hyphen ranges, tags other than "latest" and protocol specs such as
+ * `workspace:*` or `npm:eslint@^9` are not understood.
+ * @param {string} range - Range from a package.json
+ * @returns {boolean} True if every comparator of the range can be evaluated
+ */
+export const isValidRange = (range) =>
+  ['', '*', 'latest'].includes(range.trim()) ||
+  range
+    .split('||')
+    .every((set) => splitComparators(set).every((comparator) => expandComparator(comparator)));
+
+/**
+ * Check whether a version satisfies a range (supports ^, ~, x-ranges,
+ * comparison operators, space-separated sets and `||`)
+ * @param {string} version - Installed version
+ * @param {string} range - Range such as "^9.39.0" or ">=1.2 <2 || 3.x"
+ * @returns {boolean} True if the version is within the range
+ */
+export const satisfies = (version, range) => {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+  if (['', '*', 'latest'].includes(range.trim())) return true;
+
+  return range.split('||').some((set) => {
+    const comparators = splitComparators(set).map(expandComparator);
+
+    if (comparators.some((bounds) => bounds === null)) return false;
+
+    return comparators.flat().every(({ op, version: bound }) => {
+      const diff = compareVersions(parsed, bound);
+      if (op === '>=') return diff >= 0;
+      if (op === '<=') return diff <= 0;
+      if (op === '>') return diff > 0;
+      if (op === '<') return diff < 0;
+      return diff === 0;
+    });
+  });
+};
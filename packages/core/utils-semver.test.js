@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  compareVersions,
+  incrementVersion,
+  isValidRange,
+  parseVersion,
+  satisfies,
+} from './utils-semver.js';
+
+describe('parseVersion', () => {
+  test('reads the release and prerelease parts, ignoring a v prefix and build metadata', () => {
+    assert.deepEqual(parseVersion('v2.0.0-beta.1+sha.5114f85'), {
+      major: 2,
+      minor: 0,
+      patch: 0,
+      prerelease: ['beta', '1'],
+    });
+  });
+
+  test('returns null for anything else', () => {
+    ['1.2', '1.2.3.4', '1.2.x', 'latest'].forEach((version) => {
+      assert.equal(parseVersion(version), null);
+    });
+  });
+});
+
+describe('compareVersions', () => {
+  test('orders prereleases before their release, numerically', () => {
+    const sorted = ['1.0.0', '1.0.0-beta.10', '1.0.0-alpha', '1.0.0-beta.2', '0.9.9']
+      .map(parseVersion)
+      .sort(compareVersions)
+      .map(({ major, minor, patch, prerelease }) =>
+        [`${major}.${minor}.${patch}`, ...prerelease].join('-')
+      );
+    assert.deepEqual(sorted, ['0.9.9', '1.0.0-alpha', '1.0.0-beta-2', '1.0.0-beta-10', '1.0.0']);
+  });
+});
+
+describe('incrementVersion', () => {
+  test('bumps a release', () => {
+    assert.equal(incrementVersion('1.2.3', 'patch'), '1.2.4');
+    assert.equal(incrementVersion('1.2.3', 'minor'), '1.3.0');
+    assert.equal(incrementVersion('0.9.0', 'major'), '1.0.0');
+  });
+
+  test('starts, counts up and promotes prereleases', () => {
+    assert.equal(incrementVersion('1.2.3', 'minor', 'beta'), '1.3.0-beta.0');
+    assert.equal(incrementVersion('1.3.0-beta.0', 'minor', 'beta'), '1.3.0-beta.1');
+    assert.equal(incrementVersion('1.3.0-beta.1', 'patch', 'rc'), '1.3.0-rc.0');
+    assert.equal(incrementVersion('1.3.0-beta.1', 'minor'), '1.3.0');
+  });
+
+  test('bumps past a prerelease that does not cover the bump', () => {
+    assert.equal(incrementVersion('1.3.0-beta.1', 'major'), '2.0.0');
+  });
+
+  test('returns null for an invalid version', () => {
+    assert.equal(incrementVersion('next', 'patch'), null);
+  });
+});
+
+describe('satisfies', () => {
+  test('supports carets, tildes and x-ranges', () => {
+    assert.equal(satisfies('1.9.0', '^1.2.3'), true);
+    assert.equal(satisfies('2.0.0', '^1.2.3'), false);
+    assert.equal(satisfies('0.2.5', '^0.2.3'), true);
+    assert.equal(satisfies('0.3.0', '^0.2.3'), false);
+    assert.equal(satisfies('1.2.9', '~1.2.3'), true);
+    assert.equal(satisfies('1.3.0', '~1.2.3'), false);
+    assert.equal(satisfies('1.4.2', '1.x'), true);
+  });
+
+  test('supports comparator sets and unions', () => {
+    assert.equal(satisfies('1.5.0', '>= 1.2 <2 || 3.x'), true);
+    assert.equal(satisfies('3.1.0', '>= 1.2 <2 || 3.x'), true);
+    assert.equal(satisfies('2.1.0', '>= 1.2 <2 || 3.x'), false);
+  });
+
+  test('accepts anything for *, latest and an empty range', () => {
+    ['*', 'latest', ''].forEach((range) => assert.equal(satisfies('4.0.0', range), true));
+  });
+
+  test('keeps a prerelease below its release', () => {
+    assert.equal(satisfies('1.0.0-beta.1', '>=1.0.0'), false);
+  });
+});
+
+describe('isValidRange', () => {
+  test('accepts the ranges satisfies understands', () => {
+    ['^9.22.0', '>=9 <10', '^8 || ^9', '1.x', '*', 'latest', ''].forEach((range) => {
+      assert.equal(isValidRange(range), true, range);
+    });
+  });
+
+  test('rejects protocols, tags and hyphen ranges', () => {
+    ['workspace:*', 'npm:eslint@^9', 'next', '8.0.0 - 9.30.0', '^8 || workspace:*'].forEach(
+      (range) => assert.equal(isValidRange(range), false, range)
+    );
+  });
+});
@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import { createUnifiedDiff, mergeThreeWay } from './utils-diff.js';
+import { DEFAULT_HOOK_BACKEND, getHookBackend, resolveHookBackend } from './utils-hook-backends.js';
+import { isHookFile } from './utils-husky.js';
+import { writeIgnoreFile } from './utils-ignore.js';
+import {
+  hashContent,
+  isEqual,
+  readManifest,
+  recordHook,
+  recordIgnore,
+  writeManifest,
+} from './utils-manifest.js';
+import { installDevDependencies } from './utils-pm.js';
+import {
+  CONFIRM,
+  confirm,
+  ensureDir,
+  log,
+  makeExecutable,
+  readJSON,
+  toConfirmMode,
+  writeJSON,
+} from './utils.js';
+
+//* ============================================================================
+//* FILES
+//* ============================================================================
+
+/**
+ * Read template files into the map upgradeTool expects
+ * @param {string} srcDir - Directory containing the templates
+ * @param {string[]} [files] - Template names (defaults to every file in srcDir)
+ * @param {string} [destDir] - Where the files go, relative to the project root
+ * @returns {Object} Map of destination path (forward slashes) to template content
+ */
+export const readTemplates = (srcDir, files, destDir = '') =>
+  Object.fromEntries(
+    (files ?? fs.readdirSync(srcDir))
+      .filter((file) => fs.statSync(path.join(srcDir, file)).isFile())
+      .map((file) => [
+        destDir ? `${destDir}/${file}` : file,
+        fs.readFileSync(path.join(srcDir, file), 'utf-8'),
+      ])
+  );
+
+/**
+ * Decide how a generated file moves from its original template to a new one
+ * @param {Object} file - { name, base, current, next, labels, mode, dryRun }
+ * @returns {Promise<{ action: string, content?: string, detail?: string, conflicts: number }>} Outcome
+ */
+const resolveFile = async ({ name, base, current, next, labels, mode, dryRun }) => {
+  if (current === next) return { action: 'unchanged', conflicts: 0 };
+  if (base !== null && current === base) return { action: 'update', content: next, conflicts: 0 };
+  if (/^<{7} local$/m.test(current)) {
+    return mode === CONFIRM.YES
+      ? { action: 'overwrite', content: next, detail: 'local edits dropped', conflicts: 0 }
+      : { action: 'conflict', detail: 'unresolved conflict markers', conflicts: 1 };
+  }
+  if (base !== null && base === next) {
+    return { action: 'keep', detail: 'local edits, template unchanged', conflicts: 0 };
+  }
+
+  // Without the original template the whole file is one conflict
+  const merged = mergeThreeWay(base ?? '', current, next, labels);
+  if (merged.conflicts === 0) {
+    return { action: 'merge', content: merged.content, detail: 'kept local edits', conflicts: 0 };
+  }
+
+  if (mode === CONFIRM.YES) {
+    return { action: 'overwrite', content: next, detail: 'local edits dropped', conflicts: 0 };
+  }
+
+  if (mode === CONFIRM.ASK && !dryRun) {
+    log.warn(`\n${name} changed both locally and in the new template:`);
+    log.print(createUnifiedDiff(current, next, name));
+
+    const replace = await confirm(
+      `Replace ${name} with the new template? (No writes conflict markers to resolve by hand)`,
+      mode,
+      false
+    );
+    if (replace) return { action: 'overwrite', content: next, conflicts: 0 };
+  }
+
+  return {
+    action: 'conflict',
+    content: merged.content,
+    detail: mode === CONFIRM.ASK && dryRun ? 'after confirmation' : 'conflict markers',
+    conflicts: merged.conflicts,
+  };
+};
+
+/**
+ * Bring the files a tool generated up to date with its new templates
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} entry - Tool record from the manifest (updated in place)
+ * @param {Object} files - Map of relative path to new template content
+ * @param {Object} context - { labels, mode, plan }
+ * @returns {Promise<number>} Number of unresolved conflicts
+ */
+const upgradeFiles = async (userRoot, entry, files, { labels, mode, plan }) => {
+  let conflicts = 0;
+
+  for (const [name, next] of Object.entries(files)) {
+    const filePath = path.join(userRoot, name);
+    const kind = isHookFile(name) ? 'hook' : 'file';
+    const record = entry.files[name];
+    const exists = fs.existsSync(filePath);
+
+    if (!record && exists) {
+      plan.record({ kind, action: 'skip', name, detail: 'not created by tidyforge' });
+      continue;
+    }
+
+    if (record && !exists) {
+      plan.record({ kind, action: 'keep', name, detail: 'removed since setup' });
+      continue;
+    }
+
+    let outcome = { action: 'create', content: next, conflicts: 0 };
+
+    if (record) {
+      const current = fs.readFileSync(filePath, 'utf-8');
+      // Manifests written before templates were stored only know the hash
+      const base = record.template ?? (hashContent(current) === record.hash ? current : null);
+
+      outcome = await resolveFile({
+        name,
+        base,
+        current,
+        next,
+        labels,
+        mode,
+        dryRun: plan.dryRun,
+      });
+
+      if (outcome.content !== undefined) {
+        plan.record({
+          kind,
+          action: outcome.action,
+          name,
+          detail: outcome.detail,
+          before: current,
+          after: outcome.content,
+        });
+      } else {
+        plan.record({ kind, action: outcome.action, name, detail: outcome.detail });
+      }
+    } else {
+      plan.record({ kind, action: 'create', name });
+    }
+
+    conflicts += outcome.conflicts;
+    if (outcome.action === 'keep') continue;
+
+    entry.files[name] = { ...record, hash: hashContent(next), template: next };
+    if (plan.dryRun || outcome.content === undefined) continue;
+
+    ensureDir(path.dirname(filePath), plan);
+    plan.journal.trackFile(filePath);
+    fs.writeFileSync(filePath, outcome.content);
+    if (kind === 'hook') makeExecutable(filePath, plan);
+  }
+
+  return conflicts;
+};
+
+//* ============================================================================
+//* PACKAGE.JSON VALUES
+//* ============================================================================
+
+/**
+ * Decide how one package.json value moves from its original template to a new one
+ * JSON values cannot hold conflict markers, so unresolved conflicts keep the
+ * local value and leave the recorded template untouched.
+ * @param {Object} value - { label, record, current, next, mode, dryRun }
+ * @returns {Promise<{ action: string, value?: *, detail?: string, base?: * }>} Outcome;
+ *   `value` is the value to write and `base` the template value to record
+ */
+const resolveValue = async ({ label, record, current, next, mode, dryRun }) => {
+  if (next === undefined) {
+    if (!record) return { action: 'unchanged' };
+    return isEqual(current, record.value)
+      ? { action: 'remove' }
+      : { action: 'keep', detail: 'dropped from the template, modified locally' };
+  }
+
+  if (!record) {
+    if (current === undefined) return { action: 'add', value: next, base: next };
+    return isEqual(current, next)
+      ? { action: 'unchanged' }
+      : { action: 'skip', detail: 'not added by tidyforge' };
+  }
+
+  if (current === undefined) return { action: 'keep', detail: 'removed since setup' };
+  if (isEqual(current, next)) return { action: 'unchanged', base: next };
+  if (isEqual(current, record.value)) return { action: 'update', value: next, base: next };
+  if (isEqual(record.value, next)) return { action: 'keep', detail: 'local edits' };
+
+  if (mode === CONFIRM.YES) return { action: 'overwrite', value: next, base: next };
+
+  if (mode === CONFIRM.ASK && !dryRun) {
+    const replace = await confirm(
+      `${label} changed both locally and in the new template:\n` +
+        `  local:    ${JSON.stringify(current)}\n  template: ${JSON.stringify(next)}\n` +
+        'Use the new template value?',
+      mode,
+      false
+    );
+    return replace
+      ? { action: 'overwrite', value: next, base: next }
+      : { action: 'keep', detail: 'kept local value', base: next };
+  }
+
+  return {
+    action: 'conflict',
+    detail: mode === CONFIRM.ASK && dryRun ? 'after confirmation' : 'kept local value',
+  };
+};
+
+/**
+ * Upgrade a group of package.json values key by key
+ * @param {Object} target - Object holding the current values (updated in place)
+ * @param {Object} records - Manifest records of the values (updated in place)
+ * @param {Object} next - New template values
+ * @param {Object} context - { kind, prefix, mode, plan }
+ * @returns {Promise<number>} Number of unresolved conflicts
+ */
+const upgradeValues = async (target, records, next, { kind, prefix, mode, plan }) => {
+  const tracked = Object.keys(records).filter((key) => records[key].added);
+  const keys = [...new Set([...Object.keys(next), ...tracked])];
+  let conflicts = 0;
+
+  for (const key of keys) {
+    const name = `${prefix}${key}`;
+    const outcome = await resolveValue({
+      label: name,
+      record: tracked.includes(key) ? records[key] : undefined,
+      current: target[key],
+      next: next[key],
+      mode,
+      dryRun: plan.dryRun,
+    });
+
+    plan.record({ kind, action: outcome.action, name, detail: outcome.detail });
+    if (outcome.action === 'conflict') conflicts++;
+
+    if (outcome.action === 'remove') {
+      delete target[key];
+      delete records[key];
+      continue;
+    }
+
+    if (outcome.value !== undefined) target[key] = outcome.value;
+    if (outcome.base !== undefined) {
+      records[key] = { ...records[key], value: outcome.base, added: true };
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Upgrade the scripts and configuration keys of one package.json
+ * @param {Object} pkg - Parsed package.json object (updated in place)
+ * @param {Object} record - { scripts, config } recorded for that package (updated in place)
+ * @param {Object} templates - New values: { scripts, config }
+ * @param {string} mode - CONFIRM mode for conflicts
+ * @param {Object} plan - Plan recording the changes (see createPlan)
+ * @returns {Promise<number>} Number of unresolved conflicts
+ */
+const upgradePackage = async (pkg, record, templates, mode, plan) => {
+  let conflicts = 0;
+
+  pkg.scripts = pkg.scripts ?? {};
+  conflicts += await upgradeValues(pkg.scripts, record.scripts, templates.scripts ?? {}, {
+    kind: 'script',
+    prefix: '',
+    mode,
+    plan,
+  });
+  if (Object.keys(pkg.scripts).length === 0) delete pkg.scripts;
+
+  for (const [key, value] of Object.entries(templates.config ?? {})) {
+    const known = record.config[key] ?? { created: pkg[key] === undefined, keys: {} };
+    pkg[key] = pkg[key] ?? {};
+
+    conflicts += await upgradeValues(pkg[key], known.keys, value, {
+      kind: 'config',
+      prefix: `${key}.`,
+      mode,
+      plan,
+    });
+
+    record.config[key] = known;
+    if (known.created && Object.keys(pkg[key]).length === 0) delete pkg[key];
+  }
+
+  return conflicts;
+};
+
+//* ============================================================================
+//* UPGRADE
+//* ============================================================================
+
+/**
+ * Three-way merge a tool's new templates into a project it was set up in
+ * The template each item was created from (stored in the manifest) is the
+ * common base: untouched items take the new template, local edits are kept
+ * when they do not overlap, and overlapping changes are prompted for, or
+ * written as conflict markers when no prompt can be shown.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} tool - Tool being upgraded: { name, version }
+ * @param {Object} templates - New templates: { files, hooks, ignores, scripts, config, workspace,
+ *   dependencies } (`files` maps paths to content, `hooks` maps hook names to block bodies,
+ *   `ignores` maps ignore files to entries,
+ *   `config` maps package.json keys to objects,
+ *   `workspace` holds the { scripts, config } added to workspace packages and
+ *   `dependencies` maps package names to version ranges)
+ * @param {Object} options - { overwrite, confirm, install, hooks } as returned by resolveSetupOptions
+ * @param {Object} plan - Plan recording the changes (see createPlan)
+ * @returns {Promise<{ upgraded: boolean, conflicts: number }>} Outcome
+ */
+export const upgradeTool = async (userRoot, tool, templates, options, plan) => {
+  const manifest = readManifest(userRoot);
+  const entry = manifest.tools[tool.name];
+
+  if (!entry) {
+    log.warn(`No ${tool.name} setup recorded in the tidyforge manifest, run the setup first.`);
+    return { upgraded: false, conflicts: 0 };
+  }
+
+  const mode = toConfirmMode(options.overwrite, CONFIRM.ASK, CONFIRM.NO);
+  const labels = { ours: 'local', theirs: `${tool.name}@${tool.version}` };
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = readJSON(pkgPath);
+  let conflicts = 0;
+
+  conflicts += await upgradeFiles(userRoot, entry, templates.files ?? {}, { labels, mode, plan });
+
+  // Hooks written by another backend move to the chosen one
+  const backend = resolveHookBackend(userRoot, options.hooks);
+  Object.entries(entry.hooks).forEach(([name, record]) => {
+    const previous = Array.isArray(record) ? null : (record.backend ?? DEFAULT_HOOK_BACKEND);
+    if (!previous || previous === backend.name) return;
+
+    getHookBackend(previous).remove(
+      userRoot,
+      record.hook ?? path.basename(name),
+      tool.name,
+      record.command,
+      plan,
+      record.kept
+    );
+    delete entry.hooks[name];
+  });
+
+  conflicts += await upgradePackage(pkg, entry, templates, mode, plan);
+  writeJSON(pkgPath, pkg, plan);
+
+  // Hooks the templates no longer have, such as an optional hook turned off
+  Object.entries(entry.hooks).forEach(([name, record]) => {
+    const hook = Array.isArray(record) ? null : (record.hook ?? path.basename(name));
+    if (!hook || !templates.hooks || hook in templates.hooks) return;
+
+    backend.remove(userRoot, hook, tool.name, record.command, plan, record.kept);
+    delete entry.hooks[name];
+  });
+
+  // Hook blocks belong to the tool, so they are replaced rather than merged
+  const recorded = plan.changes.length;
+  Object.entries(templates.hooks ?? {}).forEach(([hookName, body]) => {
+    backend.addCommand(userRoot, hookName, tool.name, body, plan);
+  });
+  plan.changes
+    .slice(recorded)
+    .filter((change) => change.kind === 'hook' && change.tool === tool.name)
+    .forEach((change) => recordHook(entry, change));
+
+  // Ignore blocks too, with the entries the user has since added left out
+  entry.ignores ??= {};
+  Object.entries(templates.ignores ?? {}).forEach(([file, entries]) => {
+    writeIgnoreFile(path.join(userRoot, file), tool.name, entries, plan);
+    recordIgnore(entry, plan.changes[plan.changes.length - 1]);
+  });
+
+  // Workspace packages the tool added scripts to
+  for (const [workspace, record] of Object.entries(entry.workspaces ?? {})) {
+    const workspacePkgPath = path.join(userRoot, workspace, 'package.json');
+    if (!fs.existsSync(workspacePkgPath)) continue;
+
+    const workspacePkg = readJSON(workspacePkgPath);
+    const scoped = plan.forWorkspace(workspace);
+    conflicts += await upgradePackage(
+      workspacePkg,
+      record,
+      templates.workspace ?? {},
+      mode,
+      scoped
+    );
+    writeJSON(workspacePkgPath, workspacePkg, plan);
+  }
+
+  if (options.install && templates.dependencies) {
+    await installDevDependencies(userRoot, templates.dependencies, options.confirm, plan);
+  }
+
+  // Dependencies installed for the new version, same rule as recordSetup
+  plan.changes
+    .filter((change) => change.kind === 'dependency')
+    .forEach(({ action, name, declared }) => {
+      const added = action !== 'unchanged' && !declared;
+      entry.dependencies[name] = { added: Boolean(entry.dependencies[name]?.added) || added };
+    });
+
+  if (!plan.dryRun) {
+    entry.version = tool.version;
+    entry.updatedAt = new Date().toISOString();
+    writeManifest(userRoot, manifest);
+  }
+
+  return { upgraded: true, conflicts };
+};
@@ -0,0 +1,321 @@
+import fs from 'fs';
+import path from 'path';
+import { UsageError } from './utils-errors.js';
+
+//* ============================================================================
+//* ROOT DISCOVERY
+//* ============================================================================
+
+/**
+ * Walk up from a directory until a predicate matches
+ * @param {string} startDir - Directory to start from
+ * @param {Function} predicate - Called with each directory
+ * @param {string} [stopDir] - Last directory to check (defaults to the filesystem root)
+ * @returns {string|null} First matching directory
+ */
+const findUp = (startDir, predicate, stopDir) => {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    if (predicate(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (dir === stopDir || parent === dir) return null;
+    dir = parent;
+  }
+};
+
+/**
+ * Find the root of the Git repository containing a directory
+ * @param {string} startDir - Directory inside the repository
+ * @returns {string|null} Directory holding .git, or null outside a repository
+ */
+export const findGitRoot = (startDir) =>
+  findUp(startDir, (dir) => fs.existsSync(path.join(dir, '.git')));
+
+/**
+ * Find the nearest directory with a package.json (not above the Git root)
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Package directory
+ */
+export const findPackageDir = (startDir) =>
+  findUp(
+    startDir,
+    (dir) => fs.existsSync(path.join(dir, 'package.json')),
+    findGitRoot(startDir) ?? undefined
+  );
+
+//* ============================================================================
+//* WORKSPACES
+//* ============================================================================
+
+/**
+ * Read the workspace patterns a directory declares
+ * Supports pnpm-workspace.yaml and the npm/Yarn `workspaces` field
+ * (array or `{ packages }`).
+ * @param {string} dir - Candidate workspace root
+ * @returns {string[]|null} Patterns, or null if the directory is not a workspace root
+ */
+export const readWorkspacePatterns = (dir) => {
+  const pnpmFile = path.join(dir, 'pnpm-workspace.yaml');
+
+  if (fs.existsSync(pnpmFile)) {
+    const patterns = [];
+    let inPackages = false;
+
+    for (const line of fs.readFileSync(pnpmFile, 'utf-8').split(/\r?\n/)) {
+      if (/^packages:\s*$/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(
+          line
+            .replace(/^\s*-\s*/, '')
+            .replace(/\s+#.*$/, '')
+            .replace(/^['"]|['"]$/g, '')
+        );
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+
+    return patterns;
+  }
+
+  try {
+    const { workspaces } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    return Array.isArray(patterns) ? patterns : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Convert a workspace glob into a regular expression over relative paths
+ * @param {string} pattern - Glob such as "packages/*" or "apps/**"
+ * @returns {RegExp} Matching expression
+ */
+const globToRegExp = (pattern) => {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?');
+
+  return new RegExp(`^${source.replace(/\(\?:\.\*\/\)\?$/, '.*')}$`);
+};
+
+/**
+ * List the packages of a workspace
+ * @param {string} root - Workspace root
+ * @param {number} maxDepth - Deepest directory level searched
+ * @returns {Array<{ name: string, dir: string, path: string }>} Workspace packages
+ *   (`path` is relative to the root, with forward slashes)
+ */
+export const listWorkspaces = (root, maxDepth = 5) => {
+  const patterns = readWorkspacePatterns(root) ?? [];
+  const include = patterns.filter((p) => !p.startsWith('!')).map(globToRegExp);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => globToRegExp(p.slice(1)));
+  const workspaces = [];
+  const queue = [{ dir: root, depth: 0 }];
+
+  while (queue.length > 0) {
+    const { dir, depth } = queue.shift();
+    const relative = path.relative(root, dir).split(path.sep).join('/');
+
+    if (
+      relative &&
+      include.some((re) => re.test(relative)) &&
+      !exclude.some((re) => re.test(relative)) &&
+      fs.existsSync(path.join(dir, 'package.json'))
+    ) {
+      let name = relative;
+      try {
+        name = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8')).name ?? name;
+      } catch {
+        // Keep the directory name for unreadable manifests
+      }
+      workspaces.push({ name, dir, path: relative });
+    }
+
+    if (depth >= maxDepth) continue;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        queue.push({ dir: path.join(dir, entry.name), depth: depth + 1 });
+      }
+    }
+  }
+
+  return workspaces.sort((a, b) => (a.path < b.path ? -1 : 1));
+};
+
+/**
+ * Find the workspace root a package belongs to
+ * The package must be the root itself or one of its workspaces.
+ * @param {string} packageDir - Directory with a package.json
+ * @returns {string|null} Workspace root, or null for a standalone package
+ */
+export const findWorkspaceRoot = (packageDir) => {
+  const root = findUp(
+    packageDir,
+    (dir) => readWorkspacePatterns(dir) !== null,
+    findGitRoot(packageDir) ?? undefined
+  );
+  if (!root) return null;
+  if (root === path.resolve(packageDir)) return root;
+
+  return listWorkspaces(root).some((workspace) => workspace.dir === path.resolve(packageDir))
+    ? root
+    : null;
+};
+
+//* ============================================================================
+//* PROJECT LAYOUT
+//* ============================================================================
+
+/**
+ * Describe where a command runs: project root, Git root and workspaces
+ * In a monorepo the project root is the workspace root, even when the
+ * command runs inside one of its packages.
+ * @param {string} cwd - Directory the command runs in
+ * @returns {Object} { root, gitRoot, workspaceRoot, packageDir, workspaces, current }
+ *   (`current` is the workspace containing cwd, if any)
+ */
+export const resolveProject = (cwd) => {
+  const packageDir = findPackageDir(cwd) ?? path.resolve(cwd);
+  const workspaceRoot = findWorkspaceRoot(packageDir);
+  const workspaces = workspaceRoot ? listWorkspaces(workspaceRoot) : [];
+
+  return {
+    root: workspaceRoot ?? packageDir,
+    gitRoot: findGitRoot(packageDir),
+    workspaceRoot,
+    packageDir,
+    workspaces,
+    current: workspaces.find((workspace) => workspace.dir === packageDir),
+  };
+};
+
+/**
+ * Pick the workspaces a command applies to
+ * Without --workspace/--all-workspaces, running inside a workspace selects it.
+ * @param {Object} project - Result of resolveProject
+ * @param {Object} selection - { names: string[], all: boolean } from resolveSetupOptions
+ * @returns {Object[]} Selected workspaces
+ */
+export const selectWorkspaces = (project, { names = [], all = false } = {}) => {
+  if ((all || names.length > 0) && !project.workspaceRoot) {
+    throw new UsageError('--workspace and --all-workspaces need a workspace root');
+  }
+
+  if (all) return project.workspaces;
+  if (names.length === 0) return project.current ? [project.current] : [];
+
+  return names.map((name) => {
+    const workspace = project.workspaces.find(
+      (candidate) => candidate.name === name || candidate.path === name
+    );
+    if (!workspace) {
+      const known = project.workspaces.map((candidate) => candidate.name).join(', ');
+      throw new UsageError(`Unknown workspace: ${name} (available: ${known || 'none'})`);
+    }
+    return workspace;
+  });
+};
+
+/**
+ * Combine the dependencies of the root and every workspace package
+ * Used for stack detection, since one config at the root covers all packages.
+ * @param {Object} pkg - Root package.json object
+ * @param {Object[]} workspaces - Result of listWorkspaces
+ * @returns {Object} package.json-like object with merged dependency fields
+ */
+export const mergeWorkspacePackages = (pkg, workspaces) => {
+  const merged = { ...pkg };
+
+  workspaces.forEach(({ dir }) => {
+    try {
+      const workspacePkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+      ['dependencies', 'devDependencies', 'peerDependencies'].forEach((field) => {
+        merged[field] = { ...workspacePkg[field], ...merged[field] };
+      });
+    } catch {
+      // Unreadable workspace manifests do not contribute to detection
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Describe a monorepo layout in a short human-readable form
+ * @param {Object} project - Result of resolveProject
+ * @returns {string} Description such as "Workspace root with 3 packages"
+ */
+export const describeProject = (project) => {
+  const count = project.workspaces.length;
+  const gitRoot =
+    project.gitRoot && project.gitRoot !== project.root
+      ? `, Git hooks in ${path.relative(project.root, project.gitRoot)}`
+      : '';
+
+  return `Workspace root with ${count} package${count === 1 ? '' : 's'}${gitRoot}`;
+};
+
+//* ============================================================================
+//* GIT HOOKS LOCATION
+//* ============================================================================
+
+/**
+ * Directory holding .husky: the Git root, or the project root outside a repository
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Hooks root
+ */
+export const getHooksRoot = (userRoot) => findGitRoot(userRoot) ?? userRoot;
+
+/**
+ * Path from the Git root to the project root (empty when they are the same)
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Relative path with forward slashes
+ */
+export const getProjectPathFromGitRoot = (userRoot) =>
+  path.relative(getHooksRoot(userRoot), userRoot).split(path.sep).join('/');
+
+/**
+ * Rewrite a hook command so it runs from the project root
+ * Hooks run from the Git root, so commands of a project in a subdirectory
+ * get a `cd` prefix and `$1` (a path relative to the Git root) is adjusted.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {string} command - Hook command
+ * @returns {string} Command to write into the hook
+ */
+export const prefixHookCommand = (userRoot, command) => {
+  const subdir = getProjectPathFromGitRoot(userRoot);
+  if (!subdir || command.startsWith(`cd ${subdir} && `)) return command;
+
+  const back = subdir
+    .split('/')
+    .map(() => '..')
+    .join('/');
+  return `cd ${subdir} && ${command.replace(/(^|\s)\$1\b/g, `$1"${back}/$$1"`)}`;
+};
+
+/**
+ * The `prepare` script that activates Husky for the project
+ * Husky has to run from the Git root, so nested projects `cd` there first.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string} Script value
+ */
+export const getHuskyPrepareScript = (userRoot) => {
+  const subdir = getProjectPathFromGitRoot(userRoot);
+  if (!subdir) return 'husky';
+
+  const back = subdir
+    .split('/')
+    .map(() => '..')
+    .join('/');
+  return `cd ${back} && husky`;
+};
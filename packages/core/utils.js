@@ -1,126 +1,403 @@
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
-
-//* ============================================================================
-//* LOGGING UTILITIES
-//* ============================================================================
-
-const colors = {
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  red: '\x1b[31m',
-  blue: '\x1b[36m',
-  reset: '\x1b[0m',
-};
-
-/**
- * Centralized logging utilities with color coding
- */
-
-export const log = {
-  success: (msg) => console.log(`${colors.green}✔ ${msg}${colors.reset}`),
-  warning: (msg) => console.log(`${colors.yellow}⚠ ${msg}${colors.reset}`),
-  error: (msg) => console.error(`${colors.red}✘ ${msg}${colors.reset}`),
-  info: (msg) => console.log(`${colors.blue}${msg}${colors.reset}`),
-};
+import { FileError } from './utils-errors.js';
+import { orderPackageKeys, updateJSON } from './utils-json.js';
+import { log } from './utils-log.js';
+import { getFileState } from './utils-manifest.js';
 
 //* ============================================================================
 //* JSON UTILITIES
 //* ============================================================================
 
 /**
- * Read and parse JSON file with error handling
+ * Read and parse JSON file
  * @param {string} filePath - Path to JSON file
- * @param {string} errorMsg - Custom error message
  * @returns {Object} Parsed JSON object
+ * @throws {FileError} When the file is missing or is not valid JSON
  */
 export const readJSON = (filePath) => {
   try {
     return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
   } catch (err) {
-    log.error(`Failed to read ${path.basename(filePath)}: ${err.message}`);
-    process.exit(1);
+    throw new FileError(`Failed to read ${path.basename(filePath)}`, filePath, err);
   }
 };
 
 /**
- * Write object to JSON file with formatting
+ * Write object to JSON file, keeping the file's existing formatting
+ * Indentation, line endings and the trailing newline are preserved, keys
+ * added to package.json are placed next to related ones (see orderPackageKeys),
+ * and writing unchanged data leaves the file untouched.
  * @param {string} filePath - Destination file path
  * @param {Object} data - Data to write
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @throws {FileError} When the file cannot be written
  */
-export const writeJSON = (filePath, data) => {
+export const writeJSON = (filePath, data, plan) => {
+  const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+  let ordered = data;
+
+  if (path.basename(filePath) === 'package.json' && before) {
+    try {
+      ordered = orderPackageKeys(data, JSON.parse(before));
+    } catch {
+      // An unparsable package.json keeps the key order of the data
+    }
+  }
+
+  const content = updateJSON(before, ordered);
+
+  if (plan) {
+    plan.record({
+      kind: 'file',
+      action: before === content ? 'unchanged' : before ? 'update' : 'create',
+      name: plan.relative(filePath),
+      before,
+      after: content,
+    });
+    if (plan.dryRun) return;
+  }
+
+  if (before === content) return;
+
   try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+    plan?.journal.trackFile(filePath);
+    fs.writeFileSync(filePath, content);
     log.success(`${path.basename(filePath)} updated`);
   } catch (err) {
-    log.error(`Failed to write ${path.basename(filePath)}: ${err.message}`);
-    process.exit(1);
+    throw new FileError(`Failed to write ${path.basename(filePath)}`, filePath, err);
   }
 };
 
 //* ============================================================================
-//* FILE OPERATIONS
+//* PROMPTS
 //* ============================================================================
 
 /**
- * Prompt user for yes/no confirmation
- * @param {string} question - Question to ask
- * @returns {Promise<boolean>} User's response
+ * How a confirmation is answered: by asking the user, or automatically
+ */
+export const CONFIRM = {
+  ASK: 'ask',
+  YES: 'yes',
+  NO: 'no',
+};
+
+/**
+ * Normalize a legacy boolean prompt flag to a CONFIRM mode
+ * @param {boolean|string} mode - CONFIRM mode or boolean
+ * @param {string} whenTrue - Mode to use for `true`
+ * @param {string} whenFalse - Mode to use for `false`
+ * @returns {string} CONFIRM mode
+ */
+export const toConfirmMode = (mode, whenTrue, whenFalse) => {
+  if (mode === true) return whenTrue;
+  if (mode === false || mode === undefined) return whenFalse;
+  return mode;
+};
+
+/**
+ * Check whether the process can prompt the user for input
+ * @returns {boolean} True if stdin is an interactive terminal
  */
-const promptUser = (question) => {
+export const isInteractive = () => Boolean(process.stdin.isTTY);
+
+/**
+ * Read one line of input from the terminal
+ * @param {string} prompt - Text shown before the cursor
+ * @returns {Promise<string>} Trimmed, lowercased answer
+ */
+const readAnswer = (prompt) => {
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
 
+  // readline swallows Ctrl+C, pass it on so a running transaction can roll back
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.kill(process.pid, 'SIGINT');
+  });
+
   return new Promise((resolve) => {
-    rl.question(`${question} (Y/n): `, (answer) => {
+    rl.question(prompt, (answer) => {
       rl.close();
-      const normalized = answer.trim().toLowerCase();
-      resolve(normalized === 'y' || normalized === 'yes' || normalized === '');
+      resolve(answer.trim().toLowerCase());
     });
   });
 };
 
 /**
- * Copy file with validation and error handling
- * @param {string} src - Source file path
+ * Prompt user for yes/no confirmation
+ * @param {string} question - Question to ask
+ * @param {boolean} defaultAnswer - Answer used for an empty reply
+ * @returns {Promise<boolean>} User's response
+ */
+const promptUser = async (question, defaultAnswer = true) => {
+  const answer = await readAnswer(`${question} ${defaultAnswer ? '(Y/n)' : '(y/N)'}: `);
+  if (answer === '') return defaultAnswer;
+  return answer === 'y' || answer === 'yes';
+};
+
+/**
+ * Ask for confirmation, or answer automatically when not interactive
+ * @param {string} question - Question to ask
+ * @param {string} mode - CONFIRM mode
+ * @param {boolean} defaultAnswer - Answer used for an empty reply or a non-TTY stdin
+ * @returns {Promise<boolean>} Whether the action was confirmed
+ */
+export const confirm = async (question, mode = CONFIRM.ASK, defaultAnswer = true) => {
+  if (mode === CONFIRM.YES) return true;
+  if (mode === CONFIRM.NO) return false;
+  if (!isInteractive()) return defaultAnswer;
+  return promptUser(question, defaultAnswer);
+};
+
+/**
+ * Ask the user to pick one of several answers, or use the default when not interactive
+ * Each answer can be typed in full or by its first letter; the question is
+ * repeated until the reply matches one.
+ * @param {string} question - Question to ask
+ * @param {string[]} choices - Possible answers (distinct first letters)
+ * @param {string} [defaultChoice] - Answer used for an empty reply or a non-TTY stdin
+ * @returns {Promise<string>} Chosen answer
+ */
+export const choose = async (question, choices, defaultChoice = choices[0]) => {
+  if (!isInteractive()) return defaultChoice;
+
+  // The default shows with a capital letter, as in (Y/n)
+  const options = choices
+    .map((choice) => {
+      const letter = choice === defaultChoice ? choice[0].toUpperCase() : choice[0];
+      return `[${letter}]${choice.slice(1)}`;
+    })
+    .join(' / ');
+
+  for (;;) {
+    const answer = await readAnswer(`${question} ${options}: `);
+    if (answer === '') return defaultChoice;
+
+    const match = choices.find((choice) => choice === answer || choice[0] === answer);
+    if (match) return match;
+  }
+};
+
+//* ============================================================================
+//* FILE OPERATIONS
+//* ============================================================================
+
+/**
+ * Write content to a file, asking before overwriting an existing one
+ * Files recorded as pristine in the tidyforge manifest are updated without a prompt.
  * @param {string} dest - Destination file path
+ * @param {string} content - File content
  * @param {string} description - File description for logging
- * @param {boolean} allowOverwrite - Whether to prompt for overwriting existing files
- * @returns {Promise<boolean>} Success status
+ * @param {boolean|string} overwrite - CONFIRM mode for existing files (`true` prompts, `false` skips)
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {Promise<boolean>} Whether the file was written (in dry-run mode: would be written)
+ * @throws {FileError} When the file cannot be written
  */
-export const copyFile = async (src, dest, description, allowOverwrite = false) => {
+export const writeFile = async (dest, content, description, overwrite = false, plan) => {
   const fileName = path.basename(dest);
+  let mode = toConfirmMode(overwrite, CONFIRM.ASK, CONFIRM.NO);
 
-  if (!fs.existsSync(src)) {
-    log.error(`Source ${description} not found: ${fileName}`);
-    return false;
+  // A file tidyforge generated and nobody edited since can be updated without asking
+  if (plan && mode === CONFIRM.ASK) {
+    const { state } = getFileState(plan.root, plan.relative(dest));
+    if (state === 'pristine') mode = CONFIRM.YES;
   }
+  const kind = description === 'git hook' ? 'hook' : 'file';
+  const exists = fs.existsSync(dest);
+  const before = exists ? fs.readFileSync(dest, 'utf-8') : undefined;
 
-  if (fs.existsSync(dest)) {
-    if (allowOverwrite) {
-      const shouldOverwrite = await promptUser(`⚠ ${fileName} already exists. Overwrite?`);
+  if (plan) {
+    const name = plan.relative(dest);
 
-      if (!shouldOverwrite) {
-        log.info(`Skipped ${fileName}`);
-        return false;
-      }
-    } else {
-      log.warning(`Skipping ${fileName} (already exists)`);
+    if (!exists) {
+      plan.record({ kind, action: kind === 'hook' ? 'install' : 'create', name });
+    } else if (before === content) {
+      plan.record({ kind, action: 'unchanged', name });
+      return false;
+    } else if (mode === CONFIRM.NO) {
+      plan.record({ kind, action: 'skip', name, detail: 'already exists' });
+    } else if (plan.dryRun) {
+      const detail = mode === CONFIRM.ASK ? 'after confirmation' : undefined;
+      plan.record({ kind, action: 'overwrite', name, detail, before, after: content });
+    }
+
+    if (plan.dryRun) return !exists || mode !== CONFIRM.NO;
+  }
+
+  if (exists) {
+    if (mode === CONFIRM.NO) {
+      log.warn(`Skipping ${fileName} (already exists)`);
+      return false;
+    }
+
+    const shouldOverwrite = await confirm(`⚠ ${fileName} already exists. Overwrite?`, mode, false);
+
+    if (!shouldOverwrite) {
+      log.info(`Skipped ${fileName}`);
+      plan?.record({ kind, action: 'skip', name: plan.relative(dest), detail: 'declined' });
       return false;
     }
+
+    plan?.record({ kind, action: 'overwrite', name: plan.relative(dest), previous: before });
   }
 
   try {
-    fs.copyFileSync(src, dest);
+    plan?.journal.trackFile(dest);
+    fs.writeFileSync(dest, content);
     log.success(`Created ${fileName}`);
     return true;
   } catch (err) {
-    log.error(`Failed to copy ${fileName}: ${err.message}`);
+    throw new FileError(`Failed to write ${fileName}`, dest, err);
+  }
+};
+
+/**
+ * Write a generated file with settings of an existing config merged in
+ * The manifest records `template` as what tidyforge generated, so the merged
+ * settings count as local edits: upgrade keeps them and uninstall leaves the file.
+ * @param {string} dest - Destination file path
+ * @param {string} template - Content tidyforge generates for the file
+ * @param {string} content - Content with the existing settings applied
+ * @param {string} source - Config the settings come from, for messages
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} True (the file is always written)
+ * @throws {FileError} When the file cannot be written
+ */
+export const writeMergedFile = (dest, template, content, source, plan) => {
+  const fileName = path.basename(dest);
+  const before = fs.existsSync(dest) ? fs.readFileSync(dest, 'utf-8') : undefined;
+
+  plan?.record({
+    kind: 'file',
+    action: 'merge',
+    name: plan.relative(dest),
+    detail: `settings of ${source}`,
+    template,
+    before,
+    after: content,
+  });
+  if (plan?.dryRun) return true;
+
+  try {
+    plan?.journal.trackFile(dest);
+    fs.writeFileSync(dest, content);
+    log.success(`Merged ${source} into ${fileName}`);
+    return true;
+  } catch (err) {
+    throw new FileError(`Failed to write ${fileName}`, dest, err);
+  }
+};
+
+/**
+ * Write a file translated from an existing config into another format
+ * The file holds the project's own settings, so the manifest does not record it
+ * as generated: upgrade and uninstall leave it alone.
+ * @param {string} dest - Destination file path (must not exist)
+ * @param {string} content - Translated content
+ * @param {string} source - Config the content was translated from, for messages
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} True (the file is always written)
+ * @throws {FileError} When the file cannot be written
+ */
+export const writeMigratedFile = (dest, content, source, plan) => {
+  const fileName = path.basename(dest);
+
+  plan?.record({
+    kind: 'file',
+    action: 'migrate',
+    name: plan.relative(dest),
+    detail: `from ${source}`,
+    after: content,
+  });
+  if (plan?.dryRun) return true;
+
+  try {
+    plan?.journal.trackFile(dest);
+    fs.writeFileSync(dest, content);
+    log.success(`Migrated ${source} to ${fileName}`);
+    return true;
+  } catch (err) {
+    throw new FileError(`Failed to write ${fileName}`, dest, err);
+  }
+};
+
+/**
+ * Delete a file unless running a dry run
+ * @param {string} filePath - File to delete
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {boolean} Whether the file existed (and was, or would be, removed)
+ * @throws {FileError} When the file cannot be deleted
+ */
+export const removeFile = (filePath, plan) => {
+  if (!fs.existsSync(filePath)) return false;
+
+  plan?.record({ kind: 'file', action: 'remove', name: plan.relative(filePath) });
+  if (plan?.dryRun) return true;
+
+  try {
+    plan?.journal.trackFile(filePath);
+    fs.unlinkSync(filePath);
+    log.info(`Removed ${path.basename(filePath)}`);
+    return true;
+  } catch (err) {
+    throw new FileError(`Failed to remove ${path.basename(filePath)}`, filePath, err);
+  }
+};
+
+/**
+ * Rename a file unless running a dry run
+ * The moved file keeps its content and is not recorded as generated by
+ * tidyforge, so uninstall leaves it alone.
+ * @param {string} src - File to move
+ * @param {string} dest - New path (must not exist)
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @throws {FileError} When the file cannot be moved
+ */
+export const moveFile = (src, dest, plan) => {
+  plan?.record({
+    kind: 'file',
+    action: 'move',
+    name: plan.relative(dest),
+    detail: `from ${plan.relative(src)}`,
+  });
+  if (plan?.dryRun) return;
+
+  try {
+    plan?.journal.trackFile(src);
+    plan?.journal.trackFile(dest);
+    fs.renameSync(src, dest);
+    log.info(`Moved ${path.basename(src)} to ${path.basename(dest)}`);
+  } catch (err) {
+    throw new FileError(`Failed to move ${path.basename(src)}`, src, err);
+  }
+};
+
+/**
+ * Copy file with validation and error handling
+ * @param {string} src - Source file path
+ * @param {string} dest - Destination file path
+ * @param {string} description - File description for logging
+ * @param {boolean|string} overwrite - CONFIRM mode for existing files (`true` prompts, `false` skips)
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
+ * @returns {Promise<boolean>} Success status (in dry-run mode: whether the file would be written)
+ */
+export const copyFile = async (src, dest, description, overwrite = false, plan) => {
+  if (!fs.existsSync(src)) {
+    log.error(`Source ${description} not found: ${path.basename(dest)}`);
+    plan?.record({
+      kind: 'file',
+      action: 'fail',
+      name: plan.relative(dest),
+      detail: 'no template',
+    });
     return false;
   }
+
+  return writeFile(dest, fs.readFileSync(src, 'utf-8'), description, overwrite, plan);
 };
 
 /**
@@ -128,17 +405,18 @@ export const copyFile = async (src, dest, description, allowOverwrite = false) =
  * @param {string} srcDir - Source directory containing config files
  * @param {string} destDir - Destination directory (usually project root)
  * @param {string[]} files - Array of file names to copy
- * @param {boolean} allowOverwrite - Whether to prompt for overwriting
+ * @param {boolean|string} overwrite - CONFIRM mode for existing files (`true` prompts, `false` skips)
+ * @param {Object} [plan] - Setup plan to record changes in (see createPlan)
  * @returns {Promise<Object>} Results object with success/failure counts
  */
-export const copyConfigFiles = async (srcDir, destDir, files, allowOverwrite = false) => {
+export const copyConfigFiles = async (srcDir, destDir, files, overwrite = false, plan) => {
   const results = { success: 0, skipped: 0, failed: 0 };
 
   for (const file of files) {
     const src = path.join(srcDir, file);
     const dest = path.join(destDir, file);
 
-    const copied = await copyFile(src, dest, 'config file', allowOverwrite);
+    const copied = await copyFile(src, dest, 'config file', overwrite, plan);
 
     if (copied) {
       results.success++;
@@ -152,6 +430,28 @@ export const copyConfigFiles = async (srcDir, destDir, files, allowOverwrite = f
   return results;
 };
 
+/**
+ * Create a directory (and parents) unless running a dry run
+ * @param {string} dir - Directory to create
+ * @param {Object} [plan] - Setup plan (see createPlan)
+ */
+export const ensureDir = (dir, plan) => {
+  if (plan?.dryRun) return;
+  plan?.journal.trackDir(dir);
+  fs.mkdirSync(dir, { recursive: true });
+};
+
+/**
+ * Mark a file as executable on Unix systems unless running a dry run
+ * @param {string} filePath - File to chmod
+ * @param {Object} [plan] - Setup plan (see createPlan)
+ */
+export const makeExecutable = (filePath, plan) => {
+  if (plan?.dryRun || process.platform === 'win32') return;
+  plan?.journal.trackFile(filePath);
+  fs.chmodSync(filePath, '755');
+};
+
 //* ============================================================================
 //* PACKAGE.JSON UTILITIES
 //* ============================================================================
@@ -160,11 +460,11 @@ export const copyConfigFiles = async (srcDir, destDir, files, allowOverwrite = f
  * Validate existence of package.json
  * @param {string} pkgPath - Path to package.json
  * @returns {Object} - Validated package.json content
+ * @throws {FileError} When package.json is missing or invalid
  */
 export const validatePackageJson = (pkgPath) => {
   if (!fs.existsSync(pkgPath)) {
-    log.error('No package.json found! Please run `npm init -y` first.');
-    process.exit(1);
+    throw new FileError('No package.json found! Please run `npm init -y` first.', pkgPath);
   }
   return readJSON(pkgPath);
 };
@@ -174,16 +474,29 @@ export const validatePackageJson = (pkgPath) => {
  * @param {Object} pkg - Parsed package.json object
  * @param {Object} newScripts - Scripts to add/merge
  * @param {boolean} overwrite - Whether to overwrite existing scripts
+ * @param {Object} [plan] - Setup plan to record changes in (see createPlan)
  * @returns {Object} Updated package.json object
  */
-export const mergeScripts = (pkg, newScripts, overwrite = false) => {
+export const mergeScripts = (pkg, newScripts, overwrite = false, plan) => {
   pkg.scripts = pkg.scripts ?? {};
 
   Object.entries(newScripts).forEach(([key, value]) => {
-    if (!pkg.scripts[key] || overwrite) {
+    const existing = pkg.scripts[key];
+
+    if (existing === value) {
+      plan?.record({ kind: 'script', action: 'unchanged', name: key, value });
+    } else if (!existing || overwrite) {
       pkg.scripts[key] = value;
+      plan?.record({
+        kind: 'script',
+        action: existing ? 'overwrite' : 'add',
+        name: key,
+        value,
+        previous: existing,
+      });
     } else {
-      log.warning(`Script "${key}" already exists, skipping`);
+      if (!plan?.dryRun) log.warn(`Script "${key}" already exists, skipping`);
+      plan?.record({ kind: 'script', action: 'skip', name: key, detail: 'already exists' });
     }
   });
 
@@ -196,16 +509,58 @@ export const mergeScripts = (pkg, newScripts, overwrite = false) => {
  * @param {string} configKey - Key name (e.g., "lint-staged", "commitizen")
  * @param {Object} configValue - Configuration object to add
  * @param {boolean} merge - Whether to merge with existing config or replace
+ * @param {Object} [plan] - Setup plan to record the change in (see createPlan)
  * @returns {Object} Updated package.json object
  */
-export const mergePackageConfig = (pkg, configKey, configValue, merge = true) => {
+export const mergePackageConfig = (pkg, configKey, configValue, merge = true, plan) => {
+  const previous = pkg[configKey];
+  const before = JSON.stringify(previous);
+  const action = !previous ? 'add' : merge ? 'merge' : 'overwrite';
+
   if (!pkg[configKey] || !merge) {
     pkg[configKey] = configValue;
-    log.success(`Added ${configKey} configuration`);
+    if (!plan?.dryRun) log.success(`Added ${configKey} configuration`);
   } else {
     pkg[configKey] = { ...pkg[configKey], ...configValue };
-    log.success(`Merged ${configKey} configuration`);
+    if (!plan?.dryRun) log.success(`Merged ${configKey} configuration`);
   }
 
+  const unchanged = before === JSON.stringify(pkg[configKey]);
+  const keys = Object.fromEntries(
+    Object.entries(configValue).map(([key, value]) => [
+      key,
+      previous?.[key] === undefined ? { value } : { value, previous: previous[key] },
+    ])
+  );
+
+  plan?.record({
+    kind: 'config',
+    action: unchanged ? 'unchanged' : action,
+    name: configKey,
+    created: previous === undefined,
+    keys,
+  });
+
   return pkg;
 };
+
+export * from './utils-api.js';
+export * from './utils-cli.js';
+export * from './utils-config.js';
+export * from './utils-detect.js';
+export * from './utils-diff.js';
+export * from './utils-doctor.js';
+export * from './utils-errors.js';
+export * from './utils-hook-backends.js';
+export * from './utils-hooks.js';
+export * from './utils-husky.js';
+export * from './utils-ignore.js';
+export * from './utils-journal.js';
+export * from './utils-json.js';
+export * from './utils-log.js';
+export * from './utils-manifest.js';
+export * from './utils-plan.js';
+export * from './utils-pm.js';
+export * from './utils-semver.js';
+export * from './utils-upgrade.js';
+export * from './utils-workspace.js';
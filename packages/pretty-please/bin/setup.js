@@ -1,98 +1,95 @@
 #!/usr/bin/env node
 import {
-  copyConfigFiles,
-  copyFile,
+  createLogger,
+  createPlan,
+  DOCTOR_FLAGS,
+  formatHelp,
   log,
-  mergePackageConfig,
-  validatePackageJson,
-  mergeScripts,
-  readJSON,
-  writeJSON,
+  parseArgs,
+  reportChecks,
+  reportDryRun,
+  resolveLogOptions,
+  resolveProject,
+  resolveSetupOptions,
+  runTransaction,
+  setLogger,
+  SETUP_FLAGS,
+  summarizePlan,
+  UsageError,
 } from '@tidyforge/core';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { doctor, migrate, setup, TITLE, TOOL, uninstall, upgrade } from '../lib/setup.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const userRoot = process.cwd();
+const project = resolveProject(process.cwd());
 
-const packageRoot = path.resolve(__dirname, '..');
-const configsDir = path.join(packageRoot, 'configs');
-const huskyDir = path.join(packageRoot, 'hooks');
+const STYLE_FLAGS = {
+  'infer-style': {
+    type: 'boolean',
+    description: 'setup: generate .prettierrc from the style of the existing code',
+  },
+};
 
-const CONFIGS = ['eslint.config.mjs', '.prettierrc'];
+const HELP = formatHelp({
+  description:
+    'Pretty Please • Set up ESLint, Prettier, lint-staged and Git hooks in the current project.',
+  usage: 'npx @tidyforge/pretty-please [command] [options]',
+  commands: {
+    doctor: 'Check that the hooks, configs and dependencies are in working order',
+    migrate: 'Migrate a legacy .eslintrc and .eslintignore to a flat config',
+    uninstall: `Remove everything ${TOOL} added, keeping later edits`,
+    upgrade: 'Merge the templates of this version into the project, keeping local edits',
+  },
+  flags: { ...SETUP_FLAGS, ...STYLE_FLAGS, ...DOCTOR_FLAGS },
+});
 
-const setupScriptsStep = (pkg) => {
-  const scriptsPath = path.join(configsDir, 'scripts.json');
+const COMMANDS = { setup, migrate, uninstall, upgrade };
 
-  if (!fs.existsSync(scriptsPath)) {
-    log.error('scripts.json not found in configs directory');
+const main = async () => {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), {
+    ...SETUP_FLAGS,
+    ...STYLE_FLAGS,
+    ...DOCTOR_FLAGS,
+  });
+  const [command = 'setup'] = positionals;
+
+  if (flags.help) {
+    console.log(HELP);
     return;
   }
 
-  try {
-    const scriptsConfig = readJSON(scriptsPath);
-
-    if (!scriptsConfig.scripts || typeof scriptsConfig.scripts !== 'object') {
-      log.error("Invalid scripts.json format: missing 'scripts' object");
-      return;
-    }
-
-    mergeScripts(pkg, scriptsConfig.scripts);
+  setLogger(createLogger(resolveLogOptions(flags)));
 
-    if (scriptsConfig['lint-staged'])
-      mergePackageConfig(pkg, 'lint-staged', scriptsConfig['lint-staged']);
-  } catch (err) {
-    log.error(`Failed to process scripts.json: ${err.message}`);
+  if (command === 'doctor') {
+    log.info(`${TITLE} • Doctor\n`);
+    const results = await doctor(project, flags);
+    process.exitCode = reportChecks(TOOL, results, { json: flags.json });
+    return;
   }
-};
-
-const setupHuskyStep = async (pkg) => {
-  try {
-    const userHuskyDir = path.join(userRoot, '.husky');
-    fs.mkdirSync(userHuskyDir, { recursive: true });
-
-    const hookFiles = fs.readdirSync(huskyDir);
-
-    for (const hookFile of hookFiles) {
-      const src = path.join(huskyDir, hookFile);
-      const dest = path.join(userHuskyDir, hookFile);
-
-      if (fs.statSync(src).isDirectory()) continue;
-
-      const copied = await copyFile(src, dest, 'git hook', true);
-
-      if (copied && process.platform !== 'win32') fs.chmodSync(dest, '755');
-    }
-
-    mergeScripts(pkg, { prepare: 'husky' });
-  } catch (err) {
-    log.error(`Husky setup failed: ${err.message}`);
+  if (flags.fix) throw new UsageError('--fix is only supported by the doctor command');
+  if (!(command in COMMANDS)) throw new UsageError(`Unknown command: ${command}`);
+  if (flags['infer-style'] && command !== 'setup') {
+    throw new UsageError('--infer-style is only supported by setup');
   }
-};
 
-const main = async () => {
-  log.info('Pretty Please • Setting up...\n');
-  const pkgPath = path.join(userRoot, 'package.json');
-  const pkg = validatePackageJson(pkgPath);
-
-  log.info('[1/4] • Preparing configuration files...');
-  await copyConfigFiles(configsDir, userRoot, CONFIGS, true);
+  const options = { ...resolveSetupOptions(flags), inferStyle: flags['infer-style'] };
+  const plan = createPlan({ root: project.root, dryRun: options.dryRun });
 
-  log.info('\n[2/4] • Configuring package scripts...');
-  setupScriptsStep(pkg);
+  // Any failure or Ctrl+C restores the project as it was before the run
+  const result = await runTransaction(plan, () => COMMANDS[command](project, options, plan));
 
-  log.info('\n[3/4] • Installing Git hooks...');
-  await setupHuskyStep(pkg);
+  if (plan.dryRun && result.upgraded !== false) process.exitCode = reportDryRun(plan);
+  else if (result.conflicts > 0) process.exitCode = 1;
 
-  log.info('\n[4/4] • Finalizing setup...');
-  writeJSON(pkgPath, pkg);
-
-  log.info('\nSetup success! Happy coding!');
+  // Every change was already reported as its own event
+  const summary = { ...summarizePlan(plan), changes: undefined };
+  log.event({ type: 'result', command, exitCode: process.exitCode ?? 0, ...summary, ...result });
 };
 
 main().catch((err) => {
+  if (err instanceof UsageError) {
+    log.error(err.message);
+    console.error(`\n${HELP}`);
+    process.exit(2);
+  }
   log.error(`Setup failed: ${err.message}`);
-  process.exit(1);
+  process.exit(err.exitCode ?? 1);
 });
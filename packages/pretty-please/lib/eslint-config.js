@@ -0,0 +1,322 @@
+import { toSource } from '@tidyforge/core';
+
+//* ============================================================================
+//* ESLINT CONFIG FRAGMENTS
+//* ============================================================================
+
+const UNUSED_VARS_OPTIONS = `[
+  'warn',
+  {
+    argsIgnorePattern: '^_',
+    varsIgnorePattern: '^_',
+  },
+]`;
+
+/**
+ * Composable pieces of the generated flat config
+ * Each fragment applies when `when(stack)` is true and contributes imports,
+ * shared configs, plugins, rules and the devDependencies it needs.
+ */
+export const FRAGMENTS = [
+  {
+    name: 'javascript',
+    when: () => true,
+    imports: {
+      '@eslint/js': 'js',
+      'eslint/config': '{ defineConfig }',
+      globals: 'globals',
+    },
+    extensions: ['js', 'mjs', 'cjs'],
+    configs: ['js.configs.recommended'],
+    dependencies: ['eslint', '@eslint/js', 'globals'],
+  },
+  {
+    name: 'typescript',
+    when: (stack) => stack.typescript,
+    imports: { 'typescript-eslint': 'tseslint' },
+    extensions: ['ts', 'mts', 'cts'],
+    configs: ['tseslint.configs.recommended'],
+    dependencies: ['typescript-eslint'],
+  },
+  {
+    name: 'react',
+    when: (stack) => stack.react,
+    imports: {
+      'eslint-plugin-jsx-a11y': 'jsxA11y',
+      'eslint-plugin-react': 'react',
+      'eslint-plugin-react-hooks': 'reactHooks',
+    },
+    extensions: ['jsx'],
+    configs: ['react.configs.flat.recommended'],
+    plugins: { 'react-hooks': 'reactHooks', 'jsx-a11y': 'jsxA11y' },
+    parserOptions: 'ecmaFeatures: { jsx: true }',
+    settings: { react: "{ version: 'detect' }" },
+    ruleSpreads: [
+      'react.configs.recommended.rules',
+      'reactHooks.configs.recommended.rules',
+      'jsxA11y.configs.recommended.rules',
+    ],
+    rules: {
+      'react/react-in-jsx-scope': "'off'",
+      'react/prop-types': "'off'",
+    },
+    dependencies: ['eslint-plugin-react', 'eslint-plugin-react-hooks', 'eslint-plugin-jsx-a11y'],
+  },
+  {
+    name: 'react-typescript',
+    when: (stack) => stack.react && stack.typescript,
+    extensions: ['tsx'],
+  },
+  {
+    name: 'next',
+    when: (stack) => stack.next,
+    imports: { '@next/eslint-plugin-next': 'nextPlugin' },
+    plugins: { '@next/next': 'nextPlugin' },
+    ignores: ['.next/**'],
+    ruleSpreads: [
+      'nextPlugin.configs.recommended.rules',
+      "nextPlugin.configs['core-web-vitals'].rules",
+    ],
+    dependencies: ['@next/eslint-plugin-next'],
+  },
+  {
+    name: 'vue',
+    when: (stack) => stack.vue,
+    imports: { 'eslint-plugin-vue': 'pluginVue' },
+    extensions: ['vue'],
+    configs: ["...pluginVue.configs['flat/recommended']"],
+    ignores: ['.nuxt/**', '.output/**'],
+    dependencies: ['eslint-plugin-vue'],
+  },
+  {
+    name: 'vue-typescript',
+    when: (stack) => stack.vue && stack.typescript,
+    configs: [
+      `{
+  files: ['**/*.vue'],
+  languageOptions: { parserOptions: { parser: tseslint.parser } },
+}`,
+    ],
+  },
+  {
+    name: 'javascript-unused-vars',
+    when: (stack) => !stack.typescript,
+    rules: { 'no-unused-vars': UNUSED_VARS_OPTIONS },
+  },
+  {
+    name: 'typescript-unused-vars',
+    when: (stack) => stack.typescript,
+    rules: { '@typescript-eslint/no-unused-vars': UNUSED_VARS_OPTIONS },
+  },
+  {
+    name: 'prettier',
+    when: () => true,
+    imports: { 'eslint-config-prettier': 'prettier' },
+    trailingConfigs: ['prettier'],
+    dependencies: ['eslint-config-prettier'],
+  },
+];
+
+//* ============================================================================
+//* GENERATION
+//* ============================================================================
+
+/**
+ * Indent every line of a code block after the first
+ * @param {string} code - Code block
+ * @param {number} spaces - Indentation width
+ * @returns {string} Indented code
+ */
+const indent = (code, spaces) => code.split('\n').join(`\n${' '.repeat(spaces)}`);
+
+/**
+ * Get the package of an ESLint plugin from its name, following ESLint's
+ * naming convention (`jsx-a11y` → eslint-plugin-jsx-a11y, `@next/next` →
+ * @next/eslint-plugin-next, `@stylistic` → @stylistic/eslint-plugin)
+ * @param {string} name - Plugin name, as used in rule prefixes
+ * @returns {string} Package name
+ */
+export const getPluginPackage = (name) => {
+  if (!name.startsWith('@')) return `eslint-plugin-${name}`;
+  const [scope, plugin] = name.split('/');
+  return plugin ? `${scope}/eslint-plugin-${plugin}` : `${scope}/eslint-plugin`;
+};
+
+/**
+ * Get the import binding of a plugin added by the project config
+ * @param {string} name - Plugin name
+ * @returns {string} Identifier, e.g. `unusedImportsPlugin`
+ */
+export const getPluginBinding = (name) =>
+  `${name.replace(/^@/, '').replace(/[^a-zA-Z0-9]+(.)/g, (_, char) => char.toUpperCase())}Plugin`;
+
+/**
+ * Apply the `eslint` section of the project config to the selected fragments
+ * A plugin set to false is removed with its import, shared configs, settings,
+ * rules and dependency; other plugins are added (true for the conventional
+ * package, or the package name). Rules are added or replaced, null removes a
+ * rule the fragments set.
+ * @param {Object[]} fragments - Selected fragments
+ * @param {Object} [eslint] - { rules, plugins } from the project config
+ * @returns {Object[]} Customized fragments, the config's own fragment last
+ */
+const customizeFragments = (fragments, { rules = {}, plugins = {} } = {}) => {
+  const removed = Object.keys(plugins).filter((name) => plugins[name] === false);
+  const added = Object.keys(plugins).filter((name) => ![false, null].includes(plugins[name]));
+  const removedPackages = removed.map(getPluginPackage);
+  const removedBindings = fragments.flatMap((fragment) =>
+    Object.entries(fragment.imports ?? {})
+      .filter(([source]) => removedPackages.includes(source))
+      .map(([, binding]) => binding)
+  );
+
+  const usesRemoved = (code) =>
+    removedBindings.some((binding) => new RegExp(`\\b${binding}\\.`).test(code));
+  const keepRule = (rule) =>
+    rules[rule] !== null && !removed.some((name) => rule.startsWith(`${name}/`));
+  const filterKeys = (map = {}, keep) =>
+    Object.fromEntries(Object.entries(map).filter(([key, value]) => keep(key, value)));
+
+  const customized = fragments.map((fragment) => ({
+    ...fragment,
+    imports: filterKeys(fragment.imports, (source) => !removedPackages.includes(source)),
+    plugins: filterKeys(fragment.plugins, (name) => !removed.includes(name)),
+    settings: filterKeys(fragment.settings, (name) => !removed.includes(name)),
+    configs: fragment.configs?.filter((config) => !usesRemoved(config)),
+    ruleSpreads: fragment.ruleSpreads?.filter((spread) => !usesRemoved(spread)),
+    rules: filterKeys(fragment.rules, keepRule),
+    dependencies: fragment.dependencies?.filter((name) => !removedPackages.includes(name)),
+  }));
+
+  // Plugins the fragments already register or import need nothing more
+  const known = customized.flatMap((fragment) => [
+    ...Object.keys(fragment.plugins),
+    ...Object.keys(fragment.imports),
+  ]);
+  const packageOf = (name) =>
+    typeof plugins[name] === 'string' ? plugins[name] : getPluginPackage(name);
+  const newPlugins = added.filter(
+    (name) => !known.includes(name) && !known.includes(packageOf(name))
+  );
+
+  return [
+    ...customized,
+    {
+      name: 'config',
+      imports: Object.fromEntries(
+        newPlugins.map((name) => [packageOf(name), getPluginBinding(name)])
+      ),
+      plugins: Object.fromEntries(newPlugins.map((name) => [name, getPluginBinding(name)])),
+      rules: Object.fromEntries(
+        Object.entries(rules)
+          .filter(([, value]) => value !== null)
+          .map(([rule, value]) => [rule, toSource(value)])
+      ),
+      dependencies: newPlugins.map(packageOf),
+    },
+  ];
+};
+
+/**
+ * Select the fragments that apply to a detected stack
+ * @param {Object} stack - Result of detectProjectStack
+ * @param {Object} [eslint] - `eslint` section of the project config (see loadConfig)
+ * @returns {Object[]} Matching fragments in composition order
+ */
+export const selectFragments = (stack, eslint) =>
+  customizeFragments(
+    FRAGMENTS.filter((fragment) => fragment.when(stack)),
+    eslint
+  );
+
+/**
+ * List the devDependencies a generated ESLint config needs
+ * @param {Object} stack - Result of detectProjectStack
+ * @param {Object} [eslint] - `eslint` section of the project config
+ * @returns {string[]} Package names
+ */
+export const getEslintDependencies = (stack, eslint) =>
+  selectFragments(stack, eslint).flatMap((fragment) => fragment.dependencies ?? []);
+
+/**
+ * Build the fragment importing a project's own flat config
+ * It goes right before eslint-config-prettier, so the project's settings win
+ * over the generated ones but cannot turn formatting rules back on.
+ * @param {string} file - Config file next to eslint.config.mjs
+ * @returns {Object} Fragment
+ */
+const projectFragment = (file) => ({
+  name: 'project',
+  imports: { [`./${file}`]: 'projectConfig' },
+  trailingConfigs: ['projectConfig'],
+});
+
+/**
+ * Generate the source of an `eslint.config.mjs` tailored to a stack
+ * @param {Object} stack - Result of detectProjectStack
+ * @param {Object} [eslint] - `eslint` section of the project config
+ * @param {string} [projectConfig] - Flat config of the project to import and apply
+ *   (see PROJECT_ESLINT_CONFIGS)
+ * @returns {string} Flat config source
+ */
+export const generateEslintConfig = (stack, eslint, projectConfig) => {
+  const fragments = selectFragments(stack, eslint);
+  if (projectConfig) {
+    const prettierIndex = fragments.findIndex((fragment) => fragment.name === 'prettier');
+    fragments.splice(prettierIndex, 0, projectFragment(projectConfig));
+  }
+  const collect = (key) => fragments.flatMap((fragment) => fragment[key] ?? []);
+  const merge = (key) => Object.assign({}, ...fragments.map((fragment) => fragment[key] ?? {}));
+
+  const imports = Object.entries(merge('imports'))
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([source, binding]) => `import ${binding} from '${source}';`);
+
+  const globals = {
+    node: ['globals.node'],
+    browser: ['globals.browser'],
+    universal: ['globals.browser', 'globals.node'],
+  }[stack.environment].map((name) => `...${name}`);
+
+  const plugins = Object.entries(merge('plugins'));
+  const settings = Object.entries(merge('settings'));
+  const parserOptions = collect('parserOptions');
+  const rules = [
+    ...collect('ruleSpreads').map((spread) => `...${spread},`),
+    ...Object.entries(merge('rules')).map(([rule, value]) => `'${rule}': ${value},`),
+  ];
+
+  const shared = [
+    plugins.length > 0 &&
+      ['plugins: {', ...plugins.map(([name, value]) => `  '${name}': ${value},`), '},'].join('\n'),
+    [
+      'languageOptions: {',
+      `  globals: { ${globals.join(', ')} },`,
+      ...(parserOptions.length > 0 ? [`  parserOptions: { ${parserOptions.join(', ')} },`] : []),
+      '},',
+    ].join('\n'),
+    settings.length > 0 &&
+      ['settings: {', ...settings.map(([name, value]) => `  ${name}: ${value},`), '},'].join('\n'),
+    rules.length > 0 &&
+      ['rules: {', ...rules.map((rule) => `  ${indent(rule, 2)}`), '},'].join('\n'),
+  ].filter(Boolean);
+
+  const entries = [
+    `{ files: ['**/*.{${collect('extensions').join(',')}}'] }`,
+    `{ ignores: [${['node_modules/**', 'dist/**', 'build/**', ...collect('ignores')]
+      .map((pattern) => `'${pattern}'`)
+      .join(', ')}] }`,
+    ...collect('configs'),
+    `{\n  ${indent(shared.join('\n'), 2)}\n}`,
+    ...collect('trailingConfigs'),
+  ];
+
+  return [
+    ...imports,
+    '',
+    'export default defineConfig([',
+    ...entries.map((entry) => `  ${indent(entry, 2)},`),
+    ']);',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,447 @@
+import { toSource } from '@tidyforge/core';
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { getPluginBinding, getPluginPackage } from './eslint-config.js';
+import { parseJson5 } from './existing-configs.js';
+
+//* ============================================================================
+//* LEGACY CONFIG TRANSLATION
+//* ============================================================================
+
+const TYPESCRIPT_ESLINT = { 'typescript-eslint': 'tseslint' };
+
+/**
+ * Shareable configs with a flat equivalent
+ * `fragment` names the part of the generated config that already applies it,
+ * `config` is the flat config expression and `imports` what it needs.
+ */
+const SHARED_CONFIGS = {
+  'eslint:recommended': {
+    fragment: 'javascript',
+    imports: { '@eslint/js': 'js' },
+    config: 'js.configs.recommended',
+  },
+  'eslint:all': { imports: { '@eslint/js': 'js' }, config: 'js.configs.all' },
+  prettier: { fragment: 'prettier' },
+  'plugin:prettier/recommended': { fragment: 'prettier' },
+  'plugin:@typescript-eslint/recommended': {
+    fragment: 'typescript',
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.recommended',
+  },
+  'plugin:@typescript-eslint/eslint-recommended': {
+    fragment: 'typescript',
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.eslintRecommended',
+  },
+  'plugin:@typescript-eslint/recommended-type-checked': {
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.recommendedTypeChecked',
+  },
+  'plugin:@typescript-eslint/recommended-requiring-type-checking': {
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.recommendedTypeChecked',
+  },
+  'plugin:@typescript-eslint/strict': {
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.strict',
+  },
+  'plugin:@typescript-eslint/stylistic': {
+    imports: TYPESCRIPT_ESLINT,
+    config: 'tseslint.configs.stylistic',
+  },
+  'plugin:react/recommended': {
+    fragment: 'react',
+    imports: { 'eslint-plugin-react': 'react' },
+    config: 'react.configs.flat.recommended',
+  },
+  'plugin:react/jsx-runtime': {
+    imports: { 'eslint-plugin-react': 'react' },
+    config: "react.configs.flat['jsx-runtime']",
+  },
+  'plugin:react-hooks/recommended': {
+    fragment: 'react',
+    imports: { 'eslint-plugin-react-hooks': 'reactHooks' },
+    config:
+      "{ plugins: { 'react-hooks': reactHooks }, rules: reactHooks.configs.recommended.rules }",
+  },
+  'plugin:jsx-a11y/recommended': {
+    fragment: 'react',
+    imports: { 'eslint-plugin-jsx-a11y': 'jsxA11y' },
+    config: 'jsxA11y.flatConfigs.recommended',
+  },
+  'plugin:import/recommended': {
+    imports: { 'eslint-plugin-import': 'importPlugin' },
+    config: 'importPlugin.flatConfigs.recommended',
+  },
+  'plugin:import/typescript': {
+    imports: { 'eslint-plugin-import': 'importPlugin' },
+    config: 'importPlugin.flatConfigs.typescript',
+  },
+  'plugin:vue/vue3-essential': {
+    imports: { 'eslint-plugin-vue': 'pluginVue' },
+    config: "pluginVue.configs['flat/essential']",
+  },
+  'plugin:vue/vue3-strongly-recommended': {
+    imports: { 'eslint-plugin-vue': 'pluginVue' },
+    config: "pluginVue.configs['flat/strongly-recommended']",
+  },
+  'plugin:vue/vue3-recommended': {
+    fragment: 'vue',
+    imports: { 'eslint-plugin-vue': 'pluginVue' },
+    config: "pluginVue.configs['flat/recommended']",
+  },
+  next: { fragment: 'next' },
+  'next/core-web-vitals': { fragment: 'next' },
+  'plugin:@next/next/recommended': { fragment: 'next' },
+  'plugin:@next/next/core-web-vitals': { fragment: 'next' },
+};
+
+/**
+ * Bindings the shared configs use, so a plugin listed in `plugins` reuses them
+ */
+const SHARED_BINDINGS = Object.assign(
+  {},
+  ...Object.values(SHARED_CONFIGS).map((shared) => shared.imports ?? {})
+);
+
+/**
+ * Environments whose globals the `globals` package provides under the same name
+ */
+const ENV_GLOBALS = [
+  'amd',
+  'applescript',
+  'atomtest',
+  'browser',
+  'commonjs',
+  'embertest',
+  'greasemonkey',
+  'jasmine',
+  'jest',
+  'jquery',
+  'meteor',
+  'mocha',
+  'mongo',
+  'nashorn',
+  'node',
+  'phantomjs',
+  'prototypejs',
+  'protractor',
+  'qunit',
+  'serviceworker',
+  'shared-node-browser',
+  'shelljs',
+  'webextensions',
+  'worker',
+];
+
+/**
+ * Keys of a legacy config (or of one of its overrides) the translation reads
+ */
+const LAYER_KEYS = [
+  'extends',
+  'plugins',
+  'rules',
+  'env',
+  'globals',
+  'parser',
+  'parserOptions',
+  'settings',
+  'noInlineConfig',
+  'reportUnusedDisableDirectives',
+];
+const ROOT_KEYS = [...LAYER_KEYS, '$schema', 'root', 'ignorePatterns', 'overrides'];
+const OVERRIDE_KEYS = [...LAYER_KEYS, 'files', 'excludedFiles'];
+
+const GLOBAL_VALUES = {
+  true: 'writable',
+  writable: 'writable',
+  writeable: 'writable',
+  false: 'readonly',
+  readonly: 'readonly',
+  readable: 'readonly',
+  off: 'off',
+};
+
+const indent = (code, spaces) => code.split('\n').join(`\n${' '.repeat(spaces)}`);
+
+const property = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : toSource(key));
+
+/**
+ * Format `key: value` entries as an object literal, one entry per line
+ * @param {string[][]} entries - [key, value source] pairs
+ * @returns {string} Object source
+ */
+const objectSource = (entries) =>
+  ['{', ...entries.map(([key, value]) => `  ${property(key)}: ${indent(value, 2)},`), '}'].join(
+    '\n'
+  );
+
+/**
+ * Get the plugin name legacy configs abbreviate (`eslint-plugin-foo` → `foo`,
+ * `@scope/eslint-plugin` → `@scope`, `@scope/eslint-plugin-foo` → `@scope/foo`)
+ * @param {string} name - Name as listed in `plugins`
+ * @returns {string} Plugin name, as used in rule prefixes
+ */
+const normalizePluginName = (name) => {
+  if (!name.startsWith('@')) return name.replace(/^eslint-plugin-/, '');
+  const [scope, plugin = ''] = name.split('/');
+  const short = plugin.replace(/^eslint-plugin-?/, '');
+  return short ? `${scope}/${short}` : scope;
+};
+
+/**
+ * Get the import binding of a parser package (`@typescript-eslint/parser` →
+ * `typescriptEslintParser`)
+ * @param {string} name - Parser package
+ * @returns {string} Identifier
+ */
+const getParserBinding = (name) =>
+  `${name
+    .replace(/^@/, '')
+    .replace(/[/-]?parser$/, '')
+    .replace(/[^a-zA-Z0-9]+(.)/g, (_, char) => char.toUpperCase())}Parser`;
+
+/**
+ * Turn a gitignore-style pattern of .eslintignore or `ignorePatterns` into a
+ * flat config one: unanchored patterns match at any depth, and a name matches
+ * the files inside a directory of that name too
+ * @param {string} pattern - Legacy pattern
+ * @returns {string} Flat config pattern
+ */
+const convertIgnorePattern = (pattern) => {
+  const negated = pattern.startsWith('!');
+  let glob = negated ? pattern.slice(1) : pattern;
+
+  const anchored = glob.replace(/\/$/, '').includes('/');
+  glob = glob.replace(/^\.?\//, '');
+  if (!anchored) glob = `**/${glob}`;
+  if (!glob.endsWith('/') && !glob.split('/').pop().includes('*')) glob = `${glob}{,/**}`;
+
+  return `${negated ? '!' : ''}${glob}`;
+};
+
+/**
+ * Turn an `overrides[].files` pattern into a flat config one: legacy patterns
+ * without a slash match file names in any directory
+ * @param {string} pattern - Legacy pattern
+ * @returns {string} Flat config pattern
+ */
+const convertFilesPattern = (pattern) => {
+  const glob = pattern.replace(/^\.\//, '');
+  return glob.includes('/') ? glob : `**/${glob}`;
+};
+
+/**
+ * Translate one layer of a legacy config (the root or an override) into a flat
+ * config object
+ * @param {Object} layer - Legacy config or override
+ * @param {string} where - Location of the layer, for the report
+ * @param {Object} context - { covered: fragment names, imports, untranslated }
+ * @returns {string[]} Entries of the flat config object, as `key: value` sources
+ */
+const translateLayer = (layer, where, context) => {
+  const { covered, imports, untranslated } = context;
+  const report = (item, reason) => untranslated.push(`${where}${item}: ${reason}`);
+  const entries = [];
+
+  const extendsConfigs = [].concat(layer.extends ?? []).flatMap((name) => {
+    const shared = SHARED_CONFIGS[name];
+    if (shared && covered.includes(shared.fragment)) return [];
+    if (!shared?.config) {
+      report(`extends "${name}"`, 'no flat config equivalent known');
+      return [];
+    }
+    Object.assign(imports, shared.imports);
+    return [shared.config];
+  });
+  if (extendsConfigs.length > 0) entries.push(['extends', `[${extendsConfigs.join(', ')}]`]);
+
+  const plugins = [].concat(layer.plugins ?? []).map((name) => {
+    const plugin = normalizePluginName(name);
+    const pluginPackage = getPluginPackage(plugin);
+    const binding = SHARED_BINDINGS[pluginPackage] ?? getPluginBinding(plugin);
+    imports[pluginPackage] = binding;
+    return [plugin, binding];
+  });
+  if (plugins.length > 0) entries.push(['plugins', objectSource(plugins)]);
+
+  const languageOptions = [];
+  const globals = [];
+  Object.entries(layer.env ?? {}).forEach(([env, enabled]) => {
+    if (!enabled) return;
+    if (/^es(\d+|next)$/.test(env)) return; // flat configs default to the latest ECMAScript
+    if (!ENV_GLOBALS.includes(env)) {
+      report(`env "${env}"`, 'no globals known for this environment');
+      return;
+    }
+    imports.globals = 'globals';
+    globals.push(`...globals${env.includes('-') ? `[${toSource(env)}]` : `.${env}`}`);
+  });
+  Object.entries(layer.globals ?? {}).forEach(([name, value]) => {
+    const access = GLOBAL_VALUES[String(value)];
+    if (access) globals.push(`${property(name)}: '${access}'`);
+    else report(`globals "${name}"`, `unknown value ${JSON.stringify(value)}`);
+  });
+  if (globals.length > 0) languageOptions.push(['globals', `{ ${globals.join(', ')} }`]);
+
+  const importParser = (name, key) => {
+    if (name.startsWith('.') || path.isAbsolute(name)) {
+      report(key, `cannot import the local parser ${name}`);
+      return undefined;
+    }
+    imports[name] = getParserBinding(name);
+    return getParserBinding(name);
+  };
+  if (layer.parser) {
+    const parser = importParser(layer.parser, 'parser');
+    if (parser) languageOptions.push(['parser', parser]);
+  }
+
+  const { ecmaVersion, sourceType, parser, ...parserOptions } = layer.parserOptions ?? {};
+  if (ecmaVersion !== undefined) languageOptions.push(['ecmaVersion', toSource(ecmaVersion)]);
+  if (sourceType !== undefined) languageOptions.push(['sourceType', toSource(sourceType)]);
+  const parserEntries = Object.entries(parserOptions).map(([key, value]) => [key, toSource(value)]);
+  if (typeof parser === 'string') {
+    const binding = importParser(parser, 'parserOptions.parser');
+    if (binding) parserEntries.push(['parser', binding]);
+  } else if (parser !== undefined) {
+    parserEntries.push(['parser', toSource(parser)]);
+  }
+  if (parserEntries.length > 0)
+    languageOptions.push(['parserOptions', objectSource(parserEntries)]);
+  if (languageOptions.length > 0) entries.push(['languageOptions', objectSource(languageOptions)]);
+
+  const linterOptions = ['noInlineConfig', 'reportUnusedDisableDirectives']
+    .filter((key) => layer[key] !== undefined)
+    .map((key) => [key, toSource(layer[key])]);
+  if (linterOptions.length > 0) entries.push(['linterOptions', objectSource(linterOptions)]);
+
+  if (layer.settings && Object.keys(layer.settings).length > 0) {
+    entries.push([
+      'settings',
+      objectSource(Object.entries(layer.settings).map(([key, value]) => [key, toSource(value)])),
+    ]);
+  }
+
+  if (layer.rules && Object.keys(layer.rules).length > 0) {
+    entries.push([
+      'rules',
+      objectSource(Object.entries(layer.rules).map(([rule, value]) => [rule, toSource(value)])),
+    ]);
+  }
+
+  return entries;
+};
+
+/**
+ * Translate a legacy ESLint config into the source of a flat config module
+ * The module only holds the project's own settings: shared configs the
+ * generated eslint.config.mjs already applies are dropped, everything else is
+ * layered on top of it when it imports the module.
+ * @param {Object} legacy - Parsed legacy config
+ * @param {string[]} ignores - Lines of .eslintignore
+ * @param {string[]} covered - Names of the fragments of the generated config
+ * @param {string[]} sources - Files the config comes from, for the header
+ * @returns {{ source: string, untranslated: string[], imports: string[] }} Module
+ *   source, what could not be translated and the packages it imports
+ */
+export const translateLegacyConfig = (legacy, ignores, covered, sources) => {
+  const context = { covered, imports: { 'eslint/config': '{ defineConfig }' }, untranslated: [] };
+  const report = (item, reason) => context.untranslated.push(`${item}: ${reason}`);
+  const configs = [];
+
+  Object.keys(legacy)
+    .filter((key) => !ROOT_KEYS.includes(key))
+    .forEach((key) => report(key, 'not supported by flat configs'));
+
+  const patterns = [...[].concat(legacy.ignorePatterns ?? []), ...ignores]
+    .map((line) => line.trim())
+    .filter((line) => line !== '' && !line.startsWith('#'))
+    .map(convertIgnorePattern);
+  if (patterns.length > 0) {
+    context.imports['eslint/config'] = '{ defineConfig, globalIgnores }';
+    configs.push(`globalIgnores(${toSource(patterns)})`);
+  }
+
+  const root = translateLayer(legacy, '', context);
+  if (root.length > 0) configs.push(objectSource(root));
+
+  [].concat(legacy.overrides ?? []).forEach((override, index) => {
+    const where = `overrides[${index}].`;
+    Object.keys(override)
+      .filter((key) => !OVERRIDE_KEYS.includes(key))
+      .forEach((key) =>
+        report(`${where}${key}`, key === 'overrides' ? 'nested overrides' : 'not supported')
+      );
+
+    const scope = [['files', toSource([].concat(override.files ?? []).map(convertFilesPattern))]];
+    if (override.excludedFiles) {
+      scope.push(['ignores', toSource([].concat(override.excludedFiles).map(convertFilesPattern))]);
+    }
+    configs.push(objectSource([...scope, ...translateLayer(override, where, context)]));
+  });
+
+  const imports = Object.entries(context.imports).sort(([a], [b]) => (a < b ? -1 : 1));
+  const header = [
+    `// Migrated from ${sources.join(' and ')} by @tidyforge/pretty-please.`,
+    ...(context.untranslated.length > 0
+      ? ['// Not translated:', ...context.untranslated.map((item) => `// - ${item}`)]
+      : []),
+  ];
+
+  return {
+    source: [
+      ...header,
+      ...imports.map(([source, binding]) => `import ${binding} from '${source}';`),
+      '',
+      'export default defineConfig([',
+      ...configs.map((config) => `  ${indent(config, 2)},`),
+      ']);',
+      '',
+    ].join('\n'),
+    untranslated: context.untranslated,
+    imports: imports.map(([source]) => source),
+  };
+};
+
+//* ============================================================================
+//* READING
+//* ============================================================================
+
+/**
+ * Read a legacy ESLint config
+ * JSON (with comments) and CommonJS files and the package.json key can be
+ * read; YAML needs js-yaml, which ESLint 8 installs, in the project.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - Parsed package.json
+ * @param {Object} config - Config returned by findConfigs
+ * @returns {Object|null} Config, or null when it cannot be read
+ */
+export const readLegacyConfig = (userRoot, pkg, config) => {
+  if (config.key) return pkg[config.key];
+
+  const require = createRequire(path.join(userRoot, 'package.json'));
+  const ext = path.extname(config.name);
+  try {
+    if (ext === '.js' || ext === '.cjs') return require(config.file);
+
+    const text = fs.readFileSync(config.file, 'utf-8');
+    if (ext === '.json') return parseJson5(text);
+    const json = ext === '' ? parseJson5(text) : null;
+    return json ?? require('js-yaml').load(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the patterns of a project's .eslintignore
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string[]} Lines of the file (empty when there is none)
+ */
+export const readEslintIgnore = (userRoot) => {
+  const file = path.join(userRoot, '.eslintignore');
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split(/\r?\n/) : [];
+};
@@ -0,0 +1,217 @@
+import { getFileState } from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+//* ============================================================================
+//* CONFIG LOCATIONS
+//* ============================================================================
+
+/**
+ * Flat config files, in the order ESLint looks them up
+ */
+export const ESLINT_CONFIGS = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  'eslint.config.mts',
+  'eslint.config.cts',
+];
+
+/**
+ * Legacy (eslintrc) config files, read by ESLint 8 when there is no flat config
+ */
+export const LEGACY_ESLINT_CONFIGS = [
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yaml',
+  '.eslintrc.yml',
+  '.eslintrc.json',
+  '.eslintrc',
+];
+
+/**
+ * Prettier config files, in the order Prettier looks them up after package.json
+ */
+export const PRETTIER_CONFIGS = [
+  '.prettierrc',
+  '.prettierrc.json',
+  '.prettierrc.yaml',
+  '.prettierrc.yml',
+  '.prettierrc.json5',
+  '.prettierrc.js',
+  'prettier.config.js',
+  '.prettierrc.ts',
+  'prettier.config.ts',
+  '.prettierrc.mjs',
+  'prettier.config.mjs',
+  '.prettierrc.mts',
+  'prettier.config.mts',
+  '.prettierrc.cjs',
+  'prettier.config.cjs',
+  '.prettierrc.cts',
+  'prettier.config.cts',
+  '.prettierrc.toml',
+];
+
+/**
+ * Where a project's own flat config is moved when it is merged into the
+ * generated one, which imports it
+ */
+export const PROJECT_ESLINT_CONFIGS = [
+  'eslint.config.project.js',
+  'eslint.config.project.mjs',
+  'eslint.config.project.cjs',
+];
+
+/**
+ * Configs pretty-please generates, with every location the tool reads its
+ * config from (`package.json#key` for a package.json key), in lookup order
+ */
+export const CONFIG_TARGETS = {
+  eslint: {
+    label: 'ESLint',
+    file: 'eslint.config.mjs',
+    locations: [...ESLINT_CONFIGS, ...LEGACY_ESLINT_CONFIGS, 'package.json#eslintConfig'],
+  },
+  prettier: {
+    label: 'Prettier',
+    file: '.prettierrc',
+    locations: ['package.json#prettier', ...PRETTIER_CONFIGS],
+  },
+};
+
+//* ============================================================================
+//* DETECTION
+//* ============================================================================
+
+/**
+ * Find every config of a tool in a project
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - Parsed package.json (may have unsaved changes)
+ * @param {Object} target - One of CONFIG_TARGETS
+ * @returns {Object[]} { name, file } for files, { name, key } for package.json keys,
+ *   in lookup order (the first one is the config the tool uses)
+ */
+export const findConfigs = (userRoot, pkg, target) =>
+  target.locations.flatMap((name) => {
+    const [, key] = name.split('package.json#');
+    if (key) return pkg[key] !== undefined ? [{ name, key }] : [];
+
+    const file = path.join(userRoot, name);
+    return fs.existsSync(file) ? [{ name, file }] : [];
+  });
+
+/**
+ * Find the configs of a tool that tidyforge did not generate
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - Parsed package.json (may have unsaved changes)
+ * @param {Object} target - One of CONFIG_TARGETS
+ * @returns {Object[]} Configs, as returned by findConfigs
+ */
+export const findExistingConfigs = (userRoot, pkg, target) =>
+  findConfigs(userRoot, pkg, target).filter(
+    (config) => config.key || getFileState(userRoot, config.name).state === 'untracked'
+  );
+
+/**
+ * Check whether a config is a flat config the generated one can import
+ * @param {Object} config - Config returned by findConfigs
+ * @returns {boolean} True for eslint.config.{js,mjs,cjs}
+ */
+export const isImportableEslintConfig = (config) =>
+  ESLINT_CONFIGS.slice(0, 3).includes(config.name);
+
+//* ============================================================================
+//* PRETTIER OPTIONS
+//* ============================================================================
+
+const unquote = (text) => text.replace(/^(["'])(.*)\1$/, '$2');
+
+const parseScalar = (raw) => {
+  const value = raw.trim();
+  if (/^(["']).*\1$/.test(value)) return unquote(value);
+  if (['true', 'false', 'null'].includes(value)) return JSON.parse(value);
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Parse a flat `key: value` (YAML) or `key = value` (TOML) file
+ * Prettier configs are usually flat; anything nested returns null.
+ * @param {string} text - File content
+ * @param {string} separator - ":" or "="
+ * @returns {Object|null} Options, or null when the file is not flat
+ */
+const parseFlatConfig = (text, separator) => {
+  const pattern = new RegExp(`^("[^"]+"|'[^']+'|[\\w-]+)\\s*${separator}\\s*(\\S.*)$`);
+  const options = {};
+
+  for (const line of text.split(/\r?\n/)) {
+    const content = line.replace(/\s#.*$/, '').trimEnd();
+    if (content.trim() === '' || /^\s*#/.test(content) || content === '---') continue;
+
+    const match = content.match(pattern);
+    if (!match) return null;
+    options[unquote(match[1])] = parseScalar(match[2]);
+  }
+
+  return options;
+};
+
+/**
+ * Parse JSON5 as far as Prettier configs use it: comments and trailing commas
+ * @param {string} text - File content
+ * @returns {Object|null} Options, or null when the file uses more of JSON5
+ */
+export const parseJson5 = (text) => {
+  try {
+    return JSON.parse(
+      text
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/^\s*\/\/.*$/gm, '')
+        .replace(/,(\s*[}\]])/g, '$1')
+    );
+  } catch {
+    return null;
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Read the options of an existing Prettier config
+ * JSON, JSON5, flat YAML and TOML files, JavaScript modules exporting plain
+ * options and the package.json key can be read; a shared config name, a
+ * TypeScript module or nested YAML cannot.
+ * @param {Object} pkg - Parsed package.json
+ * @param {Object} config - Config returned by findConfigs
+ * @returns {Promise<Object|null>} Options, or null when they cannot be read
+ */
+export const readPrettierOptions = async (pkg, config) => {
+  if (config.key) return isPlainObject(pkg[config.key]) ? pkg[config.key] : null;
+
+  const ext = path.extname(config.name);
+  if (['.ts', '.mts', '.cts'].includes(ext)) return null;
+
+  let options = null;
+  if (['.js', '.mjs', '.cjs'].includes(ext)) {
+    try {
+      const module = await import(pathToFileURL(config.file).href);
+      options = module.default ?? null;
+    } catch {
+      return null;
+    }
+  } else {
+    const text = fs.readFileSync(config.file, 'utf-8');
+    if (ext === '.yaml' || ext === '.yml') options = parseFlatConfig(text, ':');
+    else if (ext === '.toml') options = parseFlatConfig(text, '=');
+    else if (ext === '.json' || ext === '.json5') options = parseJson5(text);
+    // .prettierrc holds JSON or YAML
+    else options = parseJson5(text) ?? parseFlatConfig(text, ':');
+  }
+
+  return isPlainObject(options) ? options : null;
+};
@@ -0,0 +1,281 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+//* ============================================================================
+//* CODE STYLE INFERENCE
+//* ============================================================================
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const SAMPLE_EXTENSIONS = [...SCRIPT_EXTENSIONS, '.json', '.css', '.scss', '.less'];
+const SKIPPED_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+
+const MAX_FILES = 300;
+const MAX_FILE_SIZE = 256 * 1024;
+
+/**
+ * Observations an option needs before it gets a confidence at all
+ */
+const MIN_SAMPLES = 3;
+
+/**
+ * Confidence below which an inferred option is reported but not applied
+ */
+export const CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * printWidth values a codebase is matched against, in order
+ */
+const PRINT_WIDTHS = [80, 100, 120];
+
+/**
+ * List the tracked files worth sampling, spread evenly over the project
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {string[]} Absolute file paths (empty outside a Git repository)
+ */
+const listSampleFiles = (userRoot) => {
+  let tracked = [];
+  try {
+    tracked = execSync('git ls-files -z', {
+      cwd: userRoot,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+    }).split('\0');
+  } catch {
+    return [];
+  }
+
+  const files = tracked
+    .filter((name) => SAMPLE_EXTENSIONS.includes(path.extname(name)))
+    .filter((name) => !SKIPPED_FILES.includes(path.basename(name)) && !name.includes('.min.'))
+    .map((name) => path.join(userRoot, name))
+    .filter((file) => {
+      try {
+        const stats = fs.statSync(file);
+        return stats.isFile() && stats.size <= MAX_FILE_SIZE;
+      } catch {
+        return false;
+      }
+    });
+
+  if (files.length <= MAX_FILES) return files;
+  const step = files.length / MAX_FILES;
+  return Array.from({ length: MAX_FILES }, (_, index) => files[Math.floor(index * step)]);
+};
+
+/**
+ * Blank out comments and template literals, keeping the line structure, so
+ * the quotes and punctuation left belong to the code
+ * @param {string} code - Script source
+ * @returns {string} Source with comments and template literals emptied
+ */
+const stripComments = (code) => {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+  return code
+    .replace(/`(?:\\[\s\S]|[^`\\])*`/g, blank)
+    .replace(/\/\*[\s\S]*?\*\//g, blank)
+    .replace(/(^|[^:\\'"])\/\/.*$/gm, '$1');
+};
+
+// The share of the majority, once there are enough observations to go on
+const toConfidence = (ratio, samples) =>
+  samples < MIN_SAMPLES ? 0 : Math.round(ratio * 100) / 100;
+
+/**
+ * Count votes for the values of each option
+ * @returns {{ vote: Function, result: Function }} vote(option, value) and
+ *   result(option) → { value, confidence, samples } or undefined without votes
+ */
+const createTally = () => {
+  const votes = {};
+
+  const vote = (option, value) => {
+    votes[option] ??= new Map();
+    votes[option].set(value, (votes[option].get(value) ?? 0) + 1);
+  };
+
+  const result = (option) => {
+    if (!votes[option]) return undefined;
+    const entries = [...votes[option].entries()];
+    const samples = entries.reduce((sum, [, count]) => sum + count, 0);
+    const [value, count] = entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return { value, confidence: toConfidence(count / samples, samples), samples };
+  };
+
+  return { vote, result };
+};
+
+const QUOTED_STRING = /(=?)(['"])((?:\\.|(?!\2)[^\\\n])*)\2/g;
+const STATEMENT_START = /^(import|export|const|let|var|return|throw)\b/;
+const CONTINUED_LINE = /([{([,=+\-*/?:.|&]|=>)$/;
+const VALUE_END = /[\w$'"`)\]}]$/;
+const PROPERTY_LINE = /^(\.\.\.|[\w$'"[\]-]+\??:\s)/;
+
+/**
+ * Vote on the quotes, semicolons and trailing commas of a script
+ * @param {string} code - Script source
+ * @param {Object} tally - Tally created with createTally
+ */
+const analyzeScript = (code, tally) => {
+  const lines = stripComments(code)
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  for (const [, attribute, quote, content] of lines.join('\n').matchAll(QUOTED_STRING)) {
+    // JSX attributes follow jsxSingleQuote, strings with the other quote avoid escapes
+    if (attribute || content.includes(quote === "'" ? '"' : "'")) continue;
+    tally.vote('singleQuote', quote === "'");
+  }
+
+  lines.forEach((line, index) => {
+    if (STATEMENT_START.test(line) && !CONTINUED_LINE.test(line)) {
+      if (line.endsWith(';')) tally.vote('semi', true);
+      else if (VALUE_END.test(line)) tally.vote('semi', false);
+    }
+
+    const closer = lines[index + 1]?.[0];
+    if (!['}', ']', ')'].includes(closer)) return;
+    const kind = closer === ')' ? 'arguments' : 'literals';
+    if (line.endsWith(',')) tally.vote(kind, true);
+    // Before a brace only a property is conclusive: statements end blocks too
+    else if (VALUE_END.test(line) && (closer !== '}' || PROPERTY_LINE.test(line))) {
+      tally.vote(kind, false);
+    }
+  });
+};
+
+/**
+ * Vote on the indentation of a file: tabs or spaces per line, and the width
+ * of each step where the indentation grows
+ * @param {string[]} lines - Lines of the file
+ * @param {Object} tally - Tally created with createTally
+ */
+const analyzeIndentation = (lines, tally) => {
+  let previous = 0;
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    // JSDoc continuation lines are offset by one space
+    if (trimmed === '' || trimmed.startsWith('*')) return;
+
+    const indentation = line.match(/^[ \t]*/)[0];
+    if (indentation.startsWith('\t')) tally.vote('useTabs', true);
+    else if (indentation.length > 0) tally.vote('useTabs', false);
+
+    if (!indentation.includes('\t')) {
+      const step = indentation.length - previous;
+      if ([2, 4, 8].includes(step)) tally.vote('tabWidth', step);
+      previous = indentation.length;
+    }
+  });
+};
+
+/**
+ * Pick the printWidth the code was wrapped at: the smallest of PRINT_WIDTHS
+ * that 99% of the lines fit in, with the lines just below it as evidence
+ * Code whose long lines stay well below every width is matched on that 99th
+ * percentile alone, with the share of all lines that fit as evidence.
+ * @param {number[]} lengths - Lengths of the non-blank lines
+ * @returns {Object|undefined} { value, confidence, samples }
+ */
+const inferPrintWidth = (lengths) => {
+  if (lengths.length === 0) return undefined;
+
+  const fitting = (width) => lengths.filter((length) => length <= width).length / lengths.length;
+  const value =
+    PRINT_WIDTHS.find((width) => fitting(width) >= 0.99) ?? PRINT_WIDTHS[PRINT_WIDTHS.length - 1];
+  const near = lengths.filter((length) => length > value - 20);
+  if (near.length === 0) {
+    return {
+      value,
+      confidence: toConfidence(fitting(value), lengths.length),
+      samples: lengths.length,
+    };
+  }
+
+  const within = near.filter((length) => length <= value).length;
+  return {
+    value,
+    confidence: toConfidence(within / near.length, near.length),
+    samples: near.length,
+  };
+};
+
+/**
+ * Combine the trailing commas of object/array literals and of argument lists:
+ * none in literals is "none", commas in both is "all", in literals only "es5"
+ * @param {Object} [literals] - Tally result for literals
+ * @param {Object} [args] - Tally result for argument and parameter lists
+ * @returns {Object|undefined} { value, confidence, samples }
+ */
+const inferTrailingComma = (literals, args) => {
+  if (!literals) return undefined;
+  if (!literals.value) return { ...literals, value: 'none' };
+  if (!args) return { ...literals, value: 'all' };
+
+  return {
+    value: args.value ? 'all' : 'es5',
+    confidence: Math.min(literals.confidence, args.confidence),
+    samples: literals.samples + args.samples,
+  };
+};
+
+/**
+ * Infer Prettier options from the tracked files of a project
+ * Samples up to 300 JavaScript, TypeScript, JSON and CSS files and works out
+ * the dominant quotes, semicolons, indentation, trailing commas, line endings
+ * and line length, each with a confidence between 0 and 1.
+ * @param {string} userRoot - The root directory of the user's project
+ * @returns {{ files: number, options: Object }} Number of sampled files and, per
+ *   option, { value, confidence, samples } (options without observations are left out)
+ */
+export const inferPrettierOptions = (userRoot) => {
+  const tally = createTally();
+  const files = listSampleFiles(userRoot);
+  const lengths = [];
+
+  files.forEach((file) => {
+    const text = fs.readFileSync(file, 'utf-8');
+    if (text.includes('\n')) tally.vote('endOfLine', text.includes('\r\n') ? 'crlf' : 'lf');
+
+    const lines = text.split(/\r?\n/);
+    analyzeIndentation(lines, tally);
+    lines
+      .filter((line) => line.trim() !== '')
+      .forEach((line) => lengths.push(line.replace(/\t/g, '  ').length));
+
+    if (SCRIPT_EXTENSIONS.includes(path.extname(file))) analyzeScript(text, tally);
+  });
+
+  const options = {
+    singleQuote: tally.result('singleQuote'),
+    semi: tally.result('semi'),
+    useTabs: tally.result('useTabs'),
+    tabWidth: tally.result('tabWidth'),
+    trailingComma: inferTrailingComma(tally.result('literals'), tally.result('arguments')),
+    endOfLine: tally.result('endOfLine'),
+    printWidth: inferPrintWidth(lengths),
+  };
+
+  return {
+    files: files.length,
+    options: Object.fromEntries(Object.entries(options).filter(([, result]) => result)),
+  };
+};
+
+/**
+ * Select the inferred options confident enough to apply
+ * tabWidth is left out when the code is indented with tabs.
+ * @param {Object} inferred - `options` returned by inferPrettierOptions
+ * @returns {Object} Prettier options at or above CONFIDENCE_THRESHOLD
+ */
+export const selectInferredOptions = (inferred) => {
+  const confident = Object.entries(inferred).filter(
+    ([, result]) => result.confidence >= CONFIDENCE_THRESHOLD
+  );
+  const options = Object.fromEntries(confident.map(([option, { value }]) => [option, value]));
+  if (options.useTabs) delete options.tabWidth;
+  return options;
+};
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { inferPrettierOptions, selectInferredOptions } from './infer-style.js';
+
+let root;
+
+const write = (name, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+  fs.writeFileSync(path.join(root, name), content);
+};
+
+const infer = () => {
+  execFileSync('git', ['add', '-A'], { cwd: root });
+  return inferPrettierOptions(root);
+};
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyforge-style-'));
+  execFileSync('git', ['init', '-q'], { cwd: root });
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('inferPrettierOptions', () => {
+  test('applies the style of a small consistent codebase', () => {
+    write(
+      'src/index.js',
+      [
+        'import { format } from "./format.js"',
+        'import { parse } from "./parse.js"',
+        '',
+        'export const run = (input) => {',
+        '    const tree = parse(input)',
+        '    return format(tree, {',
+        '        quote: "double",',
+        '    })',
+        '}',
+        '',
+      ].join('\n')
+    );
+    write('src/parse.js', 'export const parse = (input) => {\n    return input.split("\\n")\n}\n');
+    write('src/format.js', 'export const format = (tree) => {\n    return tree.join(" ")\n}\n');
+
+    const { files, options } = infer();
+    assert.equal(files, 3);
+    assert.equal(options.semi.confidence, 1);
+    assert.deepEqual(selectInferredOptions(options), {
+      singleQuote: false,
+      semi: false,
+      useTabs: false,
+      tabWidth: 4,
+      endOfLine: 'lf',
+      printWidth: 80,
+    });
+  });
+
+  test('does not score options with fewer than three observations', () => {
+    write('index.js', "export const name = 'app';\n");
+
+    const { options } = infer();
+    assert.equal(options.singleQuote.value, true);
+    assert.equal(options.singleQuote.confidence, 0);
+    assert.equal(selectInferredOptions(options).singleQuote, undefined);
+  });
+
+  test('scores an option by the share of the majority', () => {
+    const lines = ["'a'", "'b'", "'c'", '"d"'].map((value, i) => `export const v${i} = ${value};`);
+    write('index.js', `${lines.join('\n')}\n`);
+
+    assert.equal(infer().options.singleQuote.confidence, 0.75);
+  });
+
+  test('matches printWidth on the lines that come close to it', () => {
+    const long = `const value = ${'"x" + '.repeat(12)}"x";`;
+    write('index.js', `${long}\n${long}\n${long}\nconst a = 1;\n`);
+
+    const { printWidth } = infer().options;
+    assert.equal(printWidth.value, 100);
+    assert.equal(printWidth.confidence, 1);
+    assert.equal(printWidth.samples, 3);
+  });
+
+  test('falls back to the long-line percentile when no line comes close', () => {
+    write('index.js', 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+
+    const { printWidth } = infer().options;
+    assert.deepEqual(printWidth, { value: 80, confidence: 1, samples: 3 });
+  });
+
+  test('returns no options outside a Git repository', () => {
+    fs.rmSync(path.join(root, '.git'), { recursive: true });
+    write('index.js', 'const a = 1;\n');
+
+    assert.deepEqual(inferPrettierOptions(root), { files: 0, options: {} });
+  });
+});
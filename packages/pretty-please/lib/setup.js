@@ -0,0 +1,823 @@
+import {
+  applyOverrides,
+  CHECK_STATUS,
+  choose,
+  CONFIRM,
+  describeProject,
+  describeStack,
+  detectPackageManager,
+  detectProjectStack,
+  ensureHooksReady,
+  EXISTING_CONFIG,
+  FileError,
+  findConfigFile,
+  getDependencyChecks,
+  getFileState,
+  getHookChecks,
+  getIgnoreEntries,
+  getInstallCommand,
+  getInstalledVersion,
+  getToolDependencies,
+  installDevDependencies,
+  installHookFiles,
+  isValidRange,
+  loadConfig,
+  log,
+  mergePackageConfig,
+  mergeWorkspacePackages,
+  validatePackageJson,
+  mergeScripts,
+  moveFile,
+  recordSetup,
+  removeFile,
+  resolveHookBackend,
+  runApiCommand,
+  runApiDoctor,
+  runChecks,
+  satisfies,
+  selectWorkspaces,
+  TidyforgeError,
+  uninstallTool,
+  upgradeTool,
+  readJSON,
+  readHookBlocks,
+  writeFile,
+  writeIgnoreFile,
+  writeJSON,
+  writeMergedFile,
+  writeMigratedFile,
+} from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateEslintConfig, getEslintDependencies, selectFragments } from './eslint-config.js';
+import { readEslintIgnore, readLegacyConfig, translateLegacyConfig } from './eslint-migration.js';
+import { inferPrettierOptions, selectInferredOptions } from './infer-style.js';
+import {
+  CONFIG_TARGETS,
+  ESLINT_CONFIGS,
+  findConfigs,
+  findExistingConfigs,
+  isImportableEslintConfig,
+  PROJECT_ESLINT_CONFIGS,
+  readPrettierOptions,
+} from './existing-configs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TOOL = 'pretty-please';
+export const TITLE = 'Pretty Please';
+
+const packageRoot = path.resolve(__dirname, '..');
+const configsDir = path.join(packageRoot, 'configs');
+const hooksDir = path.join(packageRoot, 'hooks');
+
+const DEV_DEPENDENCIES = ['lint-staged', 'prettier'];
+
+const LINT_STAGED_CONFIGS = [
+  '.lintstagedrc',
+  '.lintstagedrc.json',
+  '.lintstagedrc.yaml',
+  '.lintstagedrc.yml',
+  '.lintstagedrc.js',
+  '.lintstagedrc.mjs',
+  '.lintstagedrc.cjs',
+  'lint-staged.config.js',
+  'lint-staged.config.mjs',
+  'lint-staged.config.cjs',
+];
+
+const getVersion = () => readJSON(path.join(packageRoot, 'package.json')).version;
+
+// The template is kept byte for byte unless the project config changes an option
+const getPrettierConfig = (config) => {
+  const template = fs.readFileSync(path.join(configsDir, '.prettierrc'), 'utf-8');
+  if (!config.prettier) return template;
+  return `${JSON.stringify(applyOverrides(JSON.parse(template), config.prettier), null, 2)}\n`;
+};
+
+// A project config merged at setup stays imported by the generated one
+const getConfigFiles = (userRoot, stack, config) => ({
+  'eslint.config.mjs': generateEslintConfig(
+    stack,
+    config.eslint,
+    findConfigFile(userRoot, PROJECT_ESLINT_CONFIGS)
+  ),
+  '.prettierrc': getPrettierConfig(config),
+});
+
+const getScriptsConfig = (config) => {
+  const scriptsPath = path.join(configsDir, 'scripts.json');
+  const scriptsConfig = readJSON(scriptsPath);
+  if (!scriptsConfig.scripts || typeof scriptsConfig.scripts !== 'object') {
+    throw new FileError("Invalid scripts.json format: missing 'scripts' object", scriptsPath);
+  }
+
+  return {
+    scripts: applyOverrides(scriptsConfig.scripts, config.scripts),
+    'lint-staged': applyOverrides(scriptsConfig['lint-staged'], config.lintStaged),
+  };
+};
+
+const removeConfigs = (pkg, configs, plan) => {
+  configs.forEach((config) => {
+    if (config.file) {
+      removeFile(config.file, plan);
+      return;
+    }
+
+    delete pkg[config.key];
+    plan.record({ kind: 'config', action: 'remove', name: config.key });
+    if (!plan.dryRun) log.info(`Removed ${config.name}`);
+  });
+};
+
+// Options of the config Prettier uses win over the template, the project config over both
+const mergePrettierConfig = async (userRoot, pkg, [active], config, plan) => {
+  const options = await readPrettierOptions(pkg, active);
+  if (!options) {
+    log.warn(`${active.name} cannot be read as plain options, keeping it`);
+    return false;
+  }
+
+  const template = getPrettierConfig(config);
+  const merged = applyOverrides({ ...JSON.parse(template), ...options }, config.prettier);
+  const dest = path.join(userRoot, CONFIG_TARGETS.prettier.file);
+  writeMergedFile(dest, template, `${JSON.stringify(merged, null, 2)}\n`, active.name, plan);
+  return true;
+};
+
+// The generated config imports the project's one and applies it last
+const writeImportingEslintConfig = (userRoot, stack, config, projectConfig, plan) =>
+  writeFile(
+    path.join(userRoot, CONFIG_TARGETS.eslint.file),
+    generateEslintConfig(stack, config.eslint, projectConfig),
+    'config file',
+    CONFIRM.YES,
+    plan
+  );
+
+// Bare specifiers name a package: `eslint/config` → eslint, `@scope/pkg/sub` → @scope/pkg
+const getImportedPackage = (source) =>
+  source
+    .split('/')
+    .slice(0, source.startsWith('@') ? 2 : 1)
+    .join('/');
+
+/**
+ * Translate a legacy config into eslint.config.project.mjs, imported by the
+ * generated config, and report what could not be translated
+ * @returns {Promise<string[]|null>} Untranslated items, or null when nothing was migrated
+ */
+const migrateEslintConfig = async (userRoot, pkg, legacyConfig, stack, config, plan) => {
+  const legacy = readLegacyConfig(userRoot, pkg, legacyConfig);
+  if (legacy === null || typeof legacy !== 'object' || Array.isArray(legacy)) {
+    const hint = /\.ya?ml$/.test(legacyConfig.name) ? ' (reading YAML needs js-yaml)' : '';
+    log.warn(`${legacyConfig.name} cannot be read${hint}, keeping it`);
+    return null;
+  }
+
+  const projectConfig = 'eslint.config.project.mjs';
+  if (fs.existsSync(path.join(userRoot, projectConfig))) {
+    log.warn(`${projectConfig} already exists, keeping ${legacyConfig.name}`);
+    return null;
+  }
+
+  const ignores = readEslintIgnore(userRoot);
+  const sources = [legacyConfig.name, ...(ignores.length > 0 ? ['.eslintignore'] : [])];
+  const covered = selectFragments(stack, config.eslint).map((fragment) => fragment.name);
+  const { source, untranslated, imports } = translateLegacyConfig(
+    legacy,
+    ignores,
+    covered,
+    sources
+  );
+
+  writeMigratedFile(path.join(userRoot, projectConfig), source, sources.join(' and '), plan);
+  removeFile(path.join(userRoot, '.eslintignore'), plan);
+  await writeImportingEslintConfig(userRoot, stack, config, projectConfig, plan);
+
+  untranslated.forEach((item) => log.warn(`Not migrated from ${legacyConfig.name}: ${item}`));
+  const provided = Object.keys(getDependencies(stack, config));
+  imports
+    .filter((name) => !name.startsWith('.'))
+    .map(getImportedPackage)
+    .filter((name) => !provided.includes(name) && !getInstalledVersion(userRoot, name))
+    .forEach((name) => log.warn(`${projectConfig} imports ${name}, which is not installed`));
+
+  return untranslated;
+};
+
+// The flat config ESLint uses is moved aside and imported by the generated one,
+// a legacy config is migrated to a flat one first
+const mergeEslintConfig = async (userRoot, pkg, [active], stack, config, plan) => {
+  if (!isImportableEslintConfig(active)) {
+    if (!ESLINT_CONFIGS.includes(active.name)) {
+      return (await migrateEslintConfig(userRoot, pkg, active, stack, config, plan)) !== null;
+    }
+    log.warn(`${active.name} cannot be imported by eslint.config.mjs, keeping it`);
+    return false;
+  }
+
+  const projectConfig = `eslint.config.project${path.extname(active.name)}`;
+  if (fs.existsSync(path.join(userRoot, projectConfig))) {
+    log.warn(`${projectConfig} already exists, keeping ${active.name}`);
+    return false;
+  }
+
+  moveFile(active.file, path.join(userRoot, projectConfig), plan);
+  await writeImportingEslintConfig(userRoot, stack, config, projectConfig, plan);
+  return true;
+};
+
+/**
+ * Write a generated config, reconciling it with the configs the project has
+ * for the same tool in other files or formats: they are merged into it, kept
+ * instead of it, or replaced by it, so only one config is ever active.
+ */
+const writeToolConfig = async (userRoot, pkg, target, write, merge, options, plan) => {
+  const existing = findExistingConfigs(userRoot, pkg, target);
+  if (existing.length === 0) {
+    await write(options.overwrite);
+    return;
+  }
+
+  const names = existing.map((config) => config.name).join(', ');
+  let strategy = options.existingConfig;
+  if (strategy === EXISTING_CONFIG.ASK) {
+    strategy = await choose(
+      `${target.label} is already configured in ${names}. Merge it into ${target.file}, keep it or replace it?`,
+      [EXISTING_CONFIG.MERGE, EXISTING_CONFIG.KEEP, EXISTING_CONFIG.REPLACE]
+    );
+  }
+
+  if (strategy === EXISTING_CONFIG.MERGE && !(await merge(existing))) {
+    strategy = EXISTING_CONFIG.KEEP;
+  }
+  if (strategy === EXISTING_CONFIG.KEEP) {
+    plan.record({ kind: 'file', action: 'skip', name: target.file, detail: `keeping ${names}` });
+    if (!plan.dryRun) log.info(`Keeping ${names}, ${target.file} not created`);
+    return;
+  }
+  if (strategy === EXISTING_CONFIG.REPLACE) await write(CONFIRM.YES);
+
+  // Merged or replaced: the generated file is the only config left
+  const moved =
+    strategy === EXISTING_CONFIG.MERGE &&
+    target === CONFIG_TARGETS.eslint &&
+    isImportableEslintConfig(existing[0]);
+  removeConfigs(
+    pkg,
+    existing.filter((config) => config.name !== target.file && !(moved && config === existing[0])),
+    plan
+  );
+};
+
+// Once the generated config is gone, a project config it imported goes back to its name
+const restoreProjectEslintConfig = (userRoot, plan) => {
+  const projectConfig = findConfigFile(userRoot, PROJECT_ESLINT_CONFIGS);
+  const generated = CONFIG_TARGETS.eslint.file;
+  const removed = plan.changes.some(
+    (change) => change.kind === 'file' && change.action === 'remove' && change.name === generated
+  );
+  if (!projectConfig || (fs.existsSync(path.join(userRoot, generated)) && !removed)) return;
+
+  const original = projectConfig.replace('.project', '');
+  if (fs.existsSync(path.join(userRoot, original))) return;
+  moveFile(path.join(userRoot, projectConfig), path.join(userRoot, original), plan);
+};
+
+/**
+ * Infer the code style of a project and report each option with its confidence
+ * @returns {Object} { files, options }: per option { value, confidence, samples, applied }
+ */
+const inferStyle = (userRoot) => {
+  const { files, options } = inferPrettierOptions(userRoot);
+  const selected = selectInferredOptions(options);
+  const style = {
+    files,
+    options: Object.fromEntries(
+      Object.entries(options).map(([option, result]) => [
+        option,
+        { ...result, applied: option in selected },
+      ])
+    ),
+  };
+
+  if (files === 0) {
+    log.warn('No tracked files to infer the code style from, using the template');
+    return style;
+  }
+  log.info(`Inferred code style from ${files} file(s):`);
+  Object.entries(style.options).forEach(([option, { value, confidence, applied }]) => {
+    const note = applied ? '' : ', not applied';
+    log.info(`  ${option}: ${JSON.stringify(value)} (confidence ${confidence.toFixed(2)}${note})`);
+  });
+  return style;
+};
+
+// The inferred options count as local edits, so upgrade keeps them
+const writePrettierConfig = (userRoot, config, style, mode, plan) => {
+  const dest = path.join(userRoot, CONFIG_TARGETS.prettier.file);
+  const template = getPrettierConfig(config);
+  if (!style) return writeFile(dest, template, 'config file', mode, plan);
+
+  const options = { ...JSON.parse(template), ...selectInferredOptions(style.options) };
+  const content = `${JSON.stringify(applyOverrides(options, config.prettier), null, 2)}\n`;
+  if (content === template || fs.existsSync(dest)) {
+    return writeFile(dest, content, 'config file', mode, plan);
+  }
+  return writeMergedFile(dest, template, content, 'the inferred code style', plan);
+};
+
+const setupConfigFilesStep = async (userRoot, pkg, stack, config, options, plan) => {
+  const eslintConfig = getConfigFiles(userRoot, stack, config)[CONFIG_TARGETS.eslint.file];
+  const style = options.inferStyle ? inferStyle(userRoot) : undefined;
+
+  await writeToolConfig(
+    userRoot,
+    pkg,
+    CONFIG_TARGETS.eslint,
+    (mode) =>
+      writeFile(
+        path.join(userRoot, CONFIG_TARGETS.eslint.file),
+        eslintConfig,
+        'config file',
+        mode,
+        plan
+      ),
+    (existing) => mergeEslintConfig(userRoot, pkg, existing, stack, config, plan),
+    options,
+    plan
+  );
+  await writeToolConfig(
+    userRoot,
+    pkg,
+    CONFIG_TARGETS.prettier,
+    (mode) => writePrettierConfig(userRoot, config, style, mode, plan),
+    (existing) => mergePrettierConfig(userRoot, pkg, existing, config, plan),
+    options,
+    plan
+  );
+
+  return style;
+};
+
+const setupIgnoreFilesStep = (project, pkg, plan) => {
+  Object.entries(getIgnores(project, pkg)).forEach(([file, entries]) => {
+    writeIgnoreFile(path.join(project.root, file), TOOL, entries, plan);
+  });
+};
+
+const setupScriptsStep = (pkg, config, plan) => {
+  const { scripts, 'lint-staged': lintStaged } = getScriptsConfig(config);
+  mergeScripts(pkg, scripts, false, plan);
+
+  if (Object.keys(lintStaged).length > 0)
+    mergePackageConfig(pkg, 'lint-staged', lintStaged, true, plan);
+};
+
+const setupWorkspacesStep = (workspaces, config, plan) => {
+  const { scripts } = getScriptsConfig(config);
+
+  workspaces.forEach((workspace) => {
+    const workspacePkgPath = path.join(workspace.dir, 'package.json');
+    const workspacePkg = readJSON(workspacePkgPath);
+
+    mergeScripts(workspacePkg, scripts, false, plan.forWorkspace(workspace.path));
+    writeJSON(workspacePkgPath, workspacePkg, plan);
+  });
+};
+
+// package.json is written first: some backends keep the hooks in it
+const setupHooksStep = (userRoot, pkgPath, pkg, backend, plan) => {
+  mergeScripts(pkg, { prepare: backend.getPrepareScript(userRoot) }, false, plan);
+  writeJSON(pkgPath, pkg, plan);
+  installHookFiles(hooksDir, userRoot, TOOL, backend, plan);
+};
+
+const activateHooksStep = async (userRoot, backend, options, plan) => {
+  if (plan.dryRun) return;
+  await ensureHooksReady(userRoot, backend, options.confirm, plan);
+};
+
+const getDoctorChecks = (userRoot, stack, config, backend) => {
+  const pkgPath = path.join(userRoot, 'package.json');
+
+  const configCheck = (candidates, pkgKey, status) => () => {
+    const found =
+      findConfigFile(userRoot, candidates) ??
+      (readJSON(pkgPath)[pkgKey] && `package.json#${pkgKey}`);
+    return found
+      ? { status: CHECK_STATUS.PASS, message: `${found} found` }
+      : { status, message: 'no configuration found', hint: `Run: npx @tidyforge/${TOOL}` };
+  };
+
+  // Only the first config in lookup order is used, the others are silently ignored
+  const toolConfigCheck = (target) => () => {
+    const [active, ...ignored] = findConfigs(userRoot, readJSON(pkgPath), target);
+    if (!active) {
+      return {
+        status: CHECK_STATUS.WARN,
+        message: 'no configuration found',
+        hint: `Run: npx @tidyforge/${TOOL}`,
+      };
+    }
+    if (ignored.length > 0) {
+      return {
+        status: CHECK_STATUS.WARN,
+        message: `${active.name} is used, ${ignored.map((config) => config.name).join(', ')} ignored`,
+        hint: `Keep a single ${target.label} config, e.g. with: npx @tidyforge/${TOOL} --existing-config merge`,
+      };
+    }
+    return { status: CHECK_STATUS.PASS, message: `${active.name} found` };
+  };
+
+  const writeConfigFile = (file) =>
+    writeFile(
+      path.join(userRoot, file),
+      getConfigFiles(userRoot, stack, config)[file],
+      'config file',
+      CONFIRM.NO
+    );
+
+  return [
+    ...getHookChecks(userRoot, hooksDir, TOOL, backend),
+    ...getDependencyChecks(userRoot, getDependencies(stack, config)),
+    {
+      id: 'lint-staged-config',
+      title: 'lint-staged config',
+      run: configCheck(LINT_STAGED_CONFIGS, 'lint-staged', CHECK_STATUS.FAIL),
+      fix: () => {
+        const current = readJSON(pkgPath);
+        mergePackageConfig(current, 'lint-staged', getScriptsConfig(config)['lint-staged'], true);
+        writeJSON(pkgPath, current);
+        return true;
+      },
+    },
+    {
+      id: 'eslint-config',
+      title: 'ESLint config',
+      run: toolConfigCheck(CONFIG_TARGETS.eslint),
+      fix: () => writeConfigFile('eslint.config.mjs'),
+    },
+    {
+      id: 'prettier-config',
+      title: 'Prettier config',
+      run: toolConfigCheck(CONFIG_TARGETS.prettier),
+      fix: () => writeConfigFile('.prettierrc'),
+    },
+  ];
+};
+
+// Ranges in the project config win over the ones pretty-please declares
+const getDependencies = (stack, config, backend) => ({
+  ...getToolDependencies(packageRoot, [
+    ...DEV_DEPENDENCIES,
+    ...(backend?.dependency ? [backend.dependency] : []),
+    ...getEslintDependencies(stack, config.eslint),
+  ]),
+  ...config.dependencies,
+});
+
+/**
+ * First ESLint release with `eslint/config`, which the generated configs import
+ */
+const FLAT_CONFIG_ESLINT = '9.22.0';
+
+/**
+ * Make sure a migration run without installing leaves ESLint able to load the
+ * flat config: an installed ESLint, or else the declared range, must be recent enough
+ * A declared range satisfies() cannot read (e.g. workspace:*) is only warned about.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - package.json of the project
+ * @throws {TidyforgeError} When ESLint is older than FLAT_CONFIG_ESLINT
+ */
+const assertFlatConfigEslint = (userRoot, pkg) => {
+  const installed = getInstalledVersion(userRoot, 'eslint');
+  const declared = pkg.devDependencies?.eslint ?? pkg.dependencies?.eslint;
+  if (!installed && declared !== undefined && !isValidRange(declared)) {
+    log.warn(
+      `Cannot tell which ESLint version "${declared}" resolves to. The migrated config ` +
+        `needs ESLint ${FLAT_CONFIG_ESLINT} or later.`
+    );
+    return;
+  }
+
+  const outdated = installed
+    ? !satisfies(installed, `>=${FLAT_CONFIG_ESLINT}`)
+    : declared !== undefined && !satisfies(FLAT_CONFIG_ESLINT, declared);
+  if (!outdated) return;
+
+  throw new TidyforgeError(
+    `ESLint ${installed ?? declared} cannot load the migrated config, which needs ESLint ` +
+      `${FLAT_CONFIG_ESLINT} or later. Run the migration without --skip-install to upgrade it.`
+  );
+};
+
+// With --skip-install, list what the migrated config still needs
+const warnMissingDependencies = (userRoot, dependencies) => {
+  const missing = Object.entries(dependencies).filter(([name, range]) => {
+    const installed = getInstalledVersion(userRoot, name);
+    return !installed || !satisfies(installed, range);
+  });
+  if (missing.length === 0) return;
+
+  const command = getInstallCommand(
+    detectPackageManager(userRoot),
+    missing.map(([name, range]) => `${name}@${range}`),
+    userRoot
+  );
+  log.warn(
+    `The migrated config needs packages that are not installed. Install them with:\n  ${command}`
+  );
+};
+
+// One config at the workspace root covers every package, so detect across all of them
+const detectStack = (project, pkg) =>
+  detectProjectStack(project.root, mergeWorkspacePackages(pkg, project.workspaces));
+
+// Same for the build output of the frameworks
+const getIgnores = (project, pkg) =>
+  getIgnoreEntries(project.root, mergeWorkspacePackages(pkg, project.workspaces));
+
+// A config the project kept instead of the generated one must not get a rival
+const getTemplateFiles = (userRoot, pkg, stack, config) => {
+  const files = getConfigFiles(userRoot, stack, config);
+
+  Object.values(CONFIG_TARGETS).forEach((target) => {
+    const generated = getFileState(userRoot, target.file).state !== 'missing';
+    if (!generated && findExistingConfigs(userRoot, pkg, target).length > 0) {
+      delete files[target.file];
+    }
+  });
+
+  return files;
+};
+
+const getTemplates = (project, pkg, stack, config, backend) => {
+  const userRoot = project.root;
+  const scriptsConfig = getScriptsConfig(config);
+
+  return {
+    files: getTemplateFiles(userRoot, pkg, stack, config),
+    hooks: readHookBlocks(hooksDir, userRoot),
+    ignores: getIgnores(project, pkg),
+    scripts: { ...scriptsConfig.scripts, prepare: backend.getPrepareScript(userRoot) },
+    config: { 'lint-staged': scriptsConfig['lint-staged'] },
+    workspace: { scripts: scriptsConfig.scripts },
+    dependencies: getDependencies(stack, config, backend),
+  };
+};
+
+//* ============================================================================
+//* COMMANDS
+//* ============================================================================
+
+/**
+ * Remove everything pretty-please added to a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { removed }
+ */
+export const uninstall = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Uninstall dry run\n` : `${TITLE} • Uninstalling...\n`);
+
+  const removed = await uninstallTool(project.root, TOOL, options, plan);
+  if (removed) restoreProjectEslintConfig(project.root, plan);
+  if (removed && !plan.dryRun) log.success(`${TOOL} removed from the project.`);
+
+  return { removed };
+};
+
+/**
+ * Check the hooks, configs and dependencies of a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { hooks: backend name, fix: repair what can be repaired }
+ * @returns {Promise<Object[]>} Results of runChecks
+ */
+export const doctor = async (project, { hooks = null, fix = false, config } = {}) => {
+  const pkg = validatePackageJson(path.join(project.root, 'package.json'));
+  const backend = resolveHookBackend(project.root, hooks);
+  const projectConfig = await loadConfig(project.root, config);
+  const checks = getDoctorChecks(project.root, detectStack(project, pkg), projectConfig, backend);
+
+  return runChecks(checks, { fix });
+};
+
+/**
+ * Merge the templates of this version into a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { upgraded, conflicts, version }
+ */
+export const upgrade = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Upgrade dry run\n` : `${TITLE} • Upgrading...\n`);
+
+  const userRoot = project.root;
+  const pkg = validatePackageJson(path.join(userRoot, 'package.json'));
+  const stack = detectStack(project, pkg);
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  const { upgraded, conflicts } = await upgradeTool(
+    userRoot,
+    { name: TOOL, version },
+    getTemplates(project, pkg, stack, config, resolveHookBackend(userRoot, options.hooks)),
+    options,
+    plan
+  );
+
+  if (upgraded && !plan.dryRun) {
+    if (conflicts > 0) {
+      log.warn(`${conflicts} conflicting change(s) left as conflict markers or local values.`);
+    } else {
+      log.success(`${TOOL} upgraded to ${version}.`);
+    }
+  }
+
+  return { upgraded, conflicts, version };
+};
+
+/**
+ * Migrate a legacy ESLint config (.eslintrc.*, package.json#eslintConfig and
+ * .eslintignore) to a flat config layered on top of the generated one, and
+ * install or upgrade the packages it needs (ESLint 9 among them)
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { migrated, untranslated }
+ * @throws {TidyforgeError} When the installed ESLint cannot load a flat config and
+ *   installing is turned off
+ */
+export const migrate = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Migration dry run\n` : `${TITLE} • Migrating...\n`);
+
+  const userRoot = project.root;
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = validatePackageJson(pkgPath);
+  const existing = findExistingConfigs(userRoot, pkg, CONFIG_TARGETS.eslint);
+  const legacy = existing.filter((config) => !ESLINT_CONFIGS.includes(config.name));
+
+  if (legacy.length === 0) {
+    log.info('No legacy ESLint config found, nothing to migrate.');
+    return { migrated: false, untranslated: [] };
+  }
+  if (existing.length > legacy.length) {
+    log.warn(
+      `ESLint already uses ${existing[0].name}, run: npx @tidyforge/${TOOL} --existing-config merge`
+    );
+    return { migrated: false, untranslated: [] };
+  }
+
+  if (!options.install) assertFlatConfigEslint(userRoot, pkg);
+
+  const stack = detectStack(project, pkg);
+  const config = await loadConfig(userRoot, options.config);
+  const untranslated = await migrateEslintConfig(userRoot, pkg, legacy[0], stack, config, plan);
+  if (untranslated === null) return { migrated: false, untranslated: [] };
+
+  removeConfigs(pkg, legacy, plan);
+  if (legacy.some((config) => config.key)) writeJSON(pkgPath, pkg, plan);
+
+  // The generated config imports ESLint 9 and its plugins, which a legacy setup lacks
+  const dependencies = getDependencies(stack, config);
+  if (options.install) {
+    await installDevDependencies(userRoot, dependencies, options.confirm, plan);
+  } else if (!plan.dryRun) {
+    warnMissingDependencies(userRoot, dependencies);
+  }
+
+  if (!plan.dryRun) {
+    recordSetup(userRoot, { name: TOOL, version: getVersion() }, plan, options.manifest);
+    if (untranslated.length > 0) {
+      log.warn(`${untranslated.length} setting(s) could not be migrated, see the list above.`);
+    } else {
+      log.success('ESLint config migrated.');
+    }
+  }
+
+  return { migrated: true, untranslated };
+};
+
+/**
+ * Set up ESLint, Prettier, lint-staged and the pre-commit hook in a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions), plus `inferStyle` to
+ *   generate .prettierrc from the style of the existing code
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { stack, backend, version, style? } (`style` with inferStyle,
+ *   see inferPrettierOptions)
+ */
+export const setup = async (project, options, plan) => {
+  const userRoot = project.root;
+  const workspaces = selectWorkspaces(project, options.workspaces);
+  const step = (msg) => !plan.dryRun && log.info(msg);
+
+  log.info(plan.dryRun ? `${TITLE} • Dry run\n` : `${TITLE} • Setting up...\n`);
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = validatePackageJson(pkgPath);
+  const stack = detectStack(project, pkg);
+  const backend = resolveHookBackend(userRoot, options.hooks);
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  if (project.workspaceRoot) log.info(describeProject(project));
+
+  step('[1/5] • Preparing configuration files...');
+  log.info(`Detected ${describeStack(stack)}`);
+  const style = await setupConfigFilesStep(userRoot, pkg, stack, config, options, plan);
+  setupIgnoreFilesStep(project, pkg, plan);
+
+  step('\n[2/5] • Configuring package scripts...');
+  setupScriptsStep(pkg, config, plan);
+  setupWorkspacesStep(workspaces, config, plan);
+
+  step(`\n[3/5] • Installing Git hooks (${backend.label})...`);
+  setupHooksStep(userRoot, pkgPath, pkg, backend, plan);
+
+  step('\n[4/5] • Installing dependencies...');
+  if (options.install) {
+    const dependencies = getDependencies(stack, config, backend);
+    await installDevDependencies(userRoot, dependencies, options.confirm, plan);
+  } else {
+    step('Skipped (--skip-install)');
+  }
+
+  step('\n[5/5] • Activating Git hooks...');
+  if (options.install) {
+    await activateHooksStep(userRoot, backend, options, plan);
+  } else {
+    step(`Skipped (--skip-install), run: ${backend.initCommand}`);
+  }
+
+  if (!plan.dryRun) {
+    recordSetup(userRoot, { name: TOOL, version }, plan, options.manifest);
+    log.info('\nSetup success! Happy coding!');
+  }
+
+  return { stack, backend: backend.name, version, ...(style && { style }) };
+};
+
+//* ============================================================================
+//* PROGRAMMATIC API
+//* ============================================================================
+
+/**
+ * Set up pretty-please in a project without prompting
+ * The run is a transaction: on failure the project is restored and the promise
+ * rejects with a TidyforgeError.
+ * @param {Object} [options] - API options
+ * @param {string} [options.cwd] - Directory of the project (defaults to process.cwd())
+ * @param {boolean} [options.overwrite] - Overwrite existing config files (default: keep them)
+ * @param {string} [options.existingConfig] - ESLint or Prettier configs in other files: merge,
+ *   keep (default) or replace
+ * @param {boolean} [options.install] - Install the dependencies and activate the hooks
+ *   (default: true)
+ * @param {string} [options.hooks] - Hook backend: husky, native, simple-git-hooks or lefthook
+ *   (detected by default)
+ * @param {Object} [options.logger] - { info, success, warning, error } receiving the messages
+ *   (default: the console, `{}` silences the run)
+ * @param {boolean} [options.dryRun] - Only compute the changes
+ * @param {Object} [options.config] - Project config applied over tidyforge.config.* (same shape)
+ * @param {boolean} [options.inferStyle] - Generate .prettierrc from the style of the existing
+ *   code (default: false)
+ * @returns {Promise<Object>} { files: { created, updated, removed, skipped, failed }, scripts,
+ *   hooks, ignores,
+ *   dependencies, changed, changes, stack, backend, version, style? }
+ */
+export const setupPrettyPlease = ({ inferStyle = false, ...options } = {}) =>
+  runApiCommand(
+    (project, setupOptions, plan) => setup(project, { ...setupOptions, inferStyle }, plan),
+    options
+  );
+
+/**
+ * Merge the templates of this version into a project set up by pretty-please
+ * @param {Object} [options] - API options (see setupPrettyPlease)
+ * @returns {Promise<Object>} Same summary as setupPrettyPlease, with { upgraded, conflicts,
+ *   version }
+ */
+export const upgradePrettyPlease = (options) => runApiCommand(upgrade, options);
+
+/**
+ * Remove everything pretty-please added to a project
+ * @param {Object} [options] - API options (see setupPrettyPlease)
+ * @returns {Promise<Object>} Same summary as setupPrettyPlease, with { removed }
+ */
+export const uninstallPrettyPlease = (options) => runApiCommand(uninstall, options);
+
+/**
+ * Migrate a legacy ESLint config to a flat config layered on top of the generated one
+ * @param {Object} [options] - API options (see setupPrettyPlease)
+ * @returns {Promise<Object>} Same summary as setupPrettyPlease, with { migrated, untranslated }
+ */
+export const migratePrettyPlease = (options) => runApiCommand(migrate, options);
+
+/**
+ * Check the hooks, configs and dependencies of a project
+ * @param {Object} [options] - { cwd, hooks, fix, logger }
+ * @returns {Promise<Object>} { ok, summary, checks }
+ */
+export const doctorPrettyPlease = (options) => runApiDoctor(doctor, options);
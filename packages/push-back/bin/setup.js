@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+import {
+  createLogger,
+  createPlan,
+  DOCTOR_FLAGS,
+  formatHelp,
+  log,
+  parseArgs,
+  reportChecks,
+  reportDryRun,
+  resolveLogOptions,
+  resolveProject,
+  resolveSetupOptions,
+  runTransaction,
+  setLogger,
+  SETUP_FLAGS,
+  summarizePlan,
+  UsageError,
+} from '@tidyforge/core';
+import fs from 'fs';
+import { reportSteps } from '../lib/gate.js';
+import { doctor, run, setup, TITLE, TOOL, uninstall, upgrade } from '../lib/setup.js';
+
+const project = resolveProject(process.cwd());
+
+const RUN_FLAGS = {
+  stdin: {
+    type: 'boolean',
+    description: 'run: read the pushed refs from stdin, as Git passes them to pre-push',
+  },
+  timeout: {
+    type: 'string',
+    valueName: 'seconds',
+    description: 'run: time budget of the checks (default: prePush.timeout or 300)',
+  },
+};
+
+const HELP = formatHelp({
+  description: 'Push-back • Type check and test what a push changes before it leaves the machine.',
+  usage: 'npx @tidyforge/push-back [command] [options]',
+  commands: {
+    run: 'Type check and test the changes not pushed yet (pre-push hook, exits 1 on failure)',
+    doctor: 'Check that the hooks, scripts and dependencies are in working order',
+    uninstall: `Remove everything ${TOOL} added, keeping later edits`,
+    upgrade: 'Merge the templates of this version into the project, keeping local edits',
+  },
+  flags: { ...SETUP_FLAGS, ...DOCTOR_FLAGS, ...RUN_FLAGS },
+});
+
+const COMMANDS = { setup, uninstall, upgrade };
+
+// Git gives pre-push one line per pushed ref; a terminal means nothing was piped
+const readStdin = () => {
+  if (process.stdin.isTTY) return '';
+  try {
+    return fs.readFileSync(0, 'utf-8');
+  } catch {
+    return '';
+  }
+};
+
+const main = async () => {
+  const { flags, positionals } = parseArgs(process.argv.slice(2), {
+    ...SETUP_FLAGS,
+    ...DOCTOR_FLAGS,
+    ...RUN_FLAGS,
+  });
+  const [command = 'setup'] = positionals;
+
+  if (flags.help) {
+    console.log(HELP);
+    return;
+  }
+
+  setLogger(createLogger(resolveLogOptions(flags)));
+
+  if (command === 'doctor') {
+    log.info(`${TITLE} • Doctor\n`);
+    const results = await doctor(project, flags);
+    process.exitCode = reportChecks(TOOL, results, { json: flags.json });
+    return;
+  }
+  if (command === 'run') {
+    log.info(`${TITLE} • Pre-push checks\n`);
+    const input = flags.stdin ? readStdin() : '';
+    const { skipped, files, steps, timeout } = await run(project, {
+      input,
+      timeout: flags.timeout,
+    });
+    process.exitCode = reportSteps(steps, { timeout });
+    log.event({ type: 'result', command, exitCode: process.exitCode, skipped, files, steps });
+    return;
+  }
+  const runFlag = Object.keys(RUN_FLAGS).find((name) => flags[name]);
+  if (runFlag) throw new UsageError(`--${runFlag} is only supported by the run command`);
+  if (flags.fix) throw new UsageError('--fix is only supported by the doctor command');
+  if (!(command in COMMANDS)) throw new UsageError(`Unknown command: ${command}`);
+
+  const options = resolveSetupOptions(flags);
+  const plan = createPlan({ root: project.root, dryRun: options.dryRun });
+
+  // Any failure or Ctrl+C restores the project as it was before the run
+  const result = await runTransaction(plan, () => COMMANDS[command](project, options, plan));
+
+  if (plan.dryRun && result.upgraded !== false) process.exitCode = reportDryRun(plan);
+  else if (result.conflicts > 0) process.exitCode = 1;
+
+  // Every change was already reported as its own event
+  const summary = { ...summarizePlan(plan), changes: undefined };
+  log.event({ type: 'result', command, exitCode: process.exitCode ?? 0, ...summary, ...result });
+};
+
+main().catch((err) => {
+  if (err instanceof UsageError) {
+    log.error(err.message);
+    console.error(`\n${HELP}`);
+    process.exit(2);
+  }
+  log.error(`Setup failed: ${err.message}`);
+  process.exit(err.exitCode ?? 1);
+});
@@ -0,0 +1,350 @@
+import {
+  CommandError,
+  detectPackageManager,
+  getChildStdio,
+  getExecCommand,
+  log,
+} from '@tidyforge/core';
+import { execFileSync, spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+//* ============================================================================
+//* PUSHED REFS
+//* ============================================================================
+
+const ZERO_SHA = /^0+$/;
+
+/**
+ * Files the gate can check: JavaScript and TypeScript sources
+ */
+const SOURCE_FILE = /\.[cm]?[jt]sx?$|\.vue$|\.svelte$/;
+
+/**
+ * Files that never affect type checking or tests
+ */
+const DOC_FILE = /(^|\/)(LICENSE|CHANGELOG)[^/]*$|\.(md|mdx|txt|png|jpe?g|gif|svg|ico|webp)$/i;
+
+/**
+ * Above this many changed files the whole test suite runs instead
+ */
+const MAX_RELATED_FILES = 100;
+
+/**
+ * Placeholder test script of `npm init`, which always fails
+ */
+const NPM_INIT_TEST = /no test specified/;
+
+/**
+ * Time budget of a run, in seconds
+ */
+export const DEFAULT_TIMEOUT = 300;
+
+const git = (userRoot, args) => {
+  try {
+    return execFileSync('git', args, {
+      cwd: userRoot,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (err) {
+    const reason = err.stderr?.toString().trim().split('\n')[0];
+    throw new CommandError(reason || 'git failed', `git ${args.join(' ')}`);
+  }
+};
+
+const listFiles = (output) => output.split('\n').filter(Boolean);
+
+/**
+ * Parse the refs Git passes to pre-push on stdin
+ * @param {string} input - One `<local ref> <local sha> <remote ref> <remote sha>` line per ref
+ * @returns {Object[]} { localRef, localSha, remoteRef, remoteSha }
+ */
+export const parsePushedRefs = (input) =>
+  input
+    .split('\n')
+    .map((line) => line.trim().split(/\s+/))
+    .filter((fields) => fields.length === 4)
+    .map(([localRef, localSha, remoteRef, remoteSha]) => ({
+      localRef,
+      localSha,
+      remoteRef,
+      remoteSha,
+    }));
+
+const isDelete = ({ localSha }) => ZERO_SHA.test(localSha);
+const isTag = ({ remoteRef }) => remoteRef.startsWith('refs/tags/');
+
+/**
+ * Tell whether a push has nothing to check
+ * @param {Object[]} refs - Result of parsePushedRefs (empty when unknown)
+ * @returns {string|null} Why the push is skipped, or null when it is checked
+ */
+export const getSkipReason = (refs) => {
+  if (refs.length === 0) return null;
+  if (refs.every(isDelete)) return 'the push only deletes branches';
+  if (refs.every((ref) => isTag(ref) || isDelete(ref))) return 'the push only sends tags';
+  return null;
+};
+
+const hasCommit = (userRoot, sha) => {
+  try {
+    git(userRoot, ['cat-file', '-e', `${sha}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Files of the commits no remote has yet, for new branches and rewritten history
+const listUnpushedFiles = (userRoot, rev) =>
+  listFiles(
+    git(userRoot, [
+      'log',
+      '--format=',
+      '--name-only',
+      '--diff-filter=ACMR',
+      '--relative',
+      rev,
+      '--not',
+      '--remotes',
+    ])
+  );
+
+const diffFiles = (userRoot, range) =>
+  listFiles(git(userRoot, ['diff', '--name-only', '--diff-filter=ACMR', '--relative', range]));
+
+const getUpstream = (userRoot) => {
+  try {
+    return git(userRoot, [
+      'rev-parse',
+      '--abbrev-ref',
+      '--symbolic-full-name',
+      '@{upstream}',
+    ]).trim();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * List the files a push changes, relative to the project root
+ * Each pushed branch is compared with what the remote has; without refs (a
+ * manual run) HEAD is compared with its upstream, or with every remote branch.
+ * Deleted files are left out.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object[]} refs - Result of parsePushedRefs
+ * @returns {string[]} Sorted file paths
+ * @throws {CommandError} When git fails
+ */
+export const getChangedFiles = (userRoot, refs) => {
+  const branches = refs.filter((ref) => !isTag(ref) && !isDelete(ref));
+  let files;
+
+  if (refs.length === 0) {
+    const upstream = getUpstream(userRoot);
+    files = upstream
+      ? diffFiles(userRoot, `${upstream}...HEAD`)
+      : listUnpushedFiles(userRoot, 'HEAD');
+  } else {
+    files = branches.flatMap(({ localSha, remoteSha }) =>
+      !ZERO_SHA.test(remoteSha) && hasCommit(userRoot, remoteSha)
+        ? diffFiles(userRoot, `${remoteSha}...${localSha}`)
+        : listUnpushedFiles(userRoot, localSha)
+    );
+  }
+
+  return [...new Set(files)].filter((file) => fs.existsSync(path.join(userRoot, file))).sort();
+};
+
+//* ============================================================================
+//* STEPS
+//* ============================================================================
+
+const getRunCommand = (pm, script) => `${pm} run ${script}`;
+
+const quote = (file) => `"${file.replace(/(["\\$`])/g, '\\$1')}"`;
+
+/**
+ * Work out the type check of a push
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - package.json of the project
+ * @param {string[]|null} files - Changed source files, null to check the whole project
+ * @param {boolean|string} option - `prePush.typecheck`: false, or a command to run instead
+ * @returns {Object|null} { name, command } or null when there is nothing to type check
+ */
+const getTypecheckStep = (userRoot, pkg, files, option) => {
+  if (option === false || (files && files.length === 0)) return null;
+  if (typeof option === 'string') return { name: 'typecheck', command: option };
+  if (!fs.existsSync(path.join(userRoot, 'tsconfig.json'))) return null;
+
+  const pm = detectPackageManager(userRoot);
+  return {
+    name: 'typecheck',
+    command: pkg.scripts?.typecheck
+      ? getRunCommand(pm, 'typecheck')
+      : getExecCommand(pm, 'tsc --noEmit'),
+  };
+};
+
+/**
+ * Work out the tests of a push
+ * Jest and Vitest only run the tests related to the changed files; other test
+ * scripts run as they are.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - package.json of the project
+ * @param {string[]|null} files - Changed source files, null to check the whole project
+ * @param {boolean|string} option - `prePush.test`: false, or a command to run instead
+ * @returns {Object|null} { name, command, related } or null when there is nothing to test
+ */
+const getTestStep = (userRoot, pkg, files, option) => {
+  if (option === false || (files && files.length === 0)) return null;
+  if (typeof option === 'string') return { name: 'test', command: option, related: false };
+
+  const script = pkg.scripts?.test;
+  if (!script || NPM_INIT_TEST.test(script)) return null;
+
+  const pm = detectPackageManager(userRoot);
+  const related = files && files.length <= MAX_RELATED_FILES ? files.map(quote).join(' ') : null;
+  if (related && /\bvitest\b/.test(script)) {
+    return {
+      name: 'test',
+      command: getExecCommand(pm, `vitest related --run --passWithNoTests ${related}`),
+      related: true,
+    };
+  }
+  if (related && /\bjest\b/.test(script)) {
+    return {
+      name: 'test',
+      command: getExecCommand(pm, `jest --findRelatedTests --passWithNoTests ${related}`),
+      related: true,
+    };
+  }
+  return { name: 'test', command: getRunCommand(pm, 'test'), related: false };
+};
+
+/**
+ * Plan the steps of a run from the files a push changes
+ * Pushes of documentation only skip both steps. When a changed file is not a
+ * source file (a config, a lockfile), the whole project is checked.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object} pkg - package.json of the project
+ * @param {string[]|null} changed - Result of getChangedFiles, null when unknown
+ * @param {Object} [options] - `prePush` section of the project config: { typecheck, test }
+ * @returns {Object[]} Steps: { name, command }
+ */
+export const planSteps = (userRoot, pkg, changed, options = {}) => {
+  const code = changed?.filter((file) => !DOC_FILE.test(file)) ?? null;
+  const files = code && code.every((file) => SOURCE_FILE.test(file)) ? code : null;
+  const scope = code && code.length === 0 ? [] : files;
+
+  return [
+    getTypecheckStep(userRoot, pkg, scope, options.typecheck),
+    getTestStep(userRoot, pkg, scope, options.test),
+  ].filter(Boolean);
+};
+
+//* ============================================================================
+//* RUN
+//* ============================================================================
+
+/**
+ * Run a step in its own process group, stopped with everything it started when
+ * the time budget runs out or the run is interrupted
+ * @param {string} command - Shell command
+ * @param {string} cwd - Directory to run it in
+ * @param {number} timeout - Milliseconds left in the budget
+ * @returns {Promise<Object>} { status: "pass", "fail" or "timeout", exitCode }
+ */
+const runCommand = (command, cwd, timeout) =>
+  new Promise((resolve) => {
+    const detached = process.platform !== 'win32';
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      stdio: getChildStdio('ignore'),
+      detached,
+    });
+    const stop = () => {
+      try {
+        if (detached) process.kill(-child.pid, 'SIGTERM');
+        else child.kill('SIGTERM');
+      } catch {
+        // Already gone
+      }
+    };
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+    process.once('SIGINT', stop);
+
+    const finish = (exitCode) => {
+      clearTimeout(timer);
+      process.removeListener('SIGINT', stop);
+      if (timedOut) resolve({ status: 'timeout', exitCode });
+      else resolve({ status: exitCode === 0 ? 'pass' : 'fail', exitCode });
+    };
+    child.on('error', () => finish(1));
+    child.on('close', (code) => finish(code ?? 1));
+  });
+
+/**
+ * Run the steps of a push one after the other, within the time budget
+ * The first failing step stops the run.
+ * @param {string} userRoot - The root directory of the user's project
+ * @param {Object[]} steps - Result of planSteps
+ * @param {Object} [options] - { timeout: budget of the whole run, in seconds }
+ * @returns {Promise<Object[]>} Per step: { name, command, status, duration } with status
+ *   "pass", "fail", "timeout" or "skipped" (after a failure), and `duration` in ms
+ */
+export const runSteps = async (userRoot, steps, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  const deadline = Date.now() + timeout * 1000;
+  const results = [];
+
+  for (const { name, command } of steps) {
+    if (results.some(({ status }) => status !== 'pass')) {
+      results.push({ name, command, status: 'skipped', duration: 0 });
+      continue;
+    }
+
+    log.info(`\n▸ ${name}: ${command}`);
+    const start = Date.now();
+    const { status } = await runCommand(command, userRoot, Math.max(deadline - start, 0));
+    const result = { name, command, status, duration: Date.now() - start };
+    log.event({ type: 'step', ...result });
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * Print the outcome of a run
+ * @param {Object[]} results - Result of runSteps
+ * @param {Object} [options] - { timeout: budget of the run, in seconds }
+ * @returns {number} Exit code: 1 if a step failed or ran out of time, 0 otherwise
+ */
+export const reportSteps = (results, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  const seconds = (duration) => `${(duration / 1000).toFixed(1)}s`;
+  const failed = results.filter(({ status }) => status === 'fail' || status === 'timeout');
+  if (results.length === 0) return 0;
+
+  results.forEach(({ name, status, duration }, index) => {
+    // A blank line separates the summary from the output of the steps
+    const step = `${index === 0 ? '\n' : ''}${name}`;
+    if (status === 'pass') log.success(`${step} passed (${seconds(duration)})`);
+    else if (status === 'fail') log.error(`${step} failed (${seconds(duration)})`);
+    else if (status === 'timeout') log.error(`${step} stopped: the ${timeout}s budget ran out`);
+    else log.info(`${step} skipped`);
+  });
+
+  if (failed.length === 0) return 0;
+  log.print(
+    '\nThe push was stopped. Fix the errors above, raise prePush.timeout in the tidyforge\n' +
+      'config if the checks need more time, or push with --no-verify to bypass them.'
+  );
+  return 1;
+};
@@ -0,0 +1,392 @@
+import {
+  applyOverrides,
+  CHECK_STATUS,
+  describeProject,
+  ensureHooksReady,
+  getDependencyChecks,
+  getHookChecks,
+  getInstalledVersion,
+  getToolDependencies,
+  installDevDependencies,
+  installHookFiles,
+  loadConfig,
+  log,
+  mergeScripts,
+  readHookBlocks,
+  readJSON,
+  recordSetup,
+  resolveHookBackend,
+  resolveProject,
+  runApiCommand,
+  runApiDoctor,
+  runChecks,
+  selectWorkspaces,
+  uninstallTool,
+  UsageError,
+  upgradeTool,
+  validatePackageJson,
+  withLogger,
+  writeJSON,
+} from '@tidyforge/core';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_TIMEOUT,
+  getChangedFiles,
+  getSkipReason,
+  parsePushedRefs,
+  planSteps,
+  runSteps,
+} from './gate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TOOL = 'push-back';
+export const TITLE = 'Push-back';
+
+const packageRoot = path.resolve(__dirname, '..');
+const hooksDir = path.join(packageRoot, 'hooks');
+
+const SCRIPTS = { 'push:check': 'push-back run' };
+
+// Only added to projects with a tsconfig.json
+const TYPECHECK_SCRIPTS = { typecheck: 'tsc --noEmit' };
+
+const getVersion = () => readJSON(path.join(packageRoot, 'package.json')).version;
+
+// Entries of a config section about what push-back adds; pretty-please adds the others
+const pickOwn = (map = {}, names) =>
+  Object.fromEntries(Object.entries(map).filter(([name]) => names.includes(name)));
+
+const hasTsconfig = (userRoot) => fs.existsSync(path.join(userRoot, 'tsconfig.json'));
+
+const getScripts = (userRoot, config) => {
+  const scripts = { ...SCRIPTS, ...(hasTsconfig(userRoot) && TYPECHECK_SCRIPTS) };
+  return applyOverrides(scripts, pickOwn(config.scripts, Object.keys(scripts)));
+};
+
+const getWorkspaceScripts = (config) =>
+  applyOverrides(SCRIPTS, pickOwn(config.scripts, Object.keys(SCRIPTS)));
+
+/**
+ * Resolve the time budget of a run
+ * @param {number|string} [timeout] - --timeout flag or API option, in seconds
+ * @param {Object} [options] - `prePush` section of the project config
+ * @returns {number} Seconds
+ * @throws {UsageError} When the budget is not a positive number
+ */
+const resolveTimeout = (timeout, options = {}) => {
+  const seconds = Number(timeout ?? options.timeout ?? DEFAULT_TIMEOUT);
+  if (!(seconds > 0)) throw new UsageError('--timeout must be a positive number of seconds');
+  return seconds;
+};
+
+const setupScriptsStep = (userRoot, pkg, config, plan) => {
+  mergeScripts(pkg, getScripts(userRoot, config), false, plan);
+};
+
+// Workspace packages only get push:check, which checks the package on its own
+const setupWorkspacesStep = (workspaces, config, plan) => {
+  workspaces.forEach((workspace) => {
+    const workspacePkgPath = path.join(workspace.dir, 'package.json');
+    const workspacePkg = readJSON(workspacePkgPath);
+
+    mergeScripts(
+      workspacePkg,
+      getWorkspaceScripts(config),
+      false,
+      plan.forWorkspace(workspace.path)
+    );
+    writeJSON(workspacePkgPath, workspacePkg, plan);
+  });
+};
+
+// package.json is written first: some backends keep the hooks in it
+const setupHooksStep = (userRoot, pkgPath, pkg, backend, plan) => {
+  mergeScripts(pkg, { prepare: backend.getPrepareScript(userRoot) }, false, plan);
+  writeJSON(pkgPath, pkg, plan);
+  installHookFiles(hooksDir, userRoot, TOOL, backend, plan);
+};
+
+const activateHooksStep = async (userRoot, backend, options, plan) => {
+  if (plan.dryRun) return;
+  await ensureHooksReady(userRoot, backend, options.confirm, plan);
+};
+
+// The hook runs the push-back binary of the project
+const getDependencies = (config, backend) => {
+  const names = [`@tidyforge/${TOOL}`, ...(backend?.dependency ? [backend.dependency] : [])];
+
+  return {
+    ...getToolDependencies(packageRoot, names),
+    [`@tidyforge/${TOOL}`]: `^${getVersion()}`,
+    ...pickOwn(config.dependencies, names),
+  };
+};
+
+const getDoctorChecks = (userRoot, config, backend) => {
+  const pkgPath = path.join(userRoot, 'package.json');
+  const checks = [
+    ...getHookChecks(userRoot, hooksDir, TOOL, backend),
+    ...getDependencyChecks(userRoot, getDependencies(config)),
+    {
+      id: 'test-script',
+      title: 'test script',
+      run: () => {
+        const test = readJSON(pkgPath).scripts?.test;
+        if (config.prePush?.test === false) {
+          return { status: CHECK_STATUS.PASS, message: 'tests are turned off (prePush.test)' };
+        }
+        return test && !/no test specified/.test(test)
+          ? { status: CHECK_STATUS.PASS, message: `"test": "${test}"` }
+          : {
+              status: CHECK_STATUS.WARN,
+              message: 'no test script, pushes are only type checked',
+              hint: 'Add a "test" script to package.json',
+            };
+      },
+    },
+  ];
+
+  if (hasTsconfig(userRoot) && config.prePush?.typecheck !== false) {
+    checks.push({
+      id: 'typescript',
+      title: 'TypeScript',
+      run: () => {
+        const installed = getInstalledVersion(userRoot, 'typescript');
+        return installed
+          ? { status: CHECK_STATUS.PASS, message: `${installed} installed` }
+          : {
+              status: CHECK_STATUS.FAIL,
+              message: 'tsconfig.json found but typescript is missing, tsc cannot run',
+              hint: 'Install typescript as a dev dependency',
+            };
+      },
+    });
+  }
+
+  return checks;
+};
+
+const getTemplates = (userRoot, config, backend) => ({
+  files: {},
+  hooks: readHookBlocks(hooksDir, userRoot),
+  scripts: { ...getScripts(userRoot, config), prepare: backend.getPrepareScript(userRoot) },
+  workspace: { scripts: getWorkspaceScripts(config) },
+  dependencies: getDependencies(config, backend),
+});
+
+//* ============================================================================
+//* COMMANDS
+//* ============================================================================
+
+/**
+ * Check a push: type check and test what it changes, within the time budget
+ * The `prePush` section of the project config sets `timeout` (seconds), and
+ * `typecheck` and `test`: false to turn a step off, or a command to run instead.
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { input: the refs Git passes to pre-push on stdin,
+ *   timeout: budget in seconds, config }
+ * @returns {Promise<Object>} { skipped, files, steps, timeout }: `skipped` says why the
+ *   push was not checked (or is null), `files` lists the changed files and `steps` holds
+ *   the results of runSteps
+ * @throws {UsageError} When the time budget is invalid
+ */
+export const run = async (project, { input = '', timeout, config } = {}) => {
+  const userRoot = project.root;
+  const projectConfig = await loadConfig(userRoot, config);
+  const options = projectConfig.prePush ?? {};
+  const seconds = resolveTimeout(timeout, options);
+  const refs = parsePushedRefs(input);
+
+  const skipped = getSkipReason(refs);
+  if (skipped) {
+    log.info(`Nothing to check: ${skipped}`);
+    return { skipped, files: [], steps: [], timeout: seconds };
+  }
+
+  const files = getChangedFiles(userRoot, refs);
+  const steps = planSteps(userRoot, readJSON(path.join(userRoot, 'package.json')), files, options);
+  if (steps.length === 0) {
+    log.info(
+      files.length === 0
+        ? 'Nothing to check: the push changes no files'
+        : 'Nothing to check: no type check or test applies to the changed files'
+    );
+    return { skipped: null, files, steps: [], timeout: seconds };
+  }
+
+  log.info(`${files.length} changed file(s), ${seconds}s budget`);
+  const results = await runSteps(userRoot, steps, { timeout: seconds });
+  return { skipped: null, files, steps: results, timeout: seconds };
+};
+
+/**
+ * Remove everything push-back added to a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { removed }
+ */
+export const uninstall = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Uninstall dry run\n` : `${TITLE} • Uninstalling...\n`);
+
+  const removed = await uninstallTool(project.root, TOOL, options, plan);
+  if (removed && !plan.dryRun) log.success(`${TOOL} removed from the project.`);
+
+  return { removed };
+};
+
+/**
+ * Check the hooks, dependencies and scripts of a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} [options] - { hooks: backend name, fix: repair what can be repaired }
+ * @returns {Promise<Object[]>} Results of runChecks
+ */
+export const doctor = async (project, { hooks = null, fix = false, config } = {}) => {
+  validatePackageJson(path.join(project.root, 'package.json'));
+  const backend = resolveHookBackend(project.root, hooks);
+  const projectConfig = await loadConfig(project.root, config);
+
+  return runChecks(getDoctorChecks(project.root, projectConfig, backend), { fix });
+};
+
+/**
+ * Merge the templates of this version into a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { upgraded, conflicts, version }
+ */
+export const upgrade = async (project, options, plan) => {
+  log.info(plan.dryRun ? `${TITLE} • Upgrade dry run\n` : `${TITLE} • Upgrading...\n`);
+
+  const userRoot = project.root;
+  validatePackageJson(path.join(userRoot, 'package.json'));
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  const { upgraded, conflicts } = await upgradeTool(
+    userRoot,
+    { name: TOOL, version },
+    getTemplates(userRoot, config, resolveHookBackend(userRoot, options.hooks)),
+    options,
+    plan
+  );
+
+  if (upgraded && !plan.dryRun) {
+    if (conflicts > 0) {
+      log.warn(`${conflicts} conflicting change(s) left as conflict markers or local values.`);
+    } else {
+      log.success(`${TOOL} upgraded to ${version}.`);
+    }
+  }
+
+  return { upgraded, conflicts, version };
+};
+
+/**
+ * Set up the pre-push hook and its scripts in a project
+ * @param {Object} project - Project layout (see resolveProject)
+ * @param {Object} options - Setup options (see resolveSetupOptions)
+ * @param {Object} plan - Plan of the run (see createPlan)
+ * @returns {Promise<Object>} { backend, version }
+ */
+export const setup = async (project, options, plan) => {
+  const userRoot = project.root;
+  const workspaces = selectWorkspaces(project, options.workspaces);
+  const step = (msg) => !plan.dryRun && log.info(msg);
+
+  log.info(plan.dryRun ? `${TITLE} • Dry run\n` : `${TITLE} • Setting up...\n`);
+  const pkgPath = path.join(userRoot, 'package.json');
+  const pkg = validatePackageJson(pkgPath);
+  const backend = resolveHookBackend(userRoot, options.hooks);
+  const config = await loadConfig(userRoot, options.config);
+  const version = getVersion();
+  if (project.workspaceRoot) log.info(describeProject(project));
+
+  step('[1/4] • Configuring push scripts...');
+  setupScriptsStep(userRoot, pkg, config, plan);
+  setupWorkspacesStep(workspaces, config, plan);
+
+  step(`\n[2/4] • Installing Git hooks (${backend.label})...`);
+  setupHooksStep(userRoot, pkgPath, pkg, backend, plan);
+
+  step('\n[3/4] • Installing dependencies...');
+  if (options.install) {
+    await installDevDependencies(userRoot, getDependencies(config, backend), options.confirm, plan);
+  } else {
+    step('Skipped (--skip-install)');
+  }
+
+  step('\n[4/4] • Activating Git hooks...');
+  if (options.install) {
+    await activateHooksStep(userRoot, backend, options, plan);
+  } else {
+    step(`Skipped (--skip-install), run: ${backend.initCommand}`);
+  }
+
+  if (!plan.dryRun) {
+    recordSetup(userRoot, { name: TOOL, version }, plan, options.manifest);
+    log.info('\nSetup success! Every push is now type checked and tested first.');
+  }
+
+  return { backend: backend.name, version };
+};
+
+//* ============================================================================
+//* PROGRAMMATIC API
+//* ============================================================================
+
+/**
+ * Set up push-back in a project without prompting
+ * The run is a transaction: on failure the project is restored and the promise
+ * rejects with a TidyforgeError.
+ * @param {Object} [options] - API options
+ * @param {string} [options.cwd] - Directory of the project (defaults to process.cwd())
+ * @param {boolean} [options.install] - Install the dependencies and activate the hooks
+ *   (default: true)
+ * @param {string} [options.hooks] - Hook backend: husky, native, simple-git-hooks or lefthook
+ *   (detected by default)
+ * @param {Object} [options.logger] - { info, success, warning, error } receiving the messages
+ *   (default: the console, `{}` silences the run)
+ * @param {boolean} [options.dryRun] - Only compute the changes
+ * @param {Object} [options.config] - Project config applied over tidyforge.config.* (same shape)
+ * @returns {Promise<Object>} { files: { created, updated, removed, skipped, failed }, scripts,
+ *   hooks, dependencies, changed, changes, backend, version }
+ */
+export const setupPushBack = (options) => runApiCommand(setup, options);
+
+/**
+ * Merge the templates of this version into a project set up by push-back
+ * @param {Object} [options] - API options (see setupPushBack)
+ * @returns {Promise<Object>} Same summary as setupPushBack, with { upgraded, conflicts, version }
+ */
+export const upgradePushBack = (options) => runApiCommand(upgrade, options);
+
+/**
+ * Remove everything push-back added to a project
+ * @param {Object} [options] - API options (see setupPushBack)
+ * @returns {Promise<Object>} Same summary as setupPushBack, with { removed }
+ */
+export const uninstallPushBack = (options) => runApiCommand(uninstall, options);
+
+/**
+ * Check the hooks, dependencies and scripts of a project set up by push-back
+ * @param {Object} [options] - { cwd, hooks, fix, logger }
+ * @returns {Promise<Object>} { ok, summary, checks }
+ */
+export const doctorPushBack = (options) => runApiDoctor(doctor, options);
+
+/**
+ * Type check and test what a push changes, as the pre-push hook does
+ * @param {Object} [options] - { cwd, input, timeout, config, logger }
+ * @returns {Promise<Object>} { ok, skipped, files, steps }
+ */
+export const runPushBack = ({ cwd = process.cwd(), logger, ...options } = {}) =>
+  withLogger(logger, async () => {
+    const { skipped, files, steps } = await run(resolveProject(path.resolve(cwd)), options);
+    const ok = steps.every(({ status }) => status === 'pass' || status === 'skipped');
+    return { ok, skipped, files, steps };
+  });